@@ -4,6 +4,14 @@
 // Import mammoth for Word document extraction
 importScripts("../libs/mammoth.browser.min.js");
 importScripts("../libs/pdf.min.js");
+// Own extractors (OOXML packages, PDF layout)
+importScripts("../extractors/zip-reader.js");
+importScripts("../extractors/ooxml-utils.js");
+importScripts("../extractors/source-anchors.js");
+importScripts("../extractors/xlsx-extractor.js");
+importScripts("../extractors/pptx-extractor.js");
+importScripts("../extractors/pdf-extractor.js");
+importScripts("../extractors/document-extractor.js");
 
 // Debug flag
 const DEBUG = true;
@@ -125,11 +133,20 @@ async function checkCompanyGPTAuth(skipCache = false) {
 /**
  * Handle API requests with proper credentials
  */
+// AbortControllers of in-flight API requests, keyed by requestId
+const pendingRequests = new Map();
+
 async function handleAPIRequest(data) {
   debug("API Request:", data.url);
   debug("Method:", data.method);
   debug("Body:", data.body);
 
+  // Requests with an id can be cancelled via ABORT_REQUEST
+  const controller = new AbortController();
+  if (data.requestId) {
+    pendingRequests.set(data.requestId, controller);
+  }
+
   try {
     const options = {
       method: data.method || "GET",
@@ -138,6 +155,7 @@ async function handleAPIRequest(data) {
         Accept: "application/json",
       },
       credentials: "include", // Important for cookies!
+      signal: controller.signal,
     };
 
     // Add body if provided
@@ -172,11 +190,103 @@ async function handleAPIRequest(data) {
       return { success: true, data: text };
     }
   } catch (error) {
+    if (error.name === "AbortError") {
+      debug("API request aborted:", data.url);
+      return { success: false, error: "Aborted", aborted: true };
+    }
     console.error("API request failed:", error);
     return { success: false, error: error.message };
+  } finally {
+    if (data.requestId) {
+      pendingRequests.delete(data.requestId);
+    }
+  }
+}
+
+/**
+ * Handle a streamed API request, forwarding body chunks over the port
+ */
+async function handleStreamRequest(port, data, signal) {
+  debug("Stream Request:", data.url);
+
+  let disconnected = false;
+  port.onDisconnect.addListener(() => {
+    disconnected = true;
+  });
+
+  // The panel may close the port at any time
+  const post = (message) => {
+    if (!disconnected) port.postMessage(message);
+  };
+
+  try {
+    const response = await fetch(data.url, {
+      method: data.method || "POST",
+      headers: data.headers || {
+        "Content-Type": "application/json",
+        Accept: "application/json",
+      },
+      credentials: "include", // Important for cookies!
+      body: data.body,
+      signal,
+    });
+
+    debug("Stream response status:", response.status);
+
+    if (!response.ok) {
+      const errorText = await response.text();
+      debug("Error response:", errorText);
+      throw new Error(`HTTP ${response.status}: ${errorText}`);
+    }
+
+    if (!response.body) {
+      // No readable stream - deliver the whole body as a single chunk
+      post({ type: "STREAM_CHUNK", chunk: await response.text() });
+    } else {
+      const reader = response.body.getReader();
+      const decoder = new TextDecoder();
+
+      while (!disconnected) {
+        const { done, value } = await reader.read();
+        if (done) break;
+
+        const chunk = decoder.decode(value, { stream: true });
+        if (chunk) post({ type: "STREAM_CHUNK", chunk });
+      }
+
+      const rest = decoder.decode();
+      if (rest) post({ type: "STREAM_CHUNK", chunk: rest });
+    }
+
+    post({ type: "STREAM_DONE" });
+  } catch (error) {
+    if (error.name === "AbortError") {
+      debug("Stream request aborted:", data.url);
+      post({ type: "STREAM_ERROR", error: "Aborted" });
+      return;
+    }
+    console.error("Stream request failed:", error);
+    post({ type: "STREAM_ERROR", error: error.message });
   }
 }
 
+// Long-lived connections for streamed chat responses
+chrome.runtime.onConnect.addListener((port) => {
+  if (port.name !== "chat-stream") return;
+
+  // Closing the port (panel closed or request stopped) cancels the fetch
+  const controller = new AbortController();
+  port.onDisconnect.addListener(() => controller.abort());
+
+  port.onMessage.addListener((message) => {
+    if (message.type === "STREAM_REQUEST") {
+      handleStreamRequest(port, message.data, controller.signal);
+    } else if (message.type === "STREAM_ABORT") {
+      controller.abort();
+    }
+  });
+});
+
 // Open side panel when extension icon is clicked
 chrome.action.onClicked.addListener(async (tab) => {
   debug("Extension icon clicked");
@@ -252,6 +362,12 @@ chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
           break;
         }
 
+        case "ABORT_REQUEST": {
+          pendingRequests.get(request.requestId)?.abort();
+          sendResponse({ success: true });
+          break;
+        }
+
         // Extract Google Docs content by calling its export endpoint directly from the SW (uses browser cookies).
         case "EXTRACT_GOOGLE_DOCS": {
           const { docId } = request.data;
@@ -280,10 +396,29 @@ chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
             );
             debug("Content preview:", textContent.substring(0, 200) + "...");
 
+            // The HTML export carries the heading ids (#heading=h.xxx)
+            // the side panel links citations to
+            let marked = { content: textContent, anchors: [] };
+            try {
+              const htmlResponse = await fetch(
+                `https://docs.google.com/document/d/${docId}/export?format=html`,
+                { method: "GET", credentials: "include" }
+              );
+              if (htmlResponse.ok) {
+                marked = SourceAnchors.markHeadings(
+                  textContent,
+                  SourceAnchors.readHtmlHeadings(await htmlResponse.text())
+                );
+              }
+            } catch (error) {
+              debug("Google Docs headings unavailable:", error.message);
+            }
+
             sendResponse({
               success: true,
-              content: textContent,
-              length: textContent.length,
+              content: marked.content,
+              length: marked.content.length,
+              anchors: marked.anchors,
             });
           } catch (error) {
             console.error("Google Docs extraction failed:", error);
@@ -296,19 +431,20 @@ chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
         }
 
         case "EXTRACT_SHAREPOINT_DOCUMENT": {
-          const { sourceDoc, fileUrl, siteUrl } = request.data;
+          const { tabId, sourceDoc, fileUrl, siteUrl, sheets, maxChars } =
+            request.data;
 
           try {
             console.log("[Background] Extracting SharePoint document...");
 
-            // Get the WOPI context from the page
-            const [tab] = await chrome.tabs.query({
-              active: true,
-              currentWindow: true,
-            });
+            // Get the WOPI context from the extracted tab (the active
+            // one if the caller didn't say)
+            const [activeTab] = tabId
+              ? []
+              : await chrome.tabs.query({ active: true, currentWindow: true });
 
             const results = await chrome.scripting.executeScript({
-              target: { tabId: tab.id },
+              target: { tabId: tabId || activeTab.id },
               func: () => {
                 const scripts = document.querySelectorAll("script");
                 for (const script of scripts) {
@@ -364,265 +500,40 @@ chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
                   blob.type
                 );
 
-                // Handle different file types
-
-                // 1. TEXT FILES (.txt, .csv, .log, etc.)
-                if (
-                  fileName.match(
-                    /\.(txt|text|csv|log|md|markdown|json|xml|html|htm|js|css|py|java|cpp|c|h|sh|bat|ps1|yaml|yml)$/i
-                  ) ||
-                  blob.type.includes("text/")
-                ) {
-                  console.log(
-                    "[Background] Text file detected, reading directly..."
-                  );
-                  const text = await blob.text();
-                  sendResponse({
-                    success: true,
-                    content: text,
-                    method: "direct text file",
-                    fileType: fileName.split(".").pop(),
-                  });
-                  return;
-                }
-
-                // 2. WORD DOCUMENTS (.docx, .doc)
-                if (
-                  fileName.match(/\.(docx|doc)$/i) ||
-                  blob.type.includes("officedocument.wordprocessing")
-                ) {
-                  console.log(
-                    "[Background] Word document detected, using mammoth..."
-                  );
-
-                  const arrayBuffer = await blob.arrayBuffer();
-
-                  mammoth
-                    .extractRawText({ arrayBuffer: arrayBuffer })
-                    .then(function (result) {
-                      console.log(
-                        "[Background] Mammoth extraction successful!"
-                      );
-                      sendResponse({
-                        success: true,
-                        content: result.value,
-                        method: "mammoth extraction",
-                        fileType: "word",
-                      });
-                    })
-                    .catch(function (err) {
-                      console.error(
-                        "[Background] Mammoth extraction failed:",
-                        err
-                      );
-                      sendResponse({
-                        success: false,
-                        error:
-                          "Failed to extract Word document: " + err.message,
-                      });
-                    });
-
-                  return true; // Keep channel open for async response
-                }
-
-                // 3. POWERPOINT FILES (.pptx, .ppt)
-                if (
-                  fileName.match(/\.(pptx|ppt)$/i) ||
-                  blob.type.includes("officedocument.presentation")
-                ) {
-                  console.log(
-                    "[Background] PowerPoint detected, extracting text..."
-                  );
-
-                  // PowerPoint files are actually ZIP archives with XML inside
-                  // We need a different approach - basic text extraction
-
+                // Text, Word, PowerPoint, PDF and Excel files
+                if (DocumentExtractor.getType(fileName, blob.type)) {
                   try {
-                    // Convert to array buffer
-                    const arrayBuffer = await blob.arrayBuffer();
-
-                    // Basic text extraction from PowerPoint
-                    // This is a simple approach - just find readable text in the binary
-                    const uint8Array = new Uint8Array(arrayBuffer);
-                    const decoder = new TextDecoder("utf-8", { fatal: false });
-
-                    // Look for text content in the file
-                    let extractedText = "";
-                    const chunkSize = 1000000; // 1MB chunks
-
-                    for (let i = 0; i < uint8Array.length; i += chunkSize) {
-                      const chunk = uint8Array.slice(
-                        i,
-                        Math.min(i + chunkSize, uint8Array.length)
-                      );
-                      const decodedChunk = decoder.decode(chunk);
-
-                      // Extract readable text (basic approach)
-                      const readableText =
-                        decodedChunk.match(/[\x20-\x7E\s]{10,}/g);
-                      if (readableText) {
-                        extractedText += readableText
-                          .filter((text) => {
-                            // Filter out XML tags and other noise
-                            return (
-                              !text.includes("<") &&
-                              !text.includes(">") &&
-                              text.trim().length > 10
-                            );
-                          })
-                          .join("\n");
-                      }
-                    }
-
-                    if (extractedText.trim()) {
-                      sendResponse({
-                        success: true,
-                        content:
-                          `PowerPoint Presentation: ${fileName}\n\n` +
-                          `Extracted Text Content:\n${extractedText}\n\n` +
-                          `Note: This is a basic text extraction. Some formatting and structure may be lost.`,
-                        method: "basic PowerPoint extraction",
-                        fileType: "powerpoint",
-                      });
-                    } else {
-                      // If basic extraction fails, provide instructions
-                      sendResponse({
-                        success: true,
-                        content:
-                          `PowerPoint file "${fileName}" detected (${blob.size} bytes).\n\n` +
-                          `The presentation could not be automatically extracted.\n\n` +
-                          `To share the content:\n` +
-                          `1. Open the presentation in PowerPoint Online\n` +
-                          `2. Switch to "Outline View" if available\n` +
-                          `3. Select all text (Ctrl+A)\n` +
-                          `4. Copy and paste it here\n\n` +
-                          `Alternatively, you can export the presentation as PDF and try again.`,
-                        method: "manual required for PowerPoint",
-                        fileType: "powerpoint",
-                      });
-                    }
-                  } catch (err) {
-                    console.error(
-                      "[Background] PowerPoint extraction error:",
-                      err
+                    const result = await DocumentExtractor.extract(
+                      await blob.arrayBuffer(),
+                      { fileName, mimeType: blob.type, sheets, maxChars }
                     );
-                    sendResponse({
-                      success: true,
-                      content:
-                        `PowerPoint file "${fileName}" requires manual extraction.\n` +
-                        `Please copy the slide content from PowerPoint Online and paste it here.`,
-                      method: "PowerPoint extraction failed",
-                    });
-                  }
-
-                  return;
-                }
-
-                // 4. PDF FILES
-                // 4. PDF FILES
-                if (fileName.match(/\.pdf$/i) || blob.type.includes("pdf")) {
-                  console.log("[Background] PDF detected, extracting text...");
-
-                  try {
-                    const arrayBuffer = await blob.arrayBuffer();
-
-                    // Load the PDF document
-                    const loadingTask = pdfjsLib.getDocument({
-                      data: arrayBuffer,
-                    });
-                    const pdf = await loadingTask.promise;
-
                     console.log(
-                      `[Background] PDF loaded: ${pdf.numPages} pages`
+                      "[Background] Extracted via",
+                      result.method,
+                      "-",
+                      result.content.length,
+                      "chars"
                     );
 
-                    let fullText = "";
-
-                    // Extract text from each page
-                    for (let pageNum = 1; pageNum <= pdf.numPages; pageNum++) {
-                      const page = await pdf.getPage(pageNum);
-                      const textContent = await page.getTextContent();
-
-                      // Combine text items from the page
-                      const pageText = textContent.items
-                        .map((item) => item.str)
-                        .join(" ");
-
-                      fullText += `\n--- Page ${pageNum} ---\n${pageText}\n`;
-                    }
-
-                    if (fullText.trim()) {
-                      sendResponse({
-                        success: true,
-                        content:
-                          `PDF Document: ${fileName}\n` +
-                          `Pages: ${pdf.numPages}\n\n` +
-                          `Content:\n${fullText}`,
-                        method: "PDF.js extraction",
-                        fileType: "pdf",
-                      });
-                    } else {
-                      // PDF might be scanned/image-based
-                      sendResponse({
-                        success: true,
-                        content:
-                          `PDF Document: ${fileName} (${pdf.numPages} pages)\n\n` +
-                          `This appears to be a scanned PDF or contains only images.\n` +
-                          `Text extraction is not possible for image-based PDFs.\n\n` +
-                          `To share the content:\n` +
-                          `1. Open the PDF in SharePoint\n` +
-                          `2. Use OCR software if it's a scanned document\n` +
-                          `3. Or manually type the relevant content`,
-                        method: "PDF no text content",
-                        fileType: "pdf",
-                      });
-                    }
-                  } catch (err) {
-                    console.error("[Background] PDF extraction error:", err);
+                    const { needsOcr, ...response } = result;
                     sendResponse({
                       success: true,
-                      content:
-                        `PDF "${fileName}" could not be extracted.\nError: ${err.message}\n\n` +
-                        `Please copy the text manually from the PDF viewer.`,
-                      method: "PDF extraction failed",
+                      ...response,
+                      // OCR needs Web Workers and runs in the side panel
+                      ...(needsOcr && {
+                        ocr: {
+                          fileUrl: fileGetUrl,
+                          pageCount: result.pageCount,
+                        },
+                      }),
                     });
-                  }
-
-                  return;
-                }
-
-                // 5. EXCEL FILES
-                if (
-                  fileName.match(/\.(xlsx|xls|csv)$/i) ||
-                  blob.type.includes("spreadsheet")
-                ) {
-                  console.log("[Background] Excel/CSV detected");
-
-                  if (fileName.endsWith(".csv")) {
-                    // CSV is just text, read it directly
-                    const text = await blob.text();
+                  } catch (err) {
+                    console.error("[Background] Extraction failed:", err);
                     sendResponse({
-                      success: true,
-                      content: `CSV File: ${fileName}\n\n${text}`,
-                      method: "direct CSV read",
-                      fileType: "csv",
+                      success: false,
+                      error: `Failed to extract ${fileName}: ${err.message}`,
                     });
-                    return;
                   }
-
-                  // Excel files need special handling
-                  sendResponse({
-                    success: true,
-                    content:
-                      `Excel file: ${fileName} (${blob.size} bytes)\n\n` +
-                      `To share Excel data:\n` +
-                      `1. Open in Excel Online\n` +
-                      `2. Select the cells you want to share\n` +
-                      `3. Copy (Ctrl+C) and paste here\n\n` +
-                      `The data will be pasted as a table format.`,
-                    method: "Excel manual extraction",
-                    fileType: "excel",
-                  });
                   return;
                 }
 
@@ -0,0 +1,213 @@
+// extractors/document-extractor.js - One entry point for all file formats
+// Used by the service worker (SharePoint downloads) and the side panel
+// (local files). Requires mammoth, PDF.js and the other extractors/ files.
+// PDFs are read with PdfExtractor, which keeps headings and tables.
+(function () {
+  "use strict";
+
+  const TEXT_EXTENSIONS =
+    /\.(txt|text|csv|log|md|markdown|json|xml|html|htm|js|css|py|java|cpp|c|h|sh|bat|ps1|yaml|yml)$/i;
+
+  // File types offered in the panel's file picker
+  const SUPPORTED_EXTENSIONS = [
+    ".pdf",
+    ".docx",
+    ".xlsx",
+    ".xlsm",
+    ".pptx",
+    ".txt",
+    ".csv",
+    ".md",
+    ".markdown",
+    ".json",
+  ];
+
+  /**
+   * Extractor type for a file name / MIME type, or null if unsupported
+   */
+  function getType(fileName = "", mimeType = "") {
+    if (TEXT_EXTENSIONS.test(fileName) || mimeType.includes("text/")) {
+      return "text";
+    }
+    if (/\.docx?$/i.test(fileName) || mimeType.includes("wordprocessing")) {
+      return "word";
+    }
+    if (/\.pptx?$/i.test(fileName) || mimeType.includes("presentation")) {
+      return "powerpoint";
+    }
+    if (/\.pdf$/i.test(fileName) || mimeType.includes("pdf")) {
+      return "pdf";
+    }
+    if (
+      /\.(xlsx|xlsm|xls)$/i.test(fileName) ||
+      mimeType.includes("spreadsheet")
+    ) {
+      return "excel";
+    }
+    return null;
+  }
+
+  async function extractText(data, fileName) {
+    const text = new TextDecoder("utf-8").decode(data);
+    return {
+      content: text,
+      method: "direct text file",
+      fileType: fileName.split(".").pop().toLowerCase(),
+    };
+  }
+
+  async function extractWord(data) {
+    // Raw text keeps the prompt compact; the HTML conversion only
+    // supplies the headings for citation anchors
+    const [raw, html] = await Promise.all([
+      mammoth.extractRawText({ arrayBuffer: data }),
+      mammoth.convertToHtml({ arrayBuffer: data }),
+    ]);
+    const { content, anchors } = self.SourceAnchors.markHeadings(
+      raw.value,
+      self.SourceAnchors.readHtmlHeadings(html.value)
+    );
+    return {
+      content,
+      method: "mammoth extraction",
+      fileType: "word",
+      anchors,
+    };
+  }
+
+  async function extractPowerPoint(data, fileName, size) {
+    // Legacy binary .ppt files are not ZIP based
+    if (!self.ZipReader.isZip(data)) {
+      return {
+        content:
+          `PowerPoint file: ${fileName} (${size} bytes)\n\n` +
+          `Legacy .ppt presentations cannot be read automatically. ` +
+          `Save the file as .pptx in PowerPoint Online, or copy the slide content manually.`,
+        method: "manual required for PowerPoint",
+        fileType: "powerpoint",
+      };
+    }
+
+    const deck = await self.PptxExtractor.extract(data);
+    return {
+      content:
+        `PowerPoint Presentation: ${fileName}\n` +
+        `Slides: ${deck.slideCount}\n\n` +
+        deck.content,
+      method: "pptx extraction",
+      fileType: "powerpoint",
+    };
+  }
+
+  async function extractPdf(data, fileName) {
+    const { pageCount, pages } = await self.PdfExtractor.extract(data);
+
+    if (pages.some((page) => page.text)) {
+      const { content, anchors } = self.SourceAnchors.markPages(
+        pages
+          .map((page) => `\n--- Page ${page.number} ---\n${page.text}\n`)
+          .join("")
+      );
+      return {
+        content:
+          `PDF Document: ${fileName}\n` +
+          `Pages: ${pageCount}\n\n` +
+          `Content:\n${content}`,
+        method: "PDF.js layout extraction",
+        fileType: "pdf",
+        pageCount,
+        anchors,
+      };
+    }
+
+    // PDF might be scanned/image-based
+    return {
+      content:
+        `PDF Document: ${fileName} (${pageCount} pages)\n\n` +
+        `This appears to be a scanned PDF or contains only images.\n` +
+        `Use text recognition (OCR) in the context bar to read the pages.`,
+      method: "PDF no text content",
+      fileType: "pdf",
+      pageCount,
+      needsOcr: true,
+    };
+  }
+
+  async function extractExcel(data, fileName, size, options) {
+    if (/\.csv$/i.test(fileName)) {
+      return {
+        content: `CSV File: ${fileName}\n\n${new TextDecoder().decode(data)}`,
+        method: "direct CSV read",
+        fileType: "csv",
+      };
+    }
+
+    // Legacy binary .xls files are not ZIP based
+    if (!self.ZipReader.isZip(data)) {
+      return {
+        content:
+          `Excel file: ${fileName} (${size} bytes)\n\n` +
+          `Legacy .xls workbooks cannot be read automatically. ` +
+          `Save the file as .xlsx in Excel Online, or copy the cells manually.`,
+        method: "Excel manual extraction",
+        fileType: "excel",
+      };
+    }
+
+    const workbook = await self.XlsxExtractor.extract(data, {
+      sheets: options.sheets,
+      maxChars: options.maxChars,
+    });
+    return {
+      content: `Excel Workbook: ${fileName}\n\n${workbook.content}`,
+      method: "xlsx extraction",
+      fileType: "excel",
+      workbook: { sheets: workbook.sheets },
+    };
+  }
+
+  /**
+   * Extract a file's text.
+   * options: fileName, mimeType, sheets / maxChars (workbooks)
+   * Returns { content, method, fileType, preserveLayout, workbook?,
+   *           pageCount?, needsOcr?, anchors? }. Throws for unsupported types and
+   * broken files.
+   */
+  async function extract(data, options = {}) {
+    const { fileName = "", mimeType = "" } = options;
+    const size = data.byteLength;
+
+    let result;
+    switch (getType(fileName, mimeType)) {
+      case "text":
+        result = /\.csv$/i.test(fileName)
+          ? await extractExcel(data, fileName, size, options)
+          : await extractText(data, fileName);
+        break;
+      case "word":
+        result = await extractWord(data);
+        break;
+      case "powerpoint":
+        result = await extractPowerPoint(data, fileName, size);
+        break;
+      case "pdf":
+        result = await extractPdf(data, fileName);
+        break;
+      case "excel":
+        result = await extractExcel(data, fileName, size, options);
+        break;
+      default:
+        throw new Error(`Unsupported file type: ${fileName || mimeType}`);
+    }
+
+    // Line breaks carry the structure (pages, slides, table rows)
+    return { ...result, preserveLayout: true };
+  }
+
+  // Expose globally (service worker and side panel)
+  self.DocumentExtractor = Object.freeze({
+    SUPPORTED_EXTENSIONS,
+    getType,
+    extract,
+  });
+})();
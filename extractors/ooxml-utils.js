@@ -0,0 +1,111 @@
+// extractors/ooxml-utils.js - XML helpers shared by the OOXML extractors
+// Service workers have no DOMParser, so the package parts are read with
+// regular expressions.
+(function () {
+  "use strict";
+
+  function decodeXml(text) {
+    return String(text || "").replace(
+      /&(#x[0-9a-f]+|#\d+|lt|gt|amp|quot|apos);/gi,
+      (match, entity) => {
+        switch (entity.toLowerCase()) {
+          case "lt":
+            return "<";
+          case "gt":
+            return ">";
+          case "amp":
+            return "&";
+          case "quot":
+            return '"';
+          case "apos":
+            return "'";
+          default:
+            return String.fromCodePoint(
+              entity[1].toLowerCase() === "x"
+                ? parseInt(entity.substring(2), 16)
+                : parseInt(entity.substring(1), 10)
+            );
+        }
+      }
+    );
+  }
+
+  function getAttr(tag, name) {
+    const match = tag.match(new RegExp(`\\s${name}="([^"]*)"`));
+    return match ? decodeXml(match[1]) : null;
+  }
+
+  /**
+   * Global pattern for an element; match[1] are its attributes,
+   * match[2] its body. Elements may carry a namespace prefix (<x:c>).
+   * Only for elements that don't nest inside themselves.
+   */
+  function elementPattern(name) {
+    return new RegExp(
+      `<(?:\\w+:)?${name}(?=[\\s/>])([^>]*?)(?:\\/>|>([\\s\\S]*?)<\\/(?:\\w+:)?${name}>)`,
+      "g"
+    );
+  }
+
+  // First element of that name, or null
+  function findElement(xml, name) {
+    const match = elementPattern(name).exec(xml || "");
+    return match ? { attrs: match[1], body: match[2] || "" } : null;
+  }
+
+  // Concatenated <t> runs (e.g. of a rich text item or a paragraph)
+  function readTextRuns(xml) {
+    return decodeXml(
+      (xml || "")
+        .match(/<(?:\w+:)?t\b[^>]*>[\s\S]*?<\/(?:\w+:)?t>/g)
+        ?.map((t) => t.replace(/<[^>]+>/g, ""))
+        .join("") || ""
+    );
+  }
+
+  // "ppt/slides" + "../notesSlides/notesSlide1.xml"
+  function resolvePath(baseDir, target) {
+    if (target.startsWith("/")) return target.substring(1);
+
+    const parts = baseDir ? baseDir.split("/") : [];
+    for (const part of target.split("/")) {
+      if (part === "..") parts.pop();
+      else if (part && part !== ".") parts.push(part);
+    }
+    return parts.join("/");
+  }
+
+  /**
+   * Relationships of a package part, keyed by id:
+   * { type: "worksheet" | "slide" | ..., path }
+   */
+  async function readRelationships(zip, partPath) {
+    const slash = partPath.lastIndexOf("/");
+    const dir = slash === -1 ? "" : partPath.substring(0, slash);
+    const name = partPath.substring(slash + 1);
+
+    const xml = (await zip.readText(`${dir}/_rels/${name}.rels`)) || "";
+    const relationships = new Map();
+
+    for (const [, attrs] of xml.matchAll(elementPattern("Relationship"))) {
+      if (getAttr(attrs, "TargetMode") === "External") continue;
+
+      relationships.set(getAttr(attrs, "Id"), {
+        type: (getAttr(attrs, "Type") || "").split("/").pop(),
+        path: resolvePath(dir, getAttr(attrs, "Target") || ""),
+      });
+    }
+    return relationships;
+  }
+
+  // Expose globally (service worker and side panel)
+  self.OoxmlUtils = Object.freeze({
+    decodeXml,
+    getAttr,
+    elementPattern,
+    findElement,
+    readTextRuns,
+    resolvePath,
+    readRelationships,
+  });
+})();
@@ -0,0 +1,305 @@
+// extractors/pdf-extractor.js - Layout-aware PDF text extraction
+// Requires PDF.js (pdfjsLib). Rebuilds lines, reading order, headings and
+// simple tables from the positions of PDF.js text items.
+(function () {
+  "use strict";
+
+  // Items closer than this (x font size) vertically share a line
+  const LINE_TOLERANCE = 0.4;
+  // Horizontal gap (x font size) that separates table cells / columns
+  const CELL_GAP = 2;
+  // Gap (x font size) between two items that needs a space
+  const WORD_GAP = 0.15;
+  // Vertical distance (x line size) that starts a new paragraph
+  const PARAGRAPH_GAP = 1.6;
+
+  // Headings: font size relative to the body text, longest heading line
+  const HEADING_SIZES = [
+    { ratio: 1.6, level: 1 },
+    { ratio: 1.3, level: 2 },
+    { ratio: 1.12, level: 3 },
+  ];
+  const MAX_HEADING_LENGTH = 120;
+
+  const MIN_TABLE_ROWS = 3;
+
+  // A page is read as two columns only if both sides look like prose
+  const MIN_COLUMN_SHARE = 0.25;
+  const MIN_COLUMN_LINE_LENGTH = 25;
+
+  function toItems(textContent) {
+    return textContent.items
+      .filter((item) => typeof item.str === "string" && item.str.trim())
+      .map((item) => {
+        const [, , c, d, x, y] = item.transform;
+        return {
+          text: item.str,
+          x,
+          y,
+          width: item.width,
+          size: Math.round((Math.hypot(c, d) || item.height || 10) * 10) / 10,
+        };
+      });
+  }
+
+  /**
+   * Most common font size, weighted by characters
+   */
+  function getBodySize(pages) {
+    const counts = new Map();
+    for (const { items } of pages) {
+      for (const item of items) {
+        counts.set(item.size, (counts.get(item.size) || 0) + item.text.length);
+      }
+    }
+    return [...counts.entries()].sort((a, b) => b[1] - a[1])[0]?.[0] || 10;
+  }
+
+  // ---- Lines ----
+
+  function groupLines(items) {
+    const sorted = [...items].sort((a, b) => b.y - a.y || a.x - b.x);
+    const lines = [];
+
+    for (const item of sorted) {
+      let line = null;
+      // Lines are sorted top-down; only the last few can still match
+      for (let i = lines.length - 1; i >= 0; i--) {
+        const tolerance = Math.max(lines[i].size, item.size) * LINE_TOLERANCE;
+        if (lines[i].y - item.y > tolerance) break;
+        if (Math.abs(lines[i].y - item.y) <= tolerance) {
+          line = lines[i];
+          break;
+        }
+      }
+
+      if (line) {
+        line.items.push(item);
+        line.size = Math.max(line.size, item.size);
+      } else {
+        lines.push({ y: item.y, size: item.size, items: [item] });
+      }
+    }
+
+    return lines.map(buildLine);
+  }
+
+  /**
+   * Join a line's items left to right; large gaps split it into
+   * segments (table cells)
+   */
+  function buildLine(line) {
+    const items = line.items.sort((a, b) => a.x - b.x);
+    const segments = [];
+    let segment = null;
+
+    for (const item of items) {
+      const gap = segment ? item.x - segment.x1 : 0;
+
+      if (!segment || gap > CELL_GAP * line.size) {
+        segment = { x: item.x, x1: item.x + item.width, text: item.text };
+        segments.push(segment);
+        continue;
+      }
+
+      const needsSpace =
+        gap > WORD_GAP * item.size &&
+        !/\s$/.test(segment.text) &&
+        !/^\s/.test(item.text);
+      segment.text += (needsSpace ? " " : "") + item.text;
+      segment.x1 = Math.max(segment.x1, item.x + item.width);
+    }
+
+    segments.forEach((s) => (s.text = s.text.replace(/\s+/g, " ").trim()));
+    return {
+      y: line.y,
+      size: line.size,
+      segments,
+      text: segments.map((s) => s.text).join(" "),
+    };
+  }
+
+  // ---- Reading order ----
+
+  /**
+   * Find an empty vertical strip in the middle of the page that separates
+   * two text columns. Returns its x position or null.
+   */
+  function findGutter(items, pageWidth) {
+    if (items.length < 20) return null;
+
+    const bins = new Uint8Array(Math.ceil(pageWidth));
+    for (const item of items) {
+      const from = Math.max(0, Math.floor(item.x));
+      const to = Math.min(bins.length - 1, Math.ceil(item.x + item.width));
+      for (let x = from; x <= to; x++) bins[x] = 1;
+    }
+
+    // Widest empty run between 30% and 70% of the page width
+    let best = null;
+    let start = null;
+    const from = Math.floor(pageWidth * 0.3);
+    const to = Math.ceil(pageWidth * 0.7);
+    for (let x = from; x <= to; x++) {
+      if (!bins[x] && start === null) start = x;
+      if ((bins[x] || x === to) && start !== null) {
+        if (!best || x - start > best.width) {
+          best = { x: (start + x) / 2, width: x - start };
+        }
+        start = null;
+      }
+    }
+    if (!best || best.width < pageWidth * 0.015) return null;
+
+    // Both sides need a fair share of prose; tables have gutters too
+    const left = items.filter((item) => item.x < best.x);
+    const right = items.filter((item) => item.x >= best.x);
+    const looksLikeProse = (side) =>
+      side.length >= items.length * MIN_COLUMN_SHARE &&
+      averageLineLength(groupLines(side)) >= MIN_COLUMN_LINE_LENGTH;
+
+    return looksLikeProse(left) && looksLikeProse(right) ? best.x : null;
+  }
+
+  function averageLineLength(lines) {
+    if (lines.length === 0) return 0;
+    return lines.reduce((sum, l) => sum + l.text.length, 0) / lines.length;
+  }
+
+  /**
+   * Lines of a page in reading order (left column before right column)
+   */
+  function readLines(items, pageWidth) {
+    const gutter = findGutter(items, pageWidth);
+    if (gutter === null) return groupLines(items);
+
+    return [
+      ...groupLines(items.filter((item) => item.x < gutter)),
+      ...groupLines(items.filter((item) => item.x >= gutter)),
+    ];
+  }
+
+  // ---- Rendering ----
+
+  function getHeadingLevel(line, bodySize) {
+    if (line.text.length > MAX_HEADING_LENGTH || line.segments.length > 1) {
+      return 0;
+    }
+    if (/[.,;:]$/.test(line.text)) return 0;
+
+    const ratio = line.size / bodySize;
+    return HEADING_SIZES.find((h) => ratio >= h.ratio)?.level || 0;
+  }
+
+  /**
+   * Number of consecutive lines from index on that form a table:
+   * at least two cells each, same cell count, no big vertical gaps
+   */
+  function tableRowCount(lines, index) {
+    const columns = lines[index].segments.length;
+    if (columns < 2) return 0;
+
+    let count = 1;
+    while (
+      index + count < lines.length &&
+      lines[index + count].segments.length === columns &&
+      lines[index + count - 1].y - lines[index + count].y <
+        lines[index + count].size * 3
+    ) {
+      count++;
+    }
+    return count;
+  }
+
+  function renderTable(lines) {
+    const rows = lines.map((line) =>
+      line.segments.map((s) => s.text.replace(/\|/g, "\\|"))
+    );
+    return [
+      `| ${rows[0].join(" | ")} |`,
+      `| ${rows[0].map(() => "---").join(" | ")} |`,
+      ...rows.slice(1).map((cells) => `| ${cells.join(" | ")} |`),
+    ].join("\n");
+  }
+
+  function renderPage(lines, bodySize) {
+    const blocks = [];
+    let paragraph = [];
+    let previous = null;
+
+    const flush = () => {
+      if (paragraph.length > 0) blocks.push(paragraph.join("\n"));
+      paragraph = [];
+    };
+
+    for (let i = 0; i < lines.length; i++) {
+      const line = lines[i];
+
+      const rows = tableRowCount(lines, i);
+      if (rows >= MIN_TABLE_ROWS) {
+        flush();
+        blocks.push(renderTable(lines.slice(i, i + rows)));
+        i += rows - 1;
+        previous = lines[i];
+        continue;
+      }
+
+      const level = getHeadingLevel(line, bodySize);
+      if (level > 0) {
+        flush();
+        blocks.push(`${"#".repeat(level)} ${line.text}`);
+        previous = line;
+        continue;
+      }
+
+      if (
+        previous &&
+        previous.y - line.y > Math.max(previous.size, line.size) * PARAGRAPH_GAP
+      ) {
+        flush();
+      }
+      paragraph.push(line.text);
+      previous = line;
+    }
+
+    flush();
+    return blocks.join("\n\n");
+  }
+
+  /**
+   * Extract a PDF (ArrayBuffer) page by page.
+   * Returns { pageCount, pages: [{ number, text }] }; text is empty for
+   * pages without a text layer.
+   */
+  async function extract(data) {
+    const pdf = await pdfjsLib.getDocument({ data }).promise;
+
+    try {
+      const pages = [];
+      for (let number = 1; number <= pdf.numPages; number++) {
+        const page = await pdf.getPage(number);
+        const textContent = await page.getTextContent();
+        pages.push({
+          number,
+          width: page.view[2] - page.view[0],
+          items: toItems(textContent),
+        });
+        page.cleanup();
+      }
+
+      const bodySize = getBodySize(pages);
+      return {
+        pageCount: pdf.numPages,
+        pages: pages.map(({ number, width, items }) => ({
+          number,
+          text: renderPage(readLines(items, width), bodySize),
+        })),
+      };
+    } finally {
+      pdf.destroy();
+    }
+  }
+
+  // Expose globally (service worker and side panel)
+  self.PdfExtractor = Object.freeze({ extract });
+})();
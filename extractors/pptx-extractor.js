@@ -0,0 +1,204 @@
+// extractors/pptx-extractor.js - PowerPoint decks (.pptx) to per-slide text
+// Requires extractors/zip-reader.js and extractors/ooxml-utils.js
+(function () {
+  "use strict";
+
+  const { getAttr, elementPattern, findElement, readTextRuns } =
+    self.OoxmlUtils;
+
+  const TITLE_PLACEHOLDERS = new Set(["title", "ctrTitle"]);
+  // Slide number, date and footer repeat on every slide
+  const SKIPPED_PLACEHOLDERS = new Set(["sldNum", "dt", "ftr", "hdr"]);
+
+  /**
+   * Slide parts in presentation order
+   */
+  async function readSlideList(zip) {
+    const presentation = (await zip.readText("ppt/presentation.xml")) || "";
+    const targets = await self.OoxmlUtils.readRelationships(
+      zip,
+      "ppt/presentation.xml"
+    );
+
+    const slides = [];
+    for (const [, attrs] of presentation.matchAll(elementPattern("sldId"))) {
+      const target = targets.get(getAttr(attrs, "r:id"));
+      if (target?.type === "slide") slides.push(target.path);
+    }
+    return slides;
+  }
+
+  /**
+   * Paragraphs of a text body: { text, level }
+   */
+  function readParagraphs(txBody) {
+    const paragraphs = [];
+    for (const [, , body] of txBody.matchAll(elementPattern("p"))) {
+      if (!body) continue;
+
+      // Line breaks inside a paragraph become their own run
+      const text = readTextRuns(
+        body.replace(/<(?:\w+:)?br\b[^>]*\/>/g, "<a:t>\n</a:t>")
+      )
+        .replace(/[^\S\n]+/g, " ")
+        .trim();
+      if (!text) continue;
+
+      const pPr = findElement(body, "pPr");
+      paragraphs.push({
+        text,
+        level: Number((pPr && getAttr(pPr.attrs, "lvl")) || 0),
+      });
+    }
+    return paragraphs;
+  }
+
+  function readTable(xml) {
+    const rows = [];
+    for (const [, , rowBody] of xml.matchAll(elementPattern("tr"))) {
+      const cells = [];
+      for (const [, , cellBody] of (rowBody || "").matchAll(
+        elementPattern("tc")
+      )) {
+        cells.push(
+          readParagraphs(cellBody || "")
+            .map((p) => p.text)
+            .join(" ")
+            .replace(/\|/g, "\\|")
+            .replace(/\s*\n\s*/g, " ")
+        );
+      }
+      rows.push(cells);
+    }
+    if (rows.length === 0) return "";
+
+    const lines = rows.map((cells) => `| ${cells.join(" | ")} |`);
+    lines.splice(1, 0, `| ${rows[0].map(() => "---").join(" | ")} |`);
+    return lines.join("\n");
+  }
+
+  /**
+   * Title and content blocks of a slide. Shapes and tables are read in
+   * document order, which is the order PowerPoint draws them in.
+   */
+  function readSlide(xml) {
+    let title = "";
+    const blocks = [];
+
+    const shapes =
+      /<(?:\w+:)?(sp|graphicFrame)(?=[\s>])[\s\S]*?<\/(?:\w+:)?\1>/g;
+    for (const [shape, kind] of xml.matchAll(shapes)) {
+      if (kind === "graphicFrame") {
+        const table = readTable(shape);
+        if (table) blocks.push(table);
+        continue;
+      }
+
+      const placeholder = findElement(shape, "ph");
+      const type = placeholder && getAttr(placeholder.attrs, "type");
+      if (SKIPPED_PLACEHOLDERS.has(type)) continue;
+
+      const txBody = findElement(shape, "txBody");
+      if (!txBody) continue;
+
+      const paragraphs = readParagraphs(txBody.body);
+      if (paragraphs.length === 0) continue;
+
+      if (TITLE_PLACEHOLDERS.has(type) && !title) {
+        title = paragraphs.map((p) => p.text).join(" ");
+        continue;
+      }
+
+      blocks.push(
+        paragraphs
+          .map(
+            (p) =>
+              `${"  ".repeat(p.level)}- ${p.text.replace(
+                /\n/g,
+                `\n${"  ".repeat(p.level + 1)}`
+              )}`
+          )
+          .join("\n")
+      );
+    }
+
+    return {
+      title,
+      blocks,
+      hidden: /<(?:\w+:)?sld\b[^>]*\sshow="(0|false)"/.test(xml),
+    };
+  }
+
+  /**
+   * Speaker notes: the body placeholder of the slide's notes page
+   */
+  async function readNotes(zip, slidePath) {
+    const rels = await self.OoxmlUtils.readRelationships(zip, slidePath);
+    const notes = [...rels.values()].find((r) => r.type === "notesSlide");
+    if (!notes) return "";
+
+    const xml = (await zip.readText(notes.path)) || "";
+    const texts = [];
+    for (const [shape] of xml.matchAll(
+      /<(?:\w+:)?sp(?=[\s>])[\s\S]*?<\/(?:\w+:)?sp>/g
+    )) {
+      const placeholder = findElement(shape, "ph");
+      if (getAttr(placeholder?.attrs || "", "type") !== "body") continue;
+
+      const txBody = findElement(shape, "txBody");
+      if (txBody) {
+        texts.push(...readParagraphs(txBody.body).map((p) => p.text));
+      }
+    }
+    return texts.join("\n");
+  }
+
+  /**
+   * Extract a presentation.
+   * options: includeHidden - also include hidden slides (default false)
+   *          includeNotes  - include speaker notes (default true)
+   * Returns { content, slideCount, slides: [{ number, title, hidden }] }
+   */
+  async function extract(buffer, options = {}) {
+    const { includeHidden = false, includeNotes = true } = options;
+
+    const zip = await self.ZipReader.open(buffer);
+    const slidePaths = await readSlideList(zip);
+    if (slidePaths.length === 0) {
+      throw new Error("Presentation contains no slides");
+    }
+
+    const slides = [];
+    const sections = [];
+
+    for (const [index, path] of slidePaths.entries()) {
+      const xml = await zip.readText(path);
+      if (!xml) continue;
+
+      const slide = readSlide(xml);
+      const number = index + 1;
+      slides.push({ number, title: slide.title, hidden: slide.hidden });
+      if (slide.hidden && !includeHidden) continue;
+
+      const notes = includeNotes ? await readNotes(zip, path) : "";
+      sections.push(
+        [
+          `## Slide ${number}${slide.title ? `: ${slide.title}` : ""}${
+            slide.hidden ? " (hidden)" : ""
+          }`,
+          ...slide.blocks,
+          ...(notes ? [`Speaker notes:\n${notes}`] : []),
+        ].join("\n")
+      );
+    }
+
+    return {
+      content: sections.join("\n\n"),
+      slideCount: slidePaths.length,
+      slides,
+    };
+  }
+
+  // Expose globally (service worker and side panel)
+  self.PptxExtractor = Object.freeze({ extract });
+})();
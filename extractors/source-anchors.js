@@ -0,0 +1,121 @@
+// extractors/source-anchors.js - Citable anchors in extracted documents
+// Page markers ([#p7]) and heading markers ([#h3]) are written into the
+// extracted text; the model cites them and the panel turns cited markers
+// into links back to the source tab. readHtmlHeadings needs
+// extractors/ooxml-utils.js.
+(function () {
+  "use strict";
+
+  // Global pattern for markers in text; match[1] is the anchor id
+  const PATTERN = /\[#([ph]\d+)\]/g;
+
+  function pagePattern() {
+    return /^--- Page (\d+) ---$/gm;
+  }
+
+  /**
+   * Add a page anchor to every "--- Page N ---" marker line.
+   * Returns { content, anchors: [{ id, type: "page", page, label }] }
+   */
+  function markPages(content) {
+    const anchors = [];
+    const marked = String(content || "").replace(
+      pagePattern(),
+      (line, page) => {
+        anchors.push({
+          id: `p${page}`,
+          type: "page",
+          page: Number(page),
+          label: `Seite ${page}`,
+        });
+        return `${line} [#p${page}]`;
+      }
+    );
+    return { content: marked, anchors };
+  }
+
+  function htmlToText(html) {
+    return self.OoxmlUtils.decodeXml(
+      html.replace(/<[^>]+>/g, "").replace(/&nbsp;/g, " ")
+    )
+      .replace(/\s+/g, " ")
+      .trim();
+  }
+
+  /**
+   * Headings of an HTML document in order: [{ text, target }]
+   * target is the element id (Google Docs: "h.xxxxxxxx") or null
+   */
+  function readHtmlHeadings(html) {
+    const headings = [];
+    for (const [, attrs, body] of String(html || "").matchAll(
+      /<h[1-6]\b([^>]*)>([\s\S]*?)<\/h[1-6]>/gi
+    )) {
+      const text = htmlToText(body);
+      if (!text) continue;
+      headings.push({
+        text,
+        target: attrs.match(/\sid="([^"]+)"/)?.[1] || null,
+      });
+    }
+    return headings;
+  }
+
+  /**
+   * Add heading anchors to the lines of content that match the given
+   * headings (in document order). Headings that can't be found are
+   * skipped.
+   * Returns { content, anchors: [{ id, type: "heading", target, label }] }
+   */
+  function markHeadings(content, headings) {
+    const lines = String(content || "").split("\n");
+    const anchors = [];
+    let lineIndex = 0;
+
+    for (const heading of headings) {
+      const index = lines.findIndex(
+        (line, i) =>
+          i >= lineIndex && line.replace(/\s+/g, " ").trim() === heading.text
+      );
+      if (index === -1) continue;
+
+      const id = `h${anchors.length + 1}`;
+      lines[index] = `${lines[index].trimEnd()} [#${id}]`;
+      anchors.push({
+        id,
+        type: "heading",
+        target: heading.target,
+        label: heading.text,
+      });
+      lineIndex = index + 1;
+    }
+
+    return { content: lines.join("\n"), anchors };
+  }
+
+  function strip(content) {
+    return String(content || "").replace(/ ?\[#[ph]\d+\]/g, "");
+  }
+
+  /**
+   * Anchors cited in a text, in order of first citation
+   */
+  function findCited(text, anchors = []) {
+    const byId = new Map(anchors.map((anchor) => [anchor.id, anchor]));
+    const cited = new Map();
+    for (const [, id] of String(text || "").matchAll(PATTERN)) {
+      if (byId.has(id) && !cited.has(id)) cited.set(id, byId.get(id));
+    }
+    return [...cited.values()];
+  }
+
+  // Expose globally (service worker and side panel)
+  self.SourceAnchors = Object.freeze({
+    PATTERN,
+    markPages,
+    readHtmlHeadings,
+    markHeadings,
+    strip,
+    findCited,
+  });
+})();
@@ -0,0 +1,445 @@
+// extractors/xlsx-extractor.js - Excel workbooks (.xlsx) to per-sheet tables
+// Requires extractors/zip-reader.js and extractors/ooxml-utils.js
+(function () {
+  "use strict";
+
+  const DEFAULT_MAX_CHARS = 200000;
+
+  // Built-in number formats that display dates/times
+  const BUILTIN_DATE_FORMATS = new Set([
+    14, 15, 16, 17, 18, 19, 20, 21, 22, 45, 46, 47,
+  ]);
+  const BUILTIN_PERCENT_FORMATS = new Set([9, 10]);
+
+  const DAY_MS = 86400000;
+  const EPOCH_1900 = Date.UTC(1899, 11, 30);
+  const EPOCH_1904 = Date.UTC(1904, 0, 1);
+
+  const { decodeXml, getAttr, elementPattern, readTextRuns } = self.OoxmlUtils;
+
+  // Text of a rich text item, without phonetic hints
+  function readRichText(xml) {
+    return readTextRuns(
+      xml.replace(/<(?:\w+:)?rPh\b[\s\S]*?<\/(?:\w+:)?rPh>/g, "")
+    );
+  }
+
+  // ---- Cell references ----
+
+  function columnIndex(letters) {
+    let index = 0;
+    for (const char of letters) {
+      index = index * 26 + (char.charCodeAt(0) - 64);
+    }
+    return index - 1;
+  }
+
+  // "B3" -> { row: 2, col: 1 }
+  function parseRef(ref) {
+    const match = /^\$?([A-Z]+)\$?(\d+)$/.exec(ref || "");
+    return match
+      ? { row: parseInt(match[2], 10) - 1, col: columnIndex(match[1]) }
+      : null;
+  }
+
+  // ---- Workbook parts ----
+
+  async function readSharedStrings(zip) {
+    const xml = await zip.readText("xl/sharedStrings.xml");
+    if (!xml) return [];
+    return [...xml.matchAll(elementPattern("si"))].map((m) =>
+      readRichText(m[2] || "")
+    );
+  }
+
+  /**
+   * Which cell styles (by index) format numbers as dates or percentages
+   */
+  async function readStyles(zip) {
+    const xml = await zip.readText("xl/styles.xml");
+    const styles = [];
+    if (!xml) return styles;
+
+    const customFormats = new Map();
+    for (const [, attrs] of xml.matchAll(elementPattern("numFmt"))) {
+      customFormats.set(
+        Number(getAttr(attrs, "numFmtId")),
+        getAttr(attrs, "formatCode") || ""
+      );
+    }
+
+    const cellXfs = xml.match(
+      /<(?:\w+:)?cellXfs\b[^>]*>([\s\S]*?)<\/(?:\w+:)?cellXfs>/
+    );
+    if (!cellXfs) return styles;
+
+    for (const [, attrs] of cellXfs[1].matchAll(elementPattern("xf"))) {
+      const id = Number(getAttr(attrs, "numFmtId") || 0);
+      // Ignore literal text and [color]/[$-locale] blocks in custom codes
+      const code = (customFormats.get(id) || "")
+        .replace(/"[^"]*"|\[[^\]]*\]|\\./g, "")
+        .toLowerCase();
+
+      styles.push({
+        isDate: BUILTIN_DATE_FORMATS.has(id) || /[dmyhs]/.test(code),
+        isPercent: BUILTIN_PERCENT_FORMATS.has(id) || code.includes("%"),
+      });
+    }
+    return styles;
+  }
+
+  /**
+   * Sheets in workbook order with the path of their XML part
+   */
+  async function readSheetList(zip) {
+    const workbook = (await zip.readText("xl/workbook.xml")) || "";
+    const targets = await self.OoxmlUtils.readRelationships(
+      zip,
+      "xl/workbook.xml"
+    );
+
+    const sheets = [];
+    for (const [, attrs] of workbook.matchAll(elementPattern("sheet"))) {
+      const target = targets.get(getAttr(attrs, "r:id"));
+      // Chart sheets have no cells
+      if (target?.type !== "worksheet") continue;
+
+      sheets.push({
+        name: getAttr(attrs, "name") || `Sheet${sheets.length + 1}`,
+        path: target.path,
+        hidden: /hidden/i.test(getAttr(attrs, "state") || ""),
+      });
+    }
+
+    return {
+      sheets,
+      date1904: /<(?:\w+:)?workbookPr\b[^>]*date1904="(1|true)"/.test(workbook),
+    };
+  }
+
+  // ---- Values ----
+
+  function formatNumber(value) {
+    // Drop binary float noise like 0.30000000000000004
+    return String(Number(value.toPrecision(15)));
+  }
+
+  function formatDate(serial, date1904) {
+    const date = new Date(
+      (date1904 ? EPOCH_1904 : EPOCH_1900) + serial * DAY_MS
+    );
+    if (Number.isNaN(date.getTime())) return formatNumber(serial);
+
+    const iso = date.toISOString();
+    const hasTime = Math.abs(serial % 1) > 1e-9;
+    if (serial < 1 && hasTime) return iso.substring(11, 16);
+    return hasTime
+      ? `${iso.substring(0, 10)} ${iso.substring(11, 16)}`
+      : iso.substring(0, 10);
+  }
+
+  /**
+   * Display value of a cell. Formulas use the value Excel cached when the
+   * file was saved; only formulas without one are shown as "=FORMULA".
+   */
+  function readCellValue(attrs, body, context) {
+    const type = getAttr(attrs, "t") || "n";
+    const raw = body.match(/<(?:\w+:)?v\b[^>]*>([\s\S]*?)<\/(?:\w+:)?v>/);
+    const value = raw ? decodeXml(raw[1]) : null;
+
+    if (type === "inlineStr") {
+      const inline = body.match(
+        /<(?:\w+:)?is\b[^>]*>([\s\S]*?)<\/(?:\w+:)?is>/
+      );
+      return inline ? readRichText(inline[1]) : "";
+    }
+
+    if (value === null) {
+      const formula = body.match(/<(?:\w+:)?f\b[^>]*>([\s\S]*?)<\/(?:\w+:)?f>/);
+      return formula ? `=${decodeXml(formula[1])}` : "";
+    }
+
+    switch (type) {
+      case "s":
+        return context.sharedStrings[Number(value)] ?? "";
+      case "b":
+        return value === "1" ? "TRUE" : "FALSE";
+      case "str":
+      case "e":
+      case "d":
+        return value;
+      default: {
+        const number = Number(value);
+        if (!Number.isFinite(number)) return value;
+
+        const style = context.styles[Number(getAttr(attrs, "s") || 0)];
+        if (style?.isDate) return formatDate(number, context.date1904);
+        if (style?.isPercent) return `${formatNumber(number * 100)}%`;
+        return formatNumber(number);
+      }
+    }
+  }
+
+  // ---- Sheets ----
+
+  /**
+   * Read a worksheet into a dense grid (rows of strings), with merged
+   * ranges filled from their top-left cell
+   */
+  function readSheet(xml, context) {
+    const cells = new Map();
+    let maxRow = -1;
+    let maxCol = -1;
+    let minCol = Infinity;
+
+    const sheetData =
+      xml.match(
+        /<(?:\w+:)?sheetData\b[^>]*>([\s\S]*?)<\/(?:\w+:)?sheetData>/
+      )?.[1] || "";
+
+    let rowIndex = -1;
+    for (const [, rowAttrs, rowBody] of sheetData.matchAll(
+      elementPattern("row")
+    )) {
+      const r = Number(getAttr(rowAttrs, "r"));
+      rowIndex = r > 0 ? r - 1 : rowIndex + 1;
+
+      let colIndex = -1;
+      for (const [, attrs, body] of (rowBody || "").matchAll(
+        elementPattern("c")
+      )) {
+        const ref = parseRef(getAttr(attrs, "r"));
+        colIndex = ref ? ref.col : colIndex + 1;
+
+        const value = readCellValue(attrs, body || "", context).trim();
+        if (!value) continue;
+
+        cells.set(`${rowIndex}:${colIndex}`, value);
+        maxRow = Math.max(maxRow, rowIndex);
+        maxCol = Math.max(maxCol, colIndex);
+        minCol = Math.min(minCol, colIndex);
+      }
+    }
+
+    const merges = [];
+    for (const [, attrs] of xml.matchAll(elementPattern("mergeCell"))) {
+      const [start, end] = (getAttr(attrs, "ref") || "").split(":");
+      const from = parseRef(start);
+      const to = parseRef(end);
+      if (!from || !to) continue;
+
+      merges.push({ from, to });
+      const value = cells.get(`${from.row}:${from.col}`);
+      if (!value) continue;
+
+      for (let row = from.row; row <= to.row; row++) {
+        for (let col = from.col; col <= to.col; col++) {
+          cells.set(`${row}:${col}`, value);
+        }
+      }
+      maxRow = Math.max(maxRow, to.row);
+      maxCol = Math.max(maxCol, to.col);
+    }
+
+    if (maxRow === -1) return { rows: [], merges: [], firstRow: 0 };
+
+    // Only rows with content, cropped to the used columns
+    const rows = [];
+    let firstRow = null;
+    for (let row = 0; row <= maxRow; row++) {
+      const values = [];
+      for (let col = minCol; col <= maxCol; col++) {
+        values.push(cells.get(`${row}:${col}`) || "");
+      }
+      if (values.some(Boolean)) {
+        if (firstRow === null) firstRow = row;
+        rows.push(values);
+      }
+    }
+
+    return { rows, merges, firstRow, minCol };
+  }
+
+  /**
+   * Header of a sheet: its first row, or the first two rows combined
+   * ("Group / Column") when the first one has horizontally merged cells
+   */
+  function splitHeader(sheet) {
+    const { rows, merges, firstRow } = sheet;
+    const groupedHeader =
+      rows.length > 2 &&
+      merges.some(
+        (m) =>
+          m.from.row === firstRow &&
+          m.to.row === firstRow &&
+          m.to.col > m.from.col
+      );
+
+    if (!groupedHeader) {
+      return { header: rows[0] || [], body: rows.slice(1) };
+    }
+
+    const [top, bottom] = rows;
+    return {
+      header: top.map((group, i) =>
+        !group || group === bottom[i]
+          ? bottom[i]
+          : bottom[i]
+          ? `${group} / ${bottom[i]}`
+          : group
+      ),
+      body: rows.slice(2),
+    };
+  }
+
+  // ---- Rendering ----
+
+  function markdownCell(value) {
+    return value.replace(/\|/g, "\\|").replace(/\s*\n\s*/g, " ");
+  }
+
+  function csvCell(value) {
+    return /[",;\n]/.test(value) ? `"${value.replace(/"/g, '""')}"` : value;
+  }
+
+  function renderRow(values, format) {
+    return format === "csv"
+      ? values.map(csvCell).join(",")
+      : `| ${values.map(markdownCell).join(" | ")} |`;
+  }
+
+  function renderHeader(header, format) {
+    const names = header.map((name, i) => name || `Column ${i + 1}`);
+    const lines = [renderRow(names, format)];
+    if (format !== "csv") {
+      lines.push(`| ${names.map(() => "---").join(" | ")} |`);
+    }
+    return lines.join("\n");
+  }
+
+  /**
+   * Share a character budget between sheets: small sheets keep all their
+   * rows, the rest is split evenly between the larger ones
+   */
+  function allocateBudget(sizes, maxChars) {
+    const budgets = new Array(sizes.length).fill(0);
+    const order = sizes
+      .map((size, index) => ({ size, index }))
+      .sort((a, b) => a.size - b.size);
+
+    let remaining = maxChars;
+    order.forEach(({ size, index }, position) => {
+      const share = Math.floor(remaining / (order.length - position));
+      budgets[index] = Math.min(size, share);
+      remaining -= budgets[index];
+    });
+    return budgets;
+  }
+
+  /**
+   * Extract a workbook.
+   * options: sheets   - sheet names to include (default: all visible)
+   *          maxChars - character budget for all tables together
+   *          maxRows  - row limit per sheet
+   *          format   - "markdown" (default) or "csv"
+   * Returns { content, sheets: [{ name, rows, columns, hidden, included,
+   *           shownRows }] }
+   */
+  async function extract(buffer, options = {}) {
+    const {
+      sheets: selection = null,
+      maxChars = DEFAULT_MAX_CHARS,
+      maxRows = null,
+      format = "markdown",
+    } = options;
+
+    const zip = await self.ZipReader.open(buffer);
+    const { sheets, date1904 } = await readSheetList(zip);
+    if (sheets.length === 0) {
+      throw new Error("Workbook contains no worksheets");
+    }
+
+    const context = {
+      sharedStrings: await readSharedStrings(zip),
+      styles: await readStyles(zip),
+      date1904,
+    };
+
+    // Unknown names in the selection (renamed sheets) fall back to all
+    const wanted = selection?.filter((name) =>
+      sheets.some((s) => s.name === name)
+    );
+    const isIncluded = (sheet) =>
+      wanted?.length ? wanted.includes(sheet.name) : !sheet.hidden;
+
+    const parsed = [];
+    for (const sheet of sheets) {
+      const summary = {
+        name: sheet.name,
+        hidden: sheet.hidden,
+        included: isIncluded(sheet),
+        rows: 0,
+        columns: 0,
+        shownRows: 0,
+      };
+
+      const xml = await zip.readText(sheet.path);
+      const grid = xml ? readSheet(xml, context) : { rows: [] };
+      const { header, body } = splitHeader(grid);
+      summary.rows = body.length;
+      summary.columns = header.length;
+
+      parsed.push({
+        summary,
+        header,
+        lines: body
+          .slice(0, maxRows ?? body.length)
+          .map((row) => renderRow(row, format)),
+      });
+    }
+
+    const included = parsed.filter(
+      (p) => p.summary.included && p.summary.columns > 0
+    );
+    const budgets = allocateBudget(
+      included.map((p) => p.lines.reduce((sum, l) => sum + l.length + 1, 0)),
+      Math.max(0, maxChars - included.length * 200)
+    );
+
+    const blocks = included.map((p, i) => {
+      const { summary } = p;
+      const lines = [];
+      let used = 0;
+      for (const line of p.lines) {
+        if (used + line.length + 1 > budgets[i]) break;
+        lines.push(line);
+        used += line.length + 1;
+      }
+      summary.shownRows = lines.length;
+
+      const omitted = summary.rows - lines.length;
+      return [
+        `## Sheet: ${summary.name} (${summary.rows} rows × ${summary.columns} columns)`,
+        renderHeader(p.header, format),
+        ...lines,
+        ...(omitted > 0 ? [`… ${omitted} more rows omitted`] : []),
+      ].join("\n");
+    });
+
+    const skipped = parsed
+      .filter((p) => !p.summary.included)
+      .map((p) => p.summary.name);
+
+    return {
+      content: [
+        `Sheets: ${sheets.map((s) => s.name).join(", ")}`,
+        ...(skipped.length > 0 ? [`Not included: ${skipped.join(", ")}`] : []),
+        ...blocks,
+      ].join("\n\n"),
+      sheets: parsed.map((p) => p.summary),
+    };
+  }
+
+  // Expose globally (service worker and side panel)
+  self.XlsxExtractor = Object.freeze({ extract });
+})();
@@ -0,0 +1,137 @@
+// extractors/zip-reader.js - Minimal ZIP reader for OOXML packages
+(function () {
+  "use strict";
+
+  const EOCD_SIGNATURE = 0x06054b50;
+  const CENTRAL_SIGNATURE = 0x02014b50;
+  const LOCAL_SIGNATURE = 0x04034b50;
+
+  // End of central directory record: 22 bytes + up to 64k comment
+  const EOCD_MIN_SIZE = 22;
+  const EOCD_MAX_SEARCH = EOCD_MIN_SIZE + 0xffff;
+
+  const METHOD_STORED = 0;
+  const METHOD_DEFLATE = 8;
+
+  const utf8 = new TextDecoder("utf-8");
+
+  function findEndOfCentralDirectory(view) {
+    const stop = Math.max(0, view.byteLength - EOCD_MAX_SEARCH);
+    for (let i = view.byteLength - EOCD_MIN_SIZE; i >= stop; i--) {
+      if (view.getUint32(i, true) === EOCD_SIGNATURE) return i;
+    }
+    throw new Error("Not a ZIP archive");
+  }
+
+  function readCentralDirectory(bytes) {
+    const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+    const eocd = findEndOfCentralDirectory(view);
+
+    const count = view.getUint16(eocd + 10, true);
+    let offset = view.getUint32(eocd + 16, true);
+    if (offset === 0xffffffff) {
+      throw new Error("ZIP64 archives are not supported");
+    }
+
+    const entries = new Map();
+    for (let i = 0; i < count; i++) {
+      if (view.getUint32(offset, true) !== CENTRAL_SIGNATURE) {
+        throw new Error("Corrupt ZIP central directory");
+      }
+
+      const nameLength = view.getUint16(offset + 28, true);
+      const extraLength = view.getUint16(offset + 30, true);
+      const commentLength = view.getUint16(offset + 32, true);
+      const name = utf8.decode(
+        bytes.subarray(offset + 46, offset + 46 + nameLength)
+      );
+
+      entries.set(name, {
+        name,
+        method: view.getUint16(offset + 10, true),
+        compressedSize: view.getUint32(offset + 20, true),
+        size: view.getUint32(offset + 24, true),
+        localOffset: view.getUint32(offset + 42, true),
+      });
+
+      offset += 46 + nameLength + extraLength + commentLength;
+    }
+
+    return { view, entries };
+  }
+
+  async function inflateRaw(data) {
+    const stream = new Blob([data])
+      .stream()
+      .pipeThrough(new DecompressionStream("deflate-raw"));
+    return new Uint8Array(await new Response(stream).arrayBuffer());
+  }
+
+  /**
+   * Open a ZIP archive (ArrayBuffer or Uint8Array).
+   * Entries are inflated lazily when read.
+   */
+  async function open(buffer) {
+    const bytes =
+      buffer instanceof Uint8Array ? buffer : new Uint8Array(buffer);
+    const { view, entries } = readCentralDirectory(bytes);
+
+    const archive = {
+      list() {
+        return [...entries.keys()];
+      },
+
+      has(name) {
+        return entries.has(name);
+      },
+
+      async readBytes(name) {
+        const entry = entries.get(name);
+        if (!entry) return null;
+
+        const local = entry.localOffset;
+        if (view.getUint32(local, true) !== LOCAL_SIGNATURE) {
+          throw new Error(`Corrupt ZIP entry: ${name}`);
+        }
+
+        // The local header has its own name/extra lengths
+        const start =
+          local +
+          30 +
+          view.getUint16(local + 26, true) +
+          view.getUint16(local + 28, true);
+        const data = bytes.subarray(start, start + entry.compressedSize);
+
+        if (entry.method === METHOD_STORED) return data;
+        if (entry.method === METHOD_DEFLATE) return inflateRaw(data);
+        throw new Error(`Unsupported ZIP compression method ${entry.method}`);
+      },
+
+      async readText(name) {
+        const data = await archive.readBytes(name);
+        return data ? utf8.decode(data) : null;
+      },
+    };
+
+    return archive;
+  }
+
+  const ZipReader = {
+    open,
+
+    // OOXML files (docx/xlsx/pptx) start with a local file header "PK\x03\x04"
+    isZip(buffer) {
+      const bytes = new Uint8Array(buffer, 0, Math.min(4, buffer.byteLength));
+      return (
+        bytes.length === 4 &&
+        bytes[0] === 0x50 &&
+        bytes[1] === 0x4b &&
+        bytes[2] === 0x03 &&
+        bytes[3] === 0x04
+      );
+    },
+  };
+
+  // Expose globally (service worker and side panel)
+  self.ZipReader = Object.freeze(ZipReader);
+})();
@@ -35,6 +35,14 @@
     return window.AuthService?.getActiveDomain() || null;
   }
 
+  // Error thrown when a request is cancelled through its AbortSignal
+  function createAbortError(partialContent = "") {
+    const error = new Error("Aborted");
+    error.name = "AbortError";
+    error.partialContent = partialContent;
+    return error;
+  }
+
   // Public API - simplified
   window.APIService = {
     async checkAuth() {
@@ -74,6 +82,38 @@
       return response.data;
     },
 
+    // Models enabled for the tenant
+    async fetchModels() {
+      const domain = getCurrentDomain();
+      const data = await apiRequest(domain, "MODELS");
+
+      // Accept both { models: [...] } and a bare array
+      return Array.isArray(data) ? data : data?.models || [];
+    },
+
+    // Assistants configured for the tenant
+    async fetchAssistants() {
+      const domain = getCurrentDomain();
+      const data = await apiRequest(domain, "ASSISTANTS");
+
+      // Accept both { assistants: [...] } and a bare array
+      return Array.isArray(data) ? data : data?.assistants || [];
+    },
+
+    // Files of a Datenspeicher folder
+    async fetchFolderFiles(folderId) {
+      if (!folderId) throw new Error("Missing folder id");
+
+      const domain = getCurrentDomain();
+      const data = await apiRequest(
+        domain,
+        window.CONFIG.buildFolderFilesEndpoint(folderId)
+      );
+
+      // Accept { files: [...] }, { documents: [...] } and a bare array
+      return Array.isArray(data) ? data : data?.files || data?.documents || [];
+    },
+
     async uploadAudio(folderId, filename, audioBlob) {
       if (!folderId || !audioBlob)
         throw new Error("Missing required parameters");
@@ -159,9 +199,19 @@
       return response.data;
     },
 
-    async sendChatMessage(payload) {
+    async sendChatMessage(payload, { signal } = {}) {
       const domain = getCurrentDomain();
       if (!domain) throw new Error("No domain configured");
+      if (signal?.aborted) throw createAbortError();
+
+      // Let the service worker cancel the fetch when the signal fires
+      const requestId = `req-${Date.now()}-${Math.random()
+        .toString(36)
+        .substr(2, 9)}`;
+      const onAbort = () => {
+        chrome.runtime.sendMessage({ type: "ABORT_REQUEST", requestId });
+      };
+      signal?.addEventListener("abort", onAbort, { once: true });
 
       // Debug log
       debug.log("[APIService] Sending chat payload:", payload);
@@ -179,9 +229,16 @@
           },
           credentials: "include",
           body: JSON.stringify(payload), // Make sure this is stringified
+          requestId,
         },
       });
 
+      signal?.removeEventListener("abort", onAbort);
+
+      if (response?.aborted || signal?.aborted) {
+        throw createAbortError();
+      }
+
       if (!response?.success) {
         throw new Error(response?.error || "API request failed");
       }
@@ -189,11 +246,118 @@
       return response.data;
     },
 
-    openCompanyGPT() {
+    // Stream a chat message through the service worker.
+    // onChunk receives each text chunk and the text accumulated so far;
+    // the returned promise resolves with the complete response text.
+    // Aborting the signal rejects with an AbortError carrying the
+    // partial text received so far.
+    streamChatMessage(payload, { onChunk, signal } = {}) {
+      const domain = getCurrentDomain();
+      if (!domain) return Promise.reject(new Error("No domain configured"));
+      if (signal?.aborted) return Promise.reject(createAbortError());
+
+      debug.log("[APIService] Streaming chat payload:", payload);
+
+      return new Promise((resolve, reject) => {
+        const port = chrome.runtime.connect({ name: "chat-stream" });
+        let fullText = "";
+        let settled = false;
+
+        const settle = (callback) => {
+          if (settled) return;
+          settled = true;
+          port.disconnect();
+          callback();
+        };
+
+        port.onMessage.addListener((message) => {
+          switch (message.type) {
+            case "STREAM_CHUNK":
+              fullText += message.chunk;
+              onChunk?.(message.chunk, fullText);
+              break;
+            case "STREAM_DONE":
+              settle(() => resolve(fullText));
+              break;
+            case "STREAM_ERROR":
+              settle(() => reject(new Error(message.error || "Stream failed")));
+              break;
+          }
+        });
+
+        port.onDisconnect.addListener(() => {
+          if (settled) return;
+          settled = true;
+          reject(new Error("Stream connection closed"));
+        });
+
+        signal?.addEventListener(
+          "abort",
+          () => {
+            if (settled) return;
+            port.postMessage({ type: "STREAM_ABORT" });
+            settle(() => reject(createAbortError(fullText)));
+          },
+          { once: true }
+        );
+
+        port.postMessage({
+          type: "STREAM_REQUEST",
+          data: {
+            url: `https://${domain}.506.ai/api/qr/chat`,
+            method: "POST",
+            headers: {
+              "Content-Type": "application/json",
+              Accept: "application/json",
+            },
+            body: JSON.stringify(payload),
+          },
+        });
+      });
+    },
+
+    // Server-side chat history
+    async fetchChats(folderId = null) {
+      const domain = getCurrentDomain();
+      const query = folderId ? `?folderId=${encodeURIComponent(folderId)}` : "";
+
+      const data = await apiRequest(
+        domain,
+        `${window.CONFIG.ENDPOINTS.CHATS}${query}`
+      );
+
+      // Accept both { chats: [...] } and a bare array
+      return Array.isArray(data) ? data : data?.chats || [];
+    },
+
+    async fetchChat(chatId) {
+      if (!chatId) throw new Error("Missing chat id");
+
+      const domain = getCurrentDomain();
+      const data = await apiRequest(
+        domain,
+        `${window.CONFIG.ENDPOINTS.CHATS}/${encodeURIComponent(chatId)}`
+      );
+
+      return data?.chat || data;
+    },
+
+    async deleteChat(chatId) {
+      if (!chatId) throw new Error("Missing chat id");
+
+      const domain = getCurrentDomain();
+      return await apiRequest(
+        domain,
+        `${window.CONFIG.ENDPOINTS.CHATS}/${encodeURIComponent(chatId)}`,
+        { method: "DELETE" }
+      );
+    },
+
+    openCompanyGPT(path = "") {
       const domain = getCurrentDomain();
       if (!domain) throw new Error("No domain configured");
 
-      chrome.tabs.create({ url: window.CONFIG.buildUrl(domain) });
+      chrome.tabs.create({ url: window.CONFIG.buildUrl(domain, path) });
     },
   };
 })();
@@ -32,17 +32,19 @@
     // Chat
     chat: {
       messages: [],
+      branches: {}, // Alternative continuations, see ConversationBranches
       sessionId: null,
       isStreaming: false,
       currentIntent: null, // 'email-reply', 'doc-summary', etc.
       folderId: null,
-      roleId: null,
-      selectedModel: {
-        id: "gemini-2.5-flash",
-        name: "Gemini 2.5 Flash",
-        maxLength: 980000, // Updated to match actual limit
-        tokenLimit: 980000,
-      },
+      roleId: null, // Role sent with requests (see RoleSelector)
+      roleOverride: null, // Role chosen for the current conversation
+      // { id, name, maxLength, tokenLimit }, see ModelsConfig.toSelection
+      selectedModel: window.ModelsConfig.toSelection(
+        window.ModelsConfig.getDefault()
+      ),
+      selectedAssistant: null, // { id, name } CompanyGPT assistant
+      generation: null, // { preset, temperature }, null = per intent
       lastUserIntent: null,
       // ADD THE NEW PROPERTIES HERE ↓↓↓
       multiStepProcess: {
@@ -73,6 +75,7 @@
       isSharePoint: false,
       metadata: {},
       extractionMethod: null,
+      attachments: [], // Extra tabs: { tabId, title, url, label, content }
     },
 
     // UI State
@@ -88,6 +91,7 @@
       currentDomain: null,
       useContext: true, // Settings flag
       sidebarOpen: true,
+      compareMode: false, // Questions go to several models at once
     },
 
     // Persistent Settings
@@ -104,9 +108,28 @@
         signature: "", // For future: full signature text
       },
       modelSelection: {
-        selectedModelId: "gemini-2.5-flash", // Persisted selection
+        selectedModelId: null, // Persisted selection (null = default model)
+        unavailableModelId: null, // Saved model the tenant no longer offers
         lastChanged: null,
       },
+      promptTemplates: [], // { id, name, command, prompt, scopes[] }
+      datenspeicherFavorites: [], // { id, name, folders: [{ id, name }] }
+      defaultRoleId: null, // null = the tenant's default role
+      compareModelIds: [], // Models for compare mode (2-3)
+      compareLayout: "tabs", // 'tabs' | 'columns'
+    },
+
+    // CompanyGPT roles ({ id, name, description, isDefault })
+    roles: {
+      available: [],
+    },
+
+    // Datenspeicher (RAG folders)
+    datenspeicher: {
+      selected: [], // [{ id, name }] folders used for questions
+      selectedFiles: [], // [{ id, name, folderId }] restricts to these files
+      available: null,
+      cacheTime: null,
     },
 
     // Tab/Page Info
@@ -249,6 +272,7 @@
     clearChat() {
       store.batch({
         "chat.messages": [],
+        "chat.branches": {},
         "chat.sessionId": null,
         "chat.currentIntent": null,
       });
@@ -296,25 +320,28 @@
     },
 
     // UI actions
+    // New arrays: the store doesn't notify when the same array is set
     showError(message) {
-      const errors = store.get("ui.errors") || [];
-      errors.push({
-        id: Date.now(),
-        message,
-        timestamp: Date.now(),
-      });
-      store.set("ui.errors", errors);
+      store.set("ui.errors", [
+        ...(store.get("ui.errors") || []),
+        {
+          id: Date.now(),
+          message,
+          timestamp: Date.now(),
+        },
+      ]);
     },
 
     showNotification(message, type = "info") {
-      const notifications = store.get("ui.notifications") || [];
-      notifications.push({
-        id: Date.now(),
-        message,
-        type,
-        timestamp: Date.now(),
-      });
-      store.set("ui.notifications", notifications);
+      store.set("ui.notifications", [
+        ...(store.get("ui.notifications") || []),
+        {
+          id: Date.now(),
+          message,
+          type,
+          timestamp: Date.now(),
+        },
+      ]);
     },
 
     setLoading(isLoading) {
@@ -43,6 +43,7 @@
       "chatHistory",
       "chatSessionId",
       "companygpt-state",
+      "companygpt-conversations",
     ]);
 
     // Clear cache
@@ -6,6 +6,8 @@
     COOKIE_NAME: "__Secure-next-auth.session-token",
     BASE_DOMAIN: ".506.ai",
     LOGIN_PATH: "/de/login?callbackUrl=%2F",
+    CHAT_PATH: "/de/chat/",
+    DATA_COLLECTION_PATH: "/de/datacollections/",
 
     // API endpoints (will be built dynamically)
     ENDPOINTS: Object.freeze({
@@ -13,6 +15,9 @@
       FOLDERS: "/folders",
       UPLOAD_MEDIA: "/vs/uploadMedia",
       CRAWL_URL: "/vs/crawlUrl",
+      CHATS: "/chats",
+      ASSISTANTS: "/assistants",
+      MODELS: "/models",
     }),
 
     // Build URLs dynamically based on domain
@@ -30,6 +35,18 @@
     buildLoginUrl(domain) {
       return this.buildUrl(domain, this.LOGIN_PATH);
     },
+
+    buildChatPath(chatId) {
+      return `${this.CHAT_PATH}${encodeURIComponent(chatId)}`;
+    },
+
+    buildDataCollectionPath(collectionId) {
+      return `${this.DATA_COLLECTION_PATH}${encodeURIComponent(collectionId)}`;
+    },
+
+    buildFolderFilesEndpoint(folderId) {
+      return `${this.ENDPOINTS.FOLDERS}/${encodeURIComponent(folderId)}/files`;
+    },
   });
 
   // Expose globally
@@ -13,6 +13,10 @@
     auth: true,
     api: true,
     chat: true,
+    conversations: true,
+    prompts: true,
+    slash: true,
+    ocr: true,
     context: true,
     background: true,
     content: true,
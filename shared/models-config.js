@@ -5,8 +5,8 @@
 
   const debug = window.Debug.create("models");
   debug.log("[ModelsConfig] Inside IIFE, defining models...");
-  // Model definitions matching 506.ai backend exactly
-  const AVAILABLE_MODELS = Object.freeze([
+  // Bundled model list, used until (or if) the tenant's catalogue loads
+  const BUNDLED_MODELS = Object.freeze([
     {
       id: "gpt-4o",
       name: "GPT-4 Omni",
@@ -59,32 +59,159 @@
     },
   ]);
 
+  const CACHE_KEY = "modelCatalog";
+  const CACHE_TTL = 6 * 60 * 60 * 1000; // 6 hours
+  // Used for tenant models without limits that aren't bundled either
+  const FALLBACK_TOKEN_LIMIT = 90000;
+
+  // Current catalogue: the tenant's models once loaded, else the bundled ones
+  let models = BUNDLED_MODELS;
+  let source = "bundled"; // "bundled", "tenant" or "cache" (stale tenant list)
+  let loading = null;
+
+  function findBundled(modelId) {
+    return BUNDLED_MODELS.find((m) => m.id === modelId);
+  }
+
+  // { id, name, maxLength, tokenLimit, provider, isDefault } from a backend
+  // entry; limits missing there are taken from the bundled model
+  function normalize(entry) {
+    const id = entry?.id || entry?.modelId || entry?.key;
+    if (!id || entry.enabled === false || entry.active === false) return null;
+
+    const bundled = findBundled(id);
+    const tokenLimit =
+      entry.tokenLimit ||
+      entry.contextWindow ||
+      entry.maxLength ||
+      bundled?.tokenLimit ||
+      FALLBACK_TOKEN_LIMIT;
+
+    return Object.freeze({
+      id,
+      name: entry.name || entry.displayName || bundled?.name || id,
+      maxLength: entry.maxLength || bundled?.maxLength || tokenLimit,
+      tokenLimit,
+      provider: (entry.provider || bundled?.provider || "").toLowerCase(),
+      isDefault: !!(entry.isDefault || entry.default),
+    });
+  }
+
+  function setModels(list, newSource) {
+    const changed =
+      newSource !== source ||
+      list.length !== models.length ||
+      list.some((m, i) => m.id !== models[i].id);
+
+    models = Object.freeze(list);
+    source = newSource;
+    debug.log(`[ModelsConfig] Using ${list.length} models (${newSource})`);
+
+    if (changed) {
+      window.dispatchEvent(new CustomEvent("models-changed"));
+    }
+  }
+
+  async function readCache(domain) {
+    try {
+      const result = await chrome.storage.local.get(CACHE_KEY);
+      const cached = result[CACHE_KEY];
+      return cached?.domain === domain && cached.models?.length ? cached : null;
+    } catch {
+      return null;
+    }
+  }
+
+  async function fetchCatalogue(forceRefresh) {
+    const domain = window.AuthService?.getActiveDomain() || null;
+    if (!domain) return models;
+
+    const cached = await readCache(domain);
+    if (!forceRefresh && cached && Date.now() - cached.fetchedAt < CACHE_TTL) {
+      setModels(cached.models.map(normalize).filter(Boolean), "tenant");
+      return models;
+    }
+
+    try {
+      const fetched = (await window.APIService.fetchModels())
+        .map(normalize)
+        .filter(Boolean);
+      if (fetched.length === 0) throw new Error("Empty model list");
+
+      await chrome.storage.local.set({
+        [CACHE_KEY]: { domain, fetchedAt: Date.now(), models: fetched },
+      });
+      setModels(fetched, "tenant");
+    } catch (error) {
+      console.warn("[ModelsConfig] Could not load models:", error.message);
+      // Offline: an outdated tenant list beats the bundled one
+      if (cached) {
+        setModels(cached.models.map(normalize).filter(Boolean), "cache");
+      } else {
+        setModels(BUNDLED_MODELS, "bundled");
+      }
+    }
+
+    return models;
+  }
+
   // Helper functions
   const ModelsConfig = {
+    /**
+     * Load the tenant's model catalogue (cached for CACHE_TTL).
+     * Never throws; falls back to the cached or bundled list.
+     * Fires "models-changed" on window when the list changes.
+     */
+    load({ forceRefresh = false } = {}) {
+      if (!loading) {
+        loading = fetchCatalogue(forceRefresh).finally(() => {
+          loading = null;
+        });
+      }
+      return loading;
+    },
+
+    // Whether the list reflects the tenant (fresh or cached)
+    isFromTenant() {
+      return source !== "bundled";
+    },
+
     // Get all available models
     getAll() {
-      return AVAILABLE_MODELS;
+      return models;
     },
 
     // Get model by ID
     getById(modelId) {
-      return AVAILABLE_MODELS.find((m) => m.id === modelId);
+      return models.find((m) => m.id === modelId);
     },
 
     // Get default model
     getDefault() {
-      return AVAILABLE_MODELS.find((m) => m.isDefault) || AVAILABLE_MODELS[6]; // Gemini Flash
+      return models.find((m) => m.isDefault) || models[0];
+    },
+
+    // Model as stored in chat.selectedModel
+    toSelection(model) {
+      return model
+        ? {
+            id: model.id,
+            name: model.name,
+            maxLength: model.maxLength,
+            tokenLimit: model.tokenLimit,
+          }
+        : null;
     },
 
-    // Get model display name
+    // Get model display name (also for models the tenant has retired)
     getDisplayName(modelId) {
-      const model = this.getById(modelId);
+      const model = this.getById(modelId) || findBundled(modelId);
       return model ? model.name : modelId;
     },
 
     // Validate if model ID exists
     isValidModel(modelId) {
-      return AVAILABLE_MODELS.some((m) => m.id === modelId);
+      return models.some((m) => m.id === modelId);
     },
   };
 
@@ -6,6 +6,16 @@ import { DatenspeicherSelector } from "./modules/datenspeicher-selector.js";
 import { ProcessMessage } from "./modules/process-message.js";
 import { debounce } from "./modules/utils.js"; // ADD THIS LINE!
 import { AudioRecorder } from "./modules/audio-recorder.js";
+import { ConversationManager } from "./modules/conversation-manager.js";
+import { intentRegistry } from "./modules/intent-registry.js";
+import { PromptLibrary } from "./modules/prompt-library.js";
+import { SlashCommands } from "./modules/slash-commands.js";
+import { SourceNavigator } from "./modules/source-navigator.js";
+import { AssistantSelector } from "./modules/assistant-selector.js";
+import { RoleSelector } from "./modules/role-selector.js";
+import { ModelComparison } from "./modules/model-comparison.js";
+import { generationSettings } from "./modules/generation-settings.js";
+import { MessageControls } from "./modules/message-controls.js";
 
 class CompanyGPTChat {
   constructor() {
@@ -20,6 +30,7 @@ class CompanyGPTChat {
     this.contextManager = null;
     this.processMessage = new ProcessMessage();
     this.audioRecorder = new AudioRecorder(this.store);
+    this.sourceNavigator = new SourceNavigator();
     this.uploadFolderId = null;
 
     // Cache UI element refs
@@ -36,6 +47,11 @@ class CompanyGPTChat {
       this.debug.log("[App] Model state changed:", model);
       this.updateModelIndicator();
     });
+
+    // Send button doubles as stop button while a response streams
+    this.store.subscribe("chat.isStreaming", (isStreaming) => {
+      this.updateSendButton(isStreaming);
+    });
     // Auth state changes
     this.store.subscribe("auth.isAuthenticated", (isAuth) => {
       this.debug.log("[App] Auth state changed:", isAuth);
@@ -59,16 +75,37 @@ class CompanyGPTChat {
       }
     });
 
+    // UI notifications from modules (store.actions.showNotification)
+    this.store.subscribe("ui.notifications", (notifications) => {
+      const latest = notifications?.[notifications.length - 1];
+      if (latest) {
+        this.showNotification(latest.message, latest.type);
+      }
+    });
+
     // Context changes
     this.store.subscribe("context.isLoaded", (isLoaded) => {
       this.debug.log("[App] Context loaded state:", isLoaded);
     });
 
+    // Template buttons follow the library while a context is shown
+    this.store.subscribe("settings.promptTemplates", () => {
+      if (this.contextManager?.hasContext()) {
+        this.renderTemplateActions(this.contextManager.getContextForMessage());
+      }
+    });
+
     // Active view changes
     this.store.subscribe("ui.activeView", (view) => {
       this.debug.log("[App] View changed to:", view);
       this.showView(view);
-      this.setActiveButton(view === "chat" ? "btnChat" : "btnSettings");
+      this.setActiveButton(
+        {
+          chat: "btnChat",
+          history: "btnHistory",
+          upload: "btnUpload",
+        }[view] || "btnSettings"
+      );
     });
   }
 
@@ -78,6 +115,15 @@ class CompanyGPTChat {
     try {
       // Initialize modules (but not chat controller yet)
       this.messageRenderer = new MessageRenderer();
+      this.promptLibrary = new PromptLibrary(this.store, this.messageRenderer);
+      this.assistantSelector = new AssistantSelector(
+        this.store,
+        this.messageRenderer
+      );
+      this.roleSelector = new RoleSelector(this.store, this.messageRenderer);
+      this.slashCommands = new SlashCommands(this);
+      this.modelComparison = new ModelComparison(this);
+      this.messageControls = new MessageControls(this);
 
       await this.initializeModelSelection();
 
@@ -86,6 +132,13 @@ class CompanyGPTChat {
 
       // Setup event listeners
       this.setupEventListeners();
+      this.promptLibrary.initSettingsUI();
+      this.assistantSelector.initSettingsUI();
+      this.roleSelector.initUI();
+      this.modelComparison.initUI();
+      generationSettings.initUI();
+      this.messageControls.initUI();
+      this.slashCommands.attach(this.elements.messageInput);
 
       // Initialize ContextManager AFTER UI setup
       this.contextManager = new ContextManager(this);
@@ -101,7 +154,10 @@ class CompanyGPTChat {
 
       // Initialize DatenspeicherSelector after ContextManager
       try {
-        this.datenspeicherSelector = new DatenspeicherSelector(this.store);
+        this.datenspeicherSelector = new DatenspeicherSelector(
+          this.store,
+          this.messageRenderer
+        );
         this.debug.log("[App] DatenspeicherSelector initialized");
       } catch (dsErr) {
         console.warn(
@@ -141,9 +197,11 @@ class CompanyGPTChat {
       // Views
       viewChat: document.getElementById("view-chat"),
       viewSettings: document.getElementById("view-settings"),
+      viewHistory: document.getElementById("view-history"),
 
       // Icon buttons
       btnChat: document.getElementById("btn-chat"),
+      btnHistory: document.getElementById("btn-history"),
       btnSettings: document.getElementById("btn-settings"),
       btnClearChat: document.getElementById("btn-clear-chat"),
 
@@ -152,6 +210,10 @@ class CompanyGPTChat {
       messageInput: document.getElementById("message-input"),
       sendButton: document.getElementById("send-button"),
 
+      // Conversation history
+      conversationList: document.getElementById("conversation-list"),
+      btnNewConversation: document.getElementById("btn-new-conversation"),
+
       // Settings
       currentDomain: document.getElementById("current-domain"),
       useContext: document.getElementById("use-context"),
@@ -181,63 +243,37 @@ class CompanyGPTChat {
   async initializeModelSelection() {
     this.debug.log("[App] Initializing model selection...");
 
-    const models = window.ModelsConfig.getAll();
-    const currentModelId =
-      this.store.get("settings.modelSelection.selectedModelId") ||
-      "gemini-2.5-flash";
-    const currentModel = window.ModelsConfig.getById(currentModelId);
-
-    // Update dropdown button with current selection
     const dropdownButton = document.getElementById("model-dropdown-button");
     const dropdownMenu = document.getElementById("model-dropdown-menu");
-    const currentDisplay = document.getElementById("model-dropdown-current");
-    const tokensDisplay = document.getElementById("model-dropdown-tokens");
 
     if (!dropdownButton || !dropdownMenu) {
       console.warn("[App] Dropdown elements not found");
       return;
     }
 
-    // Set current model display
-    if (currentModel) {
-      currentDisplay.textContent = currentModel.name;
-      tokensDisplay.textContent = `${(currentModel.tokenLimit / 1000).toFixed(
-        0
-      )}k tokens`;
-    }
+    this.renderModelDropdown();
 
-    // Populate dropdown menu
-    dropdownMenu.innerHTML = models
-      .map(
-        (model) => `
-        <div class="model-dropdown-option ${
-          model.id === currentModelId ? "selected" : ""
-        }" 
-            data-model-id="${model.id}">
-          <span class="model-option-name">${model.name}</span>
-          <span class="model-option-tokens">${(model.tokenLimit / 1000).toFixed(
-            0
-          )}k tokens</span>
-          ${
-            model.id === currentModelId
-              ? '<span class="model-option-check">✓</span>'
-              : ""
-          }
-        </div>
-      `
-      )
-      .join("");
+    // Listeners only once; this runs again after login
+    if (this.modelSelectionInitialized) return;
+    this.modelSelectionInitialized = true;
 
-    // Remove existing event listeners to prevent duplicates
-    const newDropdownButton = dropdownButton.cloneNode(true);
-    dropdownButton.parentNode.replaceChild(newDropdownButton, dropdownButton);
+    // Start with the persisted model (conversations may override it)
+    const savedModel = window.ModelsConfig.getById(
+      this.store.get("settings.modelSelection.selectedModelId")
+    );
+    if (savedModel) {
+      this.store.set(
+        "chat.selectedModel",
+        window.ModelsConfig.toSelection(savedModel)
+      );
+    }
 
     // Toggle dropdown
-    newDropdownButton.addEventListener("click", (e) => {
+    dropdownButton.addEventListener("click", (e) => {
       e.stopPropagation();
       const isOpen = dropdownMenu.style.display !== "none";
       dropdownMenu.style.display = isOpen ? "none" : "block";
-      newDropdownButton.classList.toggle("open", !isOpen);
+      dropdownButton.classList.toggle("open", !isOpen);
       this.debug.log("[App] Dropdown toggled:", !isOpen ? "open" : "closed");
     });
 
@@ -251,52 +287,14 @@ class CompanyGPTChat {
 
       this.handleModelChange(modelId);
       dropdownMenu.style.display = "none";
-      newDropdownButton.classList.remove("open");
-
-      // Update dropdown button display immediately
-      const model = window.ModelsConfig.getById(modelId);
-      if (model) {
-        const currentDisplay = document.getElementById(
-          "model-dropdown-current"
-        );
-        const tokensDisplay = document.getElementById("model-dropdown-tokens");
-
-        if (currentDisplay) currentDisplay.textContent = model.name;
-        if (tokensDisplay) {
-          tokensDisplay.textContent = `${(model.tokenLimit / 1000).toFixed(
-            0
-          )}k tokens`;
-        }
-
-        // Update selected state in dropdown
-        dropdownMenu
-          .querySelectorAll(".model-dropdown-option")
-          .forEach((opt) => {
-            opt.classList.remove("selected");
-            const check = opt.querySelector(".model-option-check");
-            if (check) check.remove();
-          });
-
-        option.classList.add("selected");
-        if (!option.querySelector(".model-option-check")) {
-          option.insertAdjacentHTML(
-            "beforeend",
-            '<span class="model-option-check">✓</span>'
-          );
-        }
-      }
+      dropdownButton.classList.remove("open");
     });
 
     // Close dropdown when clicking outside - use capture phase
     document.addEventListener(
       "click",
       (e) => {
-        const dropdownButton = document.getElementById("model-dropdown-button");
-        const dropdownMenu = document.getElementById("model-dropdown-menu");
-
         if (
-          dropdownButton &&
-          dropdownMenu &&
           !dropdownButton.contains(e.target) &&
           !dropdownMenu.contains(e.target)
         ) {
@@ -307,9 +305,109 @@ class CompanyGPTChat {
       true
     ); // Use capture phase
 
+    // The tenant's catalogue replaces the bundled list once loaded
+    window.addEventListener("models-changed", () => {
+      this.validateModelSelection();
+      this.renderModelDropdown();
+    });
+
     this.debug.log("[App] Model selection dropdown initialized");
   }
 
+  renderModelDropdown() {
+    const models = window.ModelsConfig.getAll();
+    const currentModelId =
+      this.store.get("settings.modelSelection.selectedModelId") ||
+      window.ModelsConfig.getDefault()?.id;
+    const currentModel = window.ModelsConfig.getById(currentModelId);
+    const formatTokens = (model) =>
+      `${(model.tokenLimit / 1000).toFixed(0)}k tokens`;
+
+    const dropdownMenu = document.getElementById("model-dropdown-menu");
+    const currentDisplay = document.getElementById("model-dropdown-current");
+    const tokensDisplay = document.getElementById("model-dropdown-tokens");
+
+    // Set current model display
+    if (currentModel) {
+      currentDisplay.textContent = currentModel.name;
+      tokensDisplay.textContent = formatTokens(currentModel);
+    }
+
+    // Populate dropdown menu
+    dropdownMenu.innerHTML = models
+      .map(
+        (model) => `
+        <div class="model-dropdown-option ${
+          model.id === currentModelId ? "selected" : ""
+        }" 
+            data-model-id="${this.messageRenderer.escapeHtml(model.id)}">
+          <span class="model-option-name">${this.messageRenderer.escapeHtml(
+            model.name
+          )}</span>
+          <span class="model-option-tokens">${formatTokens(model)}</span>
+          ${
+            model.id === currentModelId
+              ? '<span class="model-option-check">✓</span>'
+              : ""
+          }
+        </div>
+      `
+      )
+      .join("");
+
+    // Flag a saved model the tenant has retired
+    const warning = document.getElementById("model-unavailable-warning");
+    const unavailableId = this.store.get(
+      "settings.modelSelection.unavailableModelId"
+    );
+    if (warning) {
+      warning.textContent = unavailableId
+        ? `„${window.ModelsConfig.getDisplayName(
+            unavailableId
+          )}“ wird nicht mehr angeboten – stattdessen wird ${
+            currentModel?.name || "das Standardmodell"
+          } verwendet.`
+        : "";
+      warning.style.display = unavailableId ? "" : "none";
+    }
+  }
+
+  /**
+   * Replace persisted models the tenant no longer offers by its default.
+   * Only checked against the tenant's list, not the bundled fallback.
+   */
+  validateModelSelection() {
+    if (!window.ModelsConfig.isFromTenant()) return;
+
+    const fallback = window.ModelsConfig.getDefault();
+    const savedId = this.store.get("settings.modelSelection.selectedModelId");
+
+    if (savedId && !window.ModelsConfig.isValidModel(savedId)) {
+      console.warn("[App] Saved model no longer available:", savedId);
+      this.store.batch({
+        "settings.modelSelection.selectedModelId": fallback.id,
+        "settings.modelSelection.unavailableModelId": savedId,
+      });
+      this.showNotification(
+        `„${window.ModelsConfig.getDisplayName(
+          savedId
+        )}“ ist nicht mehr verfügbar – ${fallback.name} wird verwendet`
+      );
+    }
+
+    const current = this.store.get("chat.selectedModel");
+    if (current && !window.ModelsConfig.isValidModel(current.id)) {
+      this.store.set(
+        "chat.selectedModel",
+        window.ModelsConfig.toSelection(
+          window.ModelsConfig.getById(
+            this.store.get("settings.modelSelection.selectedModelId")
+          ) || fallback
+        )
+      );
+    }
+  }
+
   showNotification(message, type = "info") {
     this.debug.log(`[App] ${type.toUpperCase()}: ${message}`);
 
@@ -322,7 +420,9 @@ class CompanyGPTChat {
       top: 60px;
       right: 20px;
       padding: 12px 20px;
-      background: ${type === "success" ? "#22c55e" : "#0ea5e9"};
+      background: ${
+        { success: "#22c55e", error: "#ef4444" }[type] || "#0ea5e9"
+      };
       color: white;
       border-radius: 8px;
       z-index: 1000;
@@ -349,16 +449,18 @@ class CompanyGPTChat {
     }
 
     // Update settings in store
-    this.store.set("settings.modelSelection.selectedModelId", modelId);
-    this.store.set("settings.modelSelection.lastChanged", Date.now());
+    this.store.batch({
+      "settings.modelSelection.selectedModelId": modelId,
+      "settings.modelSelection.unavailableModelId": null,
+      "settings.modelSelection.lastChanged": Date.now(),
+    });
 
     // Update chat state with full model object
-    this.store.set("chat.selectedModel", {
-      id: model.id,
-      name: model.name,
-      maxLength: model.maxLength,
-      tokenLimit: model.tokenLimit,
-    });
+    this.store.set(
+      "chat.selectedModel",
+      window.ModelsConfig.toSelection(model)
+    );
+    this.renderModelDropdown();
 
     // Show confirmation
     this.showNotification(
@@ -660,6 +762,22 @@ class CompanyGPTChat {
       this.setActiveButton("btnChat");
     });
 
+    this.elements.btnHistory?.addEventListener("click", () => {
+      this.showView("history");
+      this.setActiveButton("btnHistory");
+    });
+
+    this.elements.btnNewConversation?.addEventListener("click", () => {
+      this.startNewConversation();
+    });
+
+    // Keep the list in sync with saves from the ConversationManager
+    window.addEventListener("conversations-changed", () => {
+      if (this.store.get("ui.activeView") === "history") {
+        this.renderConversationList();
+      }
+    });
+
     this.elements.btnUpload = document.getElementById("btn-upload");
     this.elements.viewUpload = document.getElementById("view-upload");
 
@@ -677,16 +795,25 @@ class CompanyGPTChat {
       this.confirmClearChat();
     });
 
-    // Send message
-    this.elements.sendButton?.addEventListener("click", () =>
-      this.sendMessage()
-    );
+    // Send message (or stop the running response)
+    this.elements.sendButton?.addEventListener("click", () => {
+      if (this.store.get("chat.isStreaming")) {
+        this.stopGeneration();
+      } else {
+        this.sendMessage();
+      }
+    });
 
     // Enter key to send (but allow Shift+Enter for new line)
     this.elements.messageInput?.addEventListener("keydown", (e) => {
+      // Slash command popup gets the keys first
+      if (this.slashCommands?.handleKeydown(e)) return;
+
       if (e.key === "Enter" && !e.shiftKey) {
         e.preventDefault();
-        this.sendMessage();
+        if (!this.store.get("chat.isStreaming")) {
+          this.sendMessage();
+        }
       }
     });
 
@@ -807,21 +934,17 @@ class CompanyGPTChat {
         const isDropdownClick = clickedElement.closest(".button-dropdown");
         const isMainClick = clickedElement.closest(".button-main");
         if (!hasSelection) {
-          if (this.datenspeicherSelector) {
-            this.datenspeicherSelector.open();
-          }
+          this.datenspeicherSelector?.open({ purpose: "reply" });
         } else {
           if (isDropdownClick) {
-            if (this.datenspeicherSelector) {
-              this.datenspeicherSelector.open();
-            }
+            this.datenspeicherSelector?.open({ purpose: "reply" });
           } else if (isMainClick) {
-            const selectedFolder =
-              this.datenspeicherSelector?.getSelectedFolder();
-            if (selectedFolder) {
+            const folders =
+              this.datenspeicherSelector?.getSelectedFolders() || [];
+            if (folders.length > 0) {
               this.handleDatenspeicherReply({
-                folderId: selectedFolder.id,
-                folderName: selectedFolder.name,
+                folders,
+                files: this.datenspeicherSelector.getSelectedFiles(),
               });
             }
           }
@@ -866,7 +989,18 @@ class CompanyGPTChat {
         return;
       }
 
-      // 3) Other context action buttons (e.g., summarize)
+      // 3) User-defined prompt templates
+      const templateButton = e.target.closest(".template-action-btn");
+      if (templateButton) {
+        this.runPromptTemplate(
+          templateButton.dataset.templateId,
+          "",
+          templateButton
+        );
+        return;
+      }
+
+      // 4) Other context action buttons (e.g., summarize)
       const otherButton = e.target.closest(".context-action-btn");
       if (otherButton) {
         const action = otherButton.dataset.action;
@@ -876,6 +1010,19 @@ class CompanyGPTChat {
       }
     });
 
+    // Page context toggle
+    if (this.elements.useContext) {
+      this.elements.useContext.checked = this.isContextEnabled();
+      this.elements.useContext.addEventListener("change", (e) => {
+        this.store.set("ui.useContext", e.target.checked);
+      });
+    }
+    this.store.subscribe("ui.useContext", (enabled) => {
+      if (this.elements.useContext) {
+        this.elements.useContext.checked = enabled !== false;
+      }
+    });
+
     // Email configuration inputs
     const emailSenderInput = document.getElementById("email-sender-name");
     const emailSignatureInput = document.getElementById("email-signature");
@@ -906,6 +1053,11 @@ class CompanyGPTChat {
     window.addEventListener("datenspeicher-selected", (e) => {
       this.handleDatenspeicherReply(e.detail);
     });
+
+    // Render streamed chat responses as they arrive
+    window.addEventListener("chatUpdate", (e) => {
+      this.handleChatUpdate(e.detail);
+    });
   }
 
   confirmClearChat() {
@@ -921,8 +1073,13 @@ class CompanyGPTChat {
   async clearChatHistory() {
     this.debug.log("[App] Clearing all chat data");
 
-    // Use store action
-    this.store.actions.clearChat();
+    // Deleting the active conversation also clears the chat state
+    const sessionId = this.store.get("chat.sessionId");
+    if (this.conversationManager && sessionId) {
+      await this.conversationManager.delete(sessionId);
+    } else {
+      this.store.actions.clearChat();
+    }
 
     // Clear storage
     await chrome.storage.local.remove(["chatHistory", "chatSessionId"]);
@@ -1000,6 +1157,7 @@ class CompanyGPTChat {
   setActiveButton(buttonName) {
     // Remove active class from ALL buttons
     this.elements.btnChat?.classList.remove("active");
+    this.elements.btnHistory?.classList.remove("active");
     this.elements.btnUpload?.classList.remove("active");
     this.elements.btnSettings?.classList.remove("active");
 
@@ -1010,6 +1168,7 @@ class CompanyGPTChat {
   showView(which) {
     // Hide all views
     this.elements.viewChat?.style.setProperty("display", "none");
+    this.elements.viewHistory?.style.setProperty("display", "none");
     this.elements.viewUpload?.style.setProperty("display", "none");
     this.elements.viewSettings?.style.setProperty("display", "none");
 
@@ -1021,6 +1180,14 @@ class CompanyGPTChat {
         this.elements.viewChat?.style.removeProperty("display");
         if (inputArea) inputArea.style.display = "flex"; // Show input area for chat
         break;
+      case "history":
+        this.elements.viewHistory?.style.removeProperty("display");
+        if (inputArea) inputArea.style.display = "none"; // Hide input area for history
+        this.renderConversationList();
+        if (this.store.get("ui.activeView") !== "history") {
+          this.conversationManager?.syncServerChats();
+        }
+        break;
       case "upload":
         this.elements.viewUpload?.style.removeProperty("display");
         if (inputArea) inputArea.style.display = "none"; // Hide input area for upload
@@ -1325,12 +1492,20 @@ class CompanyGPTChat {
 
     if (!message) return;
 
+    // Remember the text so a stopped request can hand it back
+    this.pendingInput = message;
+
     // Clear input immediately
     this.elements.messageInput.value = "";
     this.elements.messageInput.style.height = "auto";
 
     this.debug.log("[App] User sending message:", message);
 
+    // "/command args" runs a slash command or prompt template
+    if (await this.slashCommands?.execute(message)) {
+      return;
+    }
+
     await this.processSendMessage(message);
   }
 
@@ -1401,7 +1576,10 @@ class CompanyGPTChat {
   - Schreibe eine vollständige, kurze Email-Antwort (keine unnötigen Zusatzinfos)`;
 
       // Show a lightweight UX message
-      this.addMessage(`Email-Antwort mit Infos: ${text}`, "user");
+      const questionEl = this.addMessage(
+        `Email-Antwort mit Infos: ${text}`,
+        "user"
+      );
 
       // Ensure chat is ready
       if (!this.chatController || !this.chatController.isInitialized) {
@@ -1440,9 +1618,8 @@ class CompanyGPTChat {
           return;
         }
 
-        if (response && response.content) {
-          const messageId = this.startStreamingMessage();
-          await this.streamText(messageId, response.content, 3);
+        if (response && (response.content || response._cancelled)) {
+          this.completeStreamingMessage(response, questionEl);
         } else {
           this.addMessage("⚠️ Keine Antwort erhalten.", "error");
         }
@@ -1455,50 +1632,32 @@ class CompanyGPTChat {
       return; // Exit early – do not continue with normal flow
     }
 
+    // ===== Compare mode: same question to several models =====
+    if (this.store.get("ui.compareMode")) {
+      await this.modelComparison.compare(text);
+      return;
+    }
+
     // ===== Normal message flow =====
     this.debug.log("[App] Processing message:", text);
 
     // Add user message to UI
-    this.addMessage(text, "user");
+    const questionEl = this.addMessage(text, "user");
 
     // Show thinking indicator
     const thinkingId = this.showTypingIndicator();
 
     try {
-      // Include context if present
+      // Include context if present (and not switched off)
       let context = null;
-      if (this.contextManager && this.contextManager.hasContext()) {
+      if (this.isContextEnabled() && this.contextManager?.hasContext()) {
         context = this.contextManager.getContextForMessage();
         this.debug.log("[App] Including context with message");
       }
 
-      // Detect intent only for email contexts
-      let intent = null;
-      const isEmailContext =
-        !!context?.isEmail ||
-        !!context?.isGmail ||
-        !!context?.isOutlook ||
-        !!context?.emailProvider;
-
-      if (isEmailContext) {
-        const lowerMessage = (text || "").toLowerCase();
-        if (
-          lowerMessage.includes("beantworte") ||
-          lowerMessage.includes("antwort") ||
-          lowerMessage.includes("reply")
-        ) {
-          intent = "email-reply";
-          this.store.set("chat.lastUserIntent", intent);
-          this.store.set("chat.currentIntent", intent);
-        }
-      }
-
-      this.debug.log("[App] Sending to chat controller with intent:", intent);
-      const response = await this.chatController.sendMessage(
-        text,
-        context,
-        intent
-      );
+      // The controller picks the intent via the IntentRegistry
+      this.debug.log("[App] Sending to chat controller");
+      const response = await this.chatController.sendMessage(text, context);
 
       // Remove thinking indicator
       this.removeTypingIndicator(thinkingId);
@@ -1511,14 +1670,13 @@ class CompanyGPTChat {
         return;
       }
 
-      if (!response || !response.content) {
+      if (!response || (!response.content && !response._cancelled)) {
         this.addMessage("⚠️ Keine Antwort erhalten.", "error");
         return;
       }
 
-      // Stream the response
-      const messageId = this.startStreamingMessage();
-      await this.streamText(messageId, response.content, 3);
+      // Finalize the streamed response
+      this.completeStreamingMessage(response, questionEl);
     } catch (error) {
       console.error("[App] Failed to send message:", error);
       this.removeTypingIndicator(thinkingId);
@@ -1543,7 +1701,16 @@ class CompanyGPTChat {
 
       this.debug.log("[App] Chat controller ready");
 
-      if (
+      if (!this.conversationManager) {
+        this.conversationManager = new ConversationManager();
+        await this.conversationManager.initialize();
+        this.datenspeicherSelector?.syncFromStore();
+      }
+
+      const storedMessages = this.store.get("chat.messages") || [];
+      if (storedMessages.length > 0) {
+        this.renderConversation(storedMessages);
+      } else if (
         this.elements.messagesContainer &&
         !this.elements.messagesContainer.querySelector(".welcome-shown")
       ) {
@@ -1559,6 +1726,215 @@ class CompanyGPTChat {
     }
   }
 
+  /**
+   * Re-render a stored conversation into the message container
+   */
+  renderConversation(messages = []) {
+    const container = this.elements.messagesContainer;
+    if (!container) return;
+
+    container.innerHTML = "";
+
+    if (messages.length === 0) {
+      container.innerHTML = `
+        <div class="message assistant welcome-shown">
+          ✨ Neuer Chat. Du kannst jetzt Fragen stellen.
+        </div>
+      `;
+      return;
+    }
+
+    messages.forEach((message) => {
+      if (message.role === "process") {
+        this.addMessage(message._processData || message.content, "process");
+      } else if (message.role === "user") {
+        this.messageControls?.attach(
+          this.addMessage(message._originalText || message.content, "user"),
+          message.id
+        );
+      } else if (message._isError) {
+        this.messageControls?.attach(
+          this.addMessage(message.content, "error"),
+          message.id
+        );
+      } else {
+        const messageEl = document.createElement("div");
+        container.appendChild(messageEl);
+        this.messageControls?.attach(messageEl, message.id);
+
+        if (message._cancelled) {
+          this.showCancelledMessage(messageEl, message.content);
+          return;
+        }
+
+        messageEl.className = "message assistant";
+        messageEl.innerHTML = this.renderAssistantContent(
+          message.content,
+          message.references
+        );
+        if (message._intent) {
+          this.addResponseActions(messageEl, message.content, message._intent);
+        }
+        this.bindSourceAnchors(messageEl, message.references);
+        this.appendSources(messageEl, message.sources);
+        this.modelComparison?.appendNote(messageEl, message);
+      }
+    });
+
+    this.messageControls?.refresh();
+    this.scrollToBottom();
+  }
+
+  renderConversationList() {
+    const list = this.elements.conversationList;
+    if (!list || !this.conversationManager) return;
+
+    const conversations = this.conversationManager.getAll();
+    const activeId = this.store.get("chat.sessionId");
+
+    if (conversations.length === 0) {
+      list.innerHTML =
+        '<div class="conversation-empty">Noch keine gespeicherten Chats</div>';
+      return;
+    }
+
+    list.innerHTML = conversations
+      .map((c) => {
+        const count = c.remote ? c.messageCount : c.messages?.length || 0;
+        const meta = [
+          this.formatConversationDate(c.updatedAt),
+          count != null ? `${count} Nachrichten` : null,
+          c.remote ? "☁️ CompanyGPT" : null,
+        ]
+          .filter(Boolean)
+          .join(" · ");
+
+        // Server-only chats can be opened or deleted, not pinned/renamed
+        const localActions = c.remote
+          ? ""
+          : `<button class="conversation-action" data-action="pin" title="${
+              c.pinned ? "Lösen" : "Anheften"
+            }">📌</button>
+            <button class="conversation-action" data-action="rename" title="Umbenennen">✏️</button>`;
+
+        return `
+        <div class="conversation-item${c.id === activeId ? " active" : ""}${
+          c.pinned ? " pinned" : ""
+        }${c.remote ? " remote" : ""}" data-id="${c.id}">
+          <div class="conversation-main" data-action="open">
+            <div class="conversation-title">${
+              c.pinned ? "📌 " : ""
+            }${this.messageRenderer.escapeHtml(c.title)}</div>
+            <div class="conversation-meta">${meta}</div>
+          </div>
+          <div class="conversation-actions">
+            ${localActions}
+            <button class="conversation-action" data-action="web" title="In CompanyGPT öffnen">🌐</button>
+            <button class="conversation-action" data-action="delete" title="Löschen">🗑️</button>
+          </div>
+        </div>
+      `;
+      })
+      .join("");
+
+    list.querySelectorAll("[data-action]").forEach((el) => {
+      el.addEventListener("click", (e) => {
+        e.stopPropagation();
+        const id = el.closest(".conversation-item")?.dataset.id;
+        this.handleConversationAction(el.dataset.action, id);
+      });
+    });
+  }
+
+  async handleConversationAction(action, id) {
+    const manager = this.conversationManager;
+    const conversation = manager?.getById(id);
+    if (!conversation) return;
+
+    switch (action) {
+      case "open":
+        await this.switchConversation(id);
+        break;
+      case "pin":
+        await manager.togglePin(id);
+        break;
+      case "rename": {
+        const title = prompt("Neuer Name für den Chat:", conversation.title);
+        if (title !== null) await manager.rename(id, title);
+        break;
+      }
+      case "web":
+        window.APIService.openCompanyGPT(window.CONFIG.buildChatPath(id));
+        break;
+      case "delete": {
+        if (!confirm(`Chat „${conversation.title}“ löschen?`)) break;
+
+        // Server copies are only deleted on explicit confirmation
+        const remote =
+          conversation.remote ||
+          (conversation.synced &&
+            confirm("Auch in CompanyGPT (Server-Verlauf) löschen?"));
+        const wasActive = id === this.store.get("chat.sessionId");
+
+        try {
+          await manager.delete(id, { remote });
+          if (wasActive) this.renderConversation([]);
+        } catch (error) {
+          console.error("[App] Failed to delete conversation:", error);
+          this.showError("Chat konnte nicht gelöscht werden");
+        }
+        break;
+      }
+    }
+  }
+
+  async switchConversation(id) {
+    if (this.store.get("chat.isStreaming")) {
+      this.showNotification("Bitte warte, bis die Antwort fertig ist", "info");
+      return;
+    }
+
+    let conversation;
+    try {
+      conversation = await this.conversationManager?.switchTo(id);
+    } catch (error) {
+      console.error("[App] Failed to open conversation:", error);
+      this.showError("Chat konnte nicht geladen werden");
+      return;
+    }
+    if (!conversation) return;
+
+    this.datenspeicherSelector?.syncFromStore();
+
+    this.renderConversation(conversation.messages);
+    this.showView("chat");
+    this.setActiveButton("btnChat");
+  }
+
+  async startNewConversation() {
+    if (this.store.get("chat.isStreaming")) return;
+
+    await this.conversationManager?.startNew();
+    this.datenspeicherSelector?.syncFromStore();
+    this.renderConversation([]);
+    this.showView("chat");
+    this.setActiveButton("btnChat");
+    this.elements.messageInput?.focus();
+  }
+
+  formatConversationDate(timestamp) {
+    const date = new Date(timestamp || Date.now());
+    const isToday = date.toDateString() === new Date().toDateString();
+
+    return isToday
+      ? date.toLocaleTimeString("de-DE", { hour: "2-digit", minute: "2-digit" })
+      : date.toLocaleDateString("de-DE", {
+          day: "2-digit",
+          month: "2-digit",
+          year: "numeric",
+        });
+  }
+
   addMessage(content, role = "assistant") {
     // Special handling for process messages
     if (role === "process") {
@@ -1581,57 +1957,11 @@ class CompanyGPTChat {
 
       this.debug.log("[App] Last user intent:", lastUserIntent);
 
-      if (lastUserIntent && lastUserIntent !== "general") {
-        this.debug.log("[App] Should show buttons for intent:", lastUserIntent);
-
-        const processedContent = this.messageRenderer.renderMarkdown(content);
-
-        const containerDiv = document.createElement("div");
-        containerDiv.className = "message-with-actions";
-
-        const contentDiv = document.createElement("div");
-        contentDiv.className = "message-content";
-        contentDiv.innerHTML = processedContent;
-        containerDiv.appendChild(contentDiv);
-
-        const buttonsDiv = document.createElement("div");
-        buttonsDiv.className = "action-buttons";
-
-        // Copy button (always present)
-        const copyBtn = document.createElement("button");
-        copyBtn.className = "action-btn copy-btn";
-        copyBtn.innerHTML = "📋 Kopieren";
-        copyBtn.onclick = () => {
-          navigator.clipboard.writeText(content);
-          copyBtn.innerHTML = "✅ Kopiert!";
-          copyBtn.classList.add("success");
-          setTimeout(() => {
-            copyBtn.innerHTML = "📋 Kopieren";
-            copyBtn.classList.remove("success");
-          }, 2000);
-        };
-        buttonsDiv.appendChild(copyBtn);
-
-        // Add intent-specific buttons
-        if (lastUserIntent === "email-reply") {
-          const replyBtn = document.createElement("button");
-          replyBtn.className = "action-btn gmail-reply-btn";
-          replyBtn.innerHTML = "↩️ Als Antwort einfügen";
-          replyBtn.onclick = () => this.handleEmailReply(content);
-          buttonsDiv.appendChild(replyBtn);
-        } else if (lastUserIntent === "email-new") {
-          const composeBtn = document.createElement("button");
-          composeBtn.className = "action-btn gmail-compose-btn";
-          composeBtn.innerHTML = "✉️ Neue E-Mail";
-          composeBtn.onclick = () => this.handleGmailCompose(content);
-          buttonsDiv.appendChild(composeBtn);
-        }
-
-        containerDiv.appendChild(buttonsDiv);
-        messageEl.appendChild(containerDiv);
-      } else {
-        messageEl.innerHTML = this.messageRenderer.renderMarkdown(content);
-      }
+      messageEl.innerHTML = this.messageRenderer.renderWithActions(
+        content,
+        lastUserIntent
+      );
+      this.bindResponseActions(messageEl, content);
     } else {
       // User messages and errors as plain text
       messageEl.textContent = content;
@@ -1646,6 +1976,8 @@ class CompanyGPTChat {
         chatContainer.scrollTop = chatContainer.scrollHeight;
       }
     });
+
+    return messageEl;
   }
 
   // Change this method from handleGmailReply to handleEmailReply
@@ -1794,8 +2126,7 @@ class CompanyGPTChat {
     };
   }
 
-  startStreamingMessage() {
-    const messageId = `message-${Date.now()}`;
+  startStreamingMessage(messageId = `message-${Date.now()}`) {
     const messageEl = document.createElement("div");
     messageEl.className = "message assistant streaming";
     messageEl.id = messageId;
@@ -1807,10 +2138,164 @@ class CompanyGPTChat {
     return messageId;
   }
 
-  async streamText(messageId, content, speed = 30) {
-    const messageEl = document.getElementById(messageId);
-    if (!messageEl) return;
+  /**
+   * Render live content for a streamed response (chatUpdate events)
+   */
+  handleChatUpdate({ messageId, content } = {}) {
+    if (!messageId || !content) return;
+
+    // JSON envelopes can only be unwrapped once the response is complete
+    if (content.trimStart().startsWith("{")) return;
+
+    const elementId = `stream-${messageId}`;
+    let messageEl = document.getElementById(elementId);
+
+    if (!messageEl) {
+      // First chunk replaces the thinking indicator
+      this.elements.messagesContainer
+        ?.querySelectorAll(".thinking-indicator")
+        .forEach((el) => el.remove());
+      this.startStreamingMessage(elementId);
+      messageEl = document.getElementById(elementId);
+    }
+
+    messageEl.innerHTML = `${this.renderAssistantContent(
+      content
+    )}<span class="streaming-cursor">▊</span>`;
+    this.scrollToBottom();
+  }
 
+  /**
+   * Replace the live streaming element with the final assistant message.
+   * questionEl is the element of the question it answers, if rendered live.
+   */
+  completeStreamingMessage(response, questionEl = null) {
+    const elementId = `stream-${response?.id}`;
+    if (!document.getElementById(elementId)) {
+      // Nothing was streamed (e.g. JSON response) - create the element now
+      this.startStreamingMessage(elementId);
+    }
+
+    if (response?._cancelled) {
+      this.showCancelledMessage(
+        document.getElementById(elementId),
+        response.content
+      );
+      this.messageControls?.attachExchange(
+        document.getElementById(elementId),
+        response.id,
+        questionEl
+      );
+      return;
+    }
+
+    this.pendingInput = null;
+    const content = response?.content || "";
+    this.finalizeAssistantMessage(
+      document.getElementById(elementId),
+      content,
+      this.renderAssistantContent(content, response?.references),
+      response?.references
+    );
+    this.appendSources(document.getElementById(elementId), response?.sources);
+    this.messageControls?.attachExchange(
+      document.getElementById(elementId),
+      response?.id,
+      questionEl
+    );
+  }
+
+  regenerateLastAnswer() {
+    return this.runBranchRequest(() =>
+      this.chatController.regenerateLastAnswer()
+    );
+  }
+
+  editAndResend(messageId, text) {
+    return this.runBranchRequest(() =>
+      this.chatController.editAndResend(messageId, text)
+    );
+  }
+
+  /**
+   * Regenerate / edit: the controller forks chat.messages before its
+   * first await, so the conversation is re-rendered from the store right
+   * away and the new answer streams in below it
+   */
+  async runBranchRequest(startRequest) {
+    if (!this.chatController?.isInitialized) return;
+
+    const request = startRequest();
+    this.renderConversation(this.store.get("chat.messages"));
+    const thinkingId = this.showTypingIndicator();
+
+    try {
+      const response = await request;
+      this.removeTypingIndicator(thinkingId);
+      if (!response) {
+        this.renderConversation(this.store.get("chat.messages"));
+        return;
+      }
+
+      if (response._isError) {
+        this.messageControls.attachExchange(
+          this.addMessage(
+            response.content || "⚠️ Fehlerhafte Antwort vom Sprachmodell.",
+            "error"
+          ),
+          response.id
+        );
+        return;
+      }
+
+      this.completeStreamingMessage(response);
+    } catch (error) {
+      console.error("[App] Failed to resend message:", error);
+      this.removeTypingIndicator(thinkingId);
+      // The previous branch is back in chat.messages
+      this.renderConversation(this.store.get("chat.messages"));
+      this.addMessage(`Fehler: ${error.message}`, "error");
+    }
+  }
+
+  /**
+   * Keep the partial answer of a stopped request, marked as cancelled
+   */
+  showCancelledMessage(messageEl, content) {
+    messageEl.className = "message assistant cancelled";
+    messageEl.innerHTML = `${
+      content ? this.renderAssistantContent(content) : ""
+    }<div class="message-cancelled-note">Antwort abgebrochen</div>`;
+
+    this.store.set("chat.currentIntent", null);
+    this.scrollToBottom();
+  }
+
+  /**
+   * Stop the running chat request and give the input back to the user
+   */
+  stopGeneration() {
+    if (!this.chatController?.abort()) return;
+
+    this.debug.log("[App] Generation stopped by user");
+
+    const input = this.elements.messageInput;
+    if (input && !input.value && this.pendingInput) {
+      input.value = this.pendingInput;
+      input.focus();
+    }
+    this.pendingInput = null;
+  }
+
+  updateSendButton(isStreaming) {
+    const button = this.elements.sendButton;
+    if (!button) return;
+
+    button.classList.toggle("is-streaming", !!isStreaming);
+    button.title = isStreaming ? "Antwort stoppen" : "Senden";
+  }
+
+  renderAssistantContent(content, references = []) {
     let processedContent = content;
 
     // Strip surrounding quotes if present
@@ -1825,9 +2310,67 @@ class CompanyGPTChat {
     processedContent = processedContent.replace(/\\n/g, "\n");
 
     // Render markdown (fallback to simple <br> replacement)
-    const finalHTML = this.messageRenderer
-      ? this.messageRenderer.renderMarkdown(processedContent)
+    return this.messageRenderer
+      ? this.messageRenderer.renderMarkdown(processedContent, { references })
       : processedContent.replace(/\n/g, "<br>");
+  }
+
+  /**
+   * Datenspeicher sources under a QA answer; a click opens the document
+   * in CompanyGPT
+   */
+  appendSources(messageEl, sources = []) {
+    if (!messageEl || sources.length === 0) return;
+
+    messageEl.insertAdjacentHTML(
+      "beforeend",
+      this.messageRenderer.renderSources(sources)
+    );
+    messageEl.querySelectorAll(".message-source").forEach((item) => {
+      item.onclick = () => {
+        try {
+          this.sourceNavigator.openDataSource(
+            sources[Number(item.dataset.sourceIndex)]
+          );
+        } catch (error) {
+          this.showError(error.message);
+        }
+      };
+    });
+  }
+
+  /**
+   * Cited anchors ([#p7]) open their position in the source document
+   */
+  bindSourceAnchors(messageEl, references = []) {
+    if (references.length === 0) return;
+
+    messageEl.querySelectorAll(".source-anchor").forEach((link) => {
+      link.onclick = async (e) => {
+        e.preventDefault();
+        const reference = references.find((r) => r.id === link.dataset.anchor);
+        if (!reference) return;
+
+        try {
+          const { scrolled } = await this.sourceNavigator.open(reference);
+          if (!scrolled) {
+            this.showNotification(
+              `Quelle geöffnet – bitte zu „${reference.label}“ scrollen`,
+              "info"
+            );
+          }
+        } catch (error) {
+          this.showError(error.message);
+        }
+      };
+    });
+  }
+
+  async streamText(messageId, content, speed = 30) {
+    const messageEl = document.getElementById(messageId);
+    if (!messageEl) return;
+
+    const finalHTML = this.renderAssistantContent(content);
 
     // Convert to plain text for smooth character-by-character streaming
     const tempDiv = document.createElement("div");
@@ -1861,6 +2404,18 @@ class CompanyGPTChat {
       await new Promise((resolve) => setTimeout(resolve, speed));
     }
 
+    this.finalizeAssistantMessage(messageEl, content, finalHTML);
+  }
+
+  /**
+   * Render the final assistant message and attach intent actions
+   */
+  finalizeAssistantMessage(
+    messageEl,
+    content,
+    finalHTML = this.renderAssistantContent(content),
+    references = []
+  ) {
     // After streaming completes and buttons are added
     messageEl.className = "message assistant";
     messageEl.innerHTML = finalHTML;
@@ -1879,13 +2434,14 @@ class CompanyGPTChat {
       (lastUserMessage?._originalIntent === "email-reply" ||
         this.store.get("context.isEmail"));
 
-    // ... add buttons logic ...
-    if (intent === "email-reply" || wasEmailDatanspeicher) {
-      this.debug.log(
-        "[App] Adding email action buttons (intent or Datenspeicher email detected)"
-      );
-      this.addEmailActionButtons(messageEl, content);
-    }
+    // Response actions declared by the intent (Datenspeicher email replies
+    // count as email-reply)
+    this.addResponseActions(
+      messageEl,
+      content,
+      wasEmailDatanspeicher ? "email-reply" : intent
+    );
+    this.bindSourceAnchors(messageEl, references);
 
     // IMPORTANT: Clear the intent after use!
     // Only preserve it during the operation, not forever
@@ -1893,139 +2449,56 @@ class CompanyGPTChat {
     this.debug.log("[App] Cleared current intent after streaming");
 
     // Final scroll after streaming complete
-    requestAnimationFrame(() => {
-      scrollDuringStream();
-      setTimeout(scrollDuringStream, 250);
-    });
+    this.scrollToBottom();
   }
 
-  // Add this new method after streamText
-  addEmailActionButtons(messageEl, originalContent) {
+  /**
+   * Wrap a rendered message with the response actions of its intent
+   */
+  addResponseActions(messageEl, originalContent, intentId) {
     const alreadyWrapped = messageEl.querySelector(".message-with-actions");
     if (alreadyWrapped) return; // Don't add twice
 
-    const buttonsDiv = document.createElement("div");
-    buttonsDiv.className = "action-buttons email-actions";
-    buttonsDiv.dataset.messageContent = originalContent; // Store the content
-
-    // Primary actions row
-    const primaryActions = document.createElement("div");
-    primaryActions.className = "action-buttons-row primary";
-
-    // Copy button
-    const copyBtn = this.createActionButton(
-      "copy",
-      "Kopieren",
-      `<svg width="14" height="14" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
-        <rect x="9" y="9" width="13" height="13" rx="2" ry="2"></rect>
-        <path d="M5 15H4a2 2 0 0 1-2-2V4a2 2 0 0 1 2-2h9a2 2 0 0 1 2 2v1"></path>
-      </svg>`,
-      () => this.handleCopyAction(originalContent)
-    );
-
-    // Reply button
-    const replyBtn = this.createActionButton(
-      "gmail-reply",
-      "Als Antwort einfügen",
-      `<svg width="14" height="14" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
-        <polyline points="9 10 4 15 9 20"></polyline>
-        <path d="M20 4v7a4 4 0 0 1-4 4H4"></path>
-      </svg>`,
-      () => this.handleEmailReply(originalContent)
-    );
-
-    primaryActions.appendChild(copyBtn);
-    primaryActions.appendChild(replyBtn);
-
-    // Variation actions row
-    const variationActions = document.createElement("div");
-    variationActions.className = "action-buttons-row variations";
-
-    // Formeller button
-    const formellerBtn = this.createActionButton(
-      "formeller",
-      "Formeller",
-      `<svg width="14" height="14" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
-        <path d="M12 2L12 14"></path>
-        <path d="M7 8L12 14L17 8"></path>
-        <path d="M5 22h14"></path>
-      </svg>`,
-      () => this.handleVariation(originalContent, "formeller")
-    );
+    const actions = intentRegistry.getResponseActions(intentId);
+    if (actions.length === 0) return;
 
-    // Informeller button
-    const informellerBtn = this.createActionButton(
-      "informeller",
-      "Informeller",
-      `<svg width="14" height="14" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
-        <circle cx="12" cy="12" r="10"></circle>
-        <path d="M8 14s1.5 2 4 2 4-2 4-2"></path>
-        <line x1="9" y1="9" x2="9.01" y2="9"></line>
-        <line x1="15" y1="9" x2="15.01" y2="9"></line>
-      </svg>`,
-      () => this.handleVariation(originalContent, "informeller")
-    );
-
-    // Kürzer button
-    const kuerzerBtn = this.createActionButton(
-      "kuerzer",
-      "Kürzer",
-      `<svg width="14" height="14" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
-        <polyline points="5 12 9 12 9 12 19 12"></polyline>
-        <polyline points="15 8 19 12 15 16"></polyline>
-        <polyline points="9 16 5 12 9 8"></polyline>
-      </svg>`,
-      () => this.handleVariation(originalContent, "kuerzer")
-    );
+    this.debug.log("[App] Adding response actions for intent:", intentId);
 
-    // Länger button
-    const laengerBtn = this.createActionButton(
-      "laenger",
-      "Länger",
-      `<svg width="14" height="14" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
-        <polyline points="9 12 5 12 5 12 5 12"></polyline>
-        <polyline points="19 12 19 12 19 12 15 12"></polyline>
-        <polyline points="9 8 5 12 9 16"></polyline>
-        <polyline points="15 16 19 12 15 8"></polyline>
-      </svg>`,
-      () => this.handleVariation(originalContent, "laenger")
+    messageEl.innerHTML = this.messageRenderer.wrapWithActionButtons(
+      messageEl.innerHTML,
+      actions
     );
+    this.bindResponseActions(messageEl, originalContent);
 
-    variationActions.appendChild(formellerBtn);
-    variationActions.appendChild(informellerBtn);
-    variationActions.appendChild(kuerzerBtn);
-    variationActions.appendChild(laengerBtn);
-
-    buttonsDiv.appendChild(primaryActions);
-    buttonsDiv.appendChild(variationActions);
-
-    // Wrap existing content and add buttons
-    const currentContent = messageEl.innerHTML;
-    messageEl.innerHTML = "";
-
-    const containerDiv = document.createElement("div");
-    containerDiv.className = "message-with-actions";
-
-    const contentDiv = document.createElement("div");
-    contentDiv.className = "message-content";
-    contentDiv.innerHTML = currentContent;
-
-    containerDiv.appendChild(contentDiv);
-    containerDiv.appendChild(buttonsDiv);
-
-    messageEl.appendChild(containerDiv);
     requestAnimationFrame(() => {
       this.scrollToBottom();
     });
   }
 
-  // Helper method to create action buttons
-  createActionButton(className, label, svgIcon, onClick) {
-    const button = document.createElement("button");
-    button.className = `action-btn ${className}-btn`;
-    button.innerHTML = `${svgIcon} <span>${label}</span>`;
-    button.onclick = onClick;
-    return button;
+  bindResponseActions(messageEl, originalContent) {
+    messageEl
+      .querySelectorAll(".action-buttons [data-action]")
+      .forEach((button) => {
+        button.onclick = () =>
+          this.runResponseAction(button.dataset.action, originalContent);
+      });
+  }
+
+  runResponseAction(actionId, content) {
+    const action = intentRegistry.getResponseAction(actionId);
+
+    switch (action?.kind) {
+      case "copy":
+        return this.handleCopyAction(content);
+      case "insert-reply":
+        return this.handleEmailReply(content);
+      case "compose":
+        return this.handleGmailCompose(content);
+      case "variation":
+        return this.handleVariation(content, actionId);
+      default:
+        console.warn("[App] Unknown response action:", actionId);
+    }
   }
 
   // Handle copy action
@@ -2060,25 +2533,12 @@ class CompanyGPTChat {
   async handleVariation(originalContent, variation) {
     this.debug.log(`[App] Requesting ${variation} variation`);
 
-    // Create the appropriate user message
-    let userMessage = "";
-    switch (variation) {
-      case "formeller":
-        userMessage = "Bitte schreibe die E-Mail formeller";
-        break;
-      case "informeller":
-        userMessage = "Bitte schreibe die E-Mail informeller";
-        break;
-      case "kuerzer":
-        userMessage = "Bitte kürze die E-Mail";
-        break;
-      case "laenger":
-        userMessage = "Bitte schreibe die E-Mail ausführlicher";
-        break;
-    }
+    // The variation's prompt comes from its response action
+    const userMessage =
+      intentRegistry.getResponseAction(variation)?.prompt || "";
 
     // Add user message to chat
-    this.addMessage(userMessage, "user");
+    const questionEl = this.addMessage(userMessage, "user");
 
     // Show thinking indicator
     const thinkingId = this.showTypingIndicator();
@@ -2108,9 +2568,8 @@ class CompanyGPTChat {
       // Remove thinking indicator
       this.removeTypingIndicator(thinkingId);
 
-      // Stream the response with action buttons
-      const messageId = this.startStreamingMessage();
-      await this.streamText(messageId, response?.content || "", 3);
+      // Finalize the streamed response with action buttons
+      this.completeStreamingMessage(response, questionEl);
     } catch (error) {
       console.error(`[App] Failed to create ${variation} variation:`, error);
       this.removeTypingIndicator(thinkingId);
@@ -2242,124 +2701,37 @@ class CompanyGPTChat {
     );
     if (button) button.classList.add("loading");
 
-    // --- Context flags ---
-    const isEmail =
-      !!context?.isEmail ||
-      !!context?.isGmail ||
-      !!context?.isOutlook ||
-      context?.emailProvider ||
-      context?.sourceType === "email";
-
-    const isGoogleDocs =
-      !!context?.isGoogleDocs || context?.sourceType === "docs";
+    // --- Resolve intent and prompt via the registry ---
+    const resolved = intentRegistry.resolveAction(action, context);
 
-    const isDocumentLike =
-      isGoogleDocs || !!context?.isDocument || !!context?.isPage;
-
-    // --- Intent handling via helper ---
-    // If determineIntentForAction is not defined, fallback to previous logic
-    const intent =
-      typeof this.determineIntentForAction === "function"
-        ? this.determineIntentForAction(action)
-        : (() => {
-            if (action === "reply" || action === "reply-with-data")
-              return "email-reply";
-            if (action === "summarize")
-              return isEmail ? "email-summary" : "document-summary";
-            return "general";
-          })();
-
-    // Start lifecycle (sets/locks any needed state internally)
-    if (typeof this.manageIntentLifecycle === "function") {
-      this.manageIntentLifecycle("start", intent);
+    if (resolved.error) {
+      console.error("[App] Context action not available:", action);
+      this.showError(resolved.error);
+      if (button) button.classList.remove("loading");
+      return;
     }
 
-    this.debug.log("[App] Setting intent for action:", action, "->", intent);
-
-    // --- Build query text ---
-    let query = "";
-
-    switch (action) {
-      case "summarize":
-        if (isEmail) {
-          query =
-            "Bitte fasse mir den Email-Verlauf zusammen und bringe mich auf den neuesten Stand.";
-        } else if (isGoogleDocs) {
-          query =
-            "Bitte fasse mir dieses Dokument zusammen und erkläre die wichtigsten Punkte.";
-        } else {
-          query = "Bitte fasse mir den Inhalt dieser Seite zusammen.";
-        }
-        break;
-
-      case "reply":
-        if (!isEmail) {
-          this.showError("Diese Aktion ist nur für E-Mails verfügbar.");
-          if (button) button.classList.remove("loading");
-          if (typeof this.manageIntentLifecycle === "function") {
-            this.manageIntentLifecycle("complete");
-          }
-          return;
-        }
-        query =
-          "Bitte beantworte mir diese Email professionell und freundlich.";
-        break;
-
-      case "reply-with-data":
-        if (!isEmail) {
-          this.showError("Diese Aktion ist nur für E-Mails verfügbar.");
-          if (button) button.classList.remove("loading");
-          if (typeof this.manageIntentLifecycle === "function") {
-            this.manageIntentLifecycle("complete");
-          }
-          return;
-        }
-        // Text hints that Datenspeicher flow will follow
-        query =
-          "Bitte beantworte mir diese Email und nutze dabei relevante Informationen aus unserem Datenspeicher.";
-        break;
-
-      case "analyze":
-        if (!isDocumentLike) {
-          this.showError("Diese Aktion ist für Dokumente gedacht.");
-          if (button) button.classList.remove("loading");
-          if (typeof this.manageIntentLifecycle === "function") {
-            this.manageIntentLifecycle("complete");
-          }
-          return;
-        }
-        query =
-          "Bitte analysiere dieses Dokument und gib mir eine detaillierte Einschätzung.";
-        break;
+    await this.runContextPrompt(resolved.prompt, context, resolved.intent.id, {
+      button,
+    });
+  }
 
-      case "ask-questions":
-        if (!isDocumentLike) {
-          this.showError("Diese Aktion ist für Dokumente gedacht.");
-          if (button) button.classList.remove("loading");
-          if (typeof this.manageIntentLifecycle === "function") {
-            this.manageIntentLifecycle("complete");
-          }
-          return;
-        }
-        query =
-          "Bitte erstelle mir wichtige Fragen zu diesem Dokument, die ich beantworten sollte.";
-        break;
+  /**
+   * Send a prebuilt prompt (context action or template) with an explicit
+   * intent. label replaces the prompt in the chat bubble if given.
+   */
+  async runContextPrompt(query, context, intent, { button, label } = {}) {
+    // Start lifecycle (sets/locks any needed state internally)
+    this.manageIntentLifecycle("start", intent);
 
-      default:
-        console.error("[App] Unknown action:", action);
-        if (button) button.classList.remove("loading");
-        if (typeof this.manageIntentLifecycle === "function") {
-          this.manageIntentLifecycle("complete");
-        }
-        return;
-    }
+    this.debug.log("[App] Running prompt with intent:", intent);
 
     try {
       if (this.elements?.messageInput) {
         this.elements.messageInput.value = "";
       }
 
-      this.addMessage(query, "user");
+      const questionEl = this.addMessage(label || query, "user");
 
       const thinkingId = this.showTypingIndicator();
 
@@ -2377,8 +2749,7 @@ class CompanyGPTChat {
 
       this.removeTypingIndicator(thinkingId);
 
-      const messageId = this.startStreamingMessage();
-      await this.streamText(messageId, response?.content || "", 3);
+      this.completeStreamingMessage(response, questionEl);
     } catch (error) {
       console.error("[App] Failed to process context action:", error);
       this.showError(`Fehler: ${error.message}`);
@@ -2391,6 +2762,84 @@ class CompanyGPTChat {
     }
   }
 
+  /**
+   * Run a prompt template from the library. input fills {{input}}
+   * (the text typed after a /command).
+   */
+  async runPromptTemplate(templateId, input = "", button = null) {
+    const template = this.promptLibrary?.getById(templateId);
+    if (!template) return;
+
+    if (!this.store.get("auth.isAuthenticated")) {
+      this.showError("Bitte melde dich erst an");
+      return;
+    }
+
+    if (!this.chatController || !this.chatController.isInitialized) {
+      try {
+        await this.initializeChat();
+      } catch (error) {
+        this.showError("Chat konnte nicht initialisiert werden");
+        return;
+      }
+    }
+
+    const context =
+      this.isContextEnabled() && this.contextManager?.hasContext()
+        ? this.contextManager.getContextForMessage()
+        : null;
+
+    const query = this.promptLibrary.render(template, context, input);
+    if (!query) return;
+
+    if (button) button.classList.add("loading");
+
+    // Templates that embed the page themselves don't need it attached again
+    const embedsPage = /\{\{\s*(page\.content|selection)\s*\}\}/.test(
+      template.prompt
+    );
+
+    await this.runContextPrompt(
+      query,
+      embedsPage ? null : context,
+      intentRegistry.detect(query, context),
+      {
+        button,
+        label: input ? `${template.name}: ${input}` : template.name,
+      }
+    );
+  }
+
+  /**
+   * Template buttons for the current page in the context bar
+   */
+  renderTemplateActions(context) {
+    const row = document.getElementById("template-actions-row");
+    if (!row) return;
+
+    const templates = context
+      ? this.promptLibrary?.getForContext(context) || []
+      : [];
+
+    row.innerHTML = templates
+      .map(
+        (t) => `
+        <button class="template-action-btn" data-template-id="${
+          t.id
+        }" title="/${this.messageRenderer.escapeHtml(t.command)}">
+          <span>${this.messageRenderer.escapeHtml(t.name)}</span>
+        </button>
+      `
+      )
+      .join("");
+    row.style.display = templates.length > 0 ? "flex" : "none";
+  }
+
+  // Page context toggle (settings checkbox and /context on|off)
+  isContextEnabled() {
+    return this.store.get("ui.useContext") !== false;
+  }
+
   manageIntentLifecycle(phase, intent = null) {
     switch (phase) {
       case "start":
@@ -2413,8 +2862,7 @@ class CompanyGPTChat {
     }
   }
 
-  // Add this method to your CompanyGPTChat class in app.js
-  // Place it after the handleContextAction method
+  // selection: { folders: [{ id, name }], files: [{ id, name, folderId }] }
   async handleDatenspeicherReply(selection) {
     this.manageIntentLifecycle("start", "email-reply");
     this.debug.log(
@@ -2456,7 +2904,12 @@ class CompanyGPTChat {
       }
     }
 
-    const query = `Bitte beantworte mir diese Email und nutze dabei relevante Informationen aus dem Datenspeicher "${selection.folderName}".`;
+    const { folders } = selection;
+    const folderLabel = folders.map((f) => `"${f.name}"`).join(", ");
+    const query =
+      folders.length === 1
+        ? `Bitte beantworte mir diese Email und nutze dabei relevante Informationen aus dem Datenspeicher ${folderLabel}.`
+        : `Bitte beantworte mir diese Email und nutze dabei relevante Informationen aus den Datenspeichern ${folderLabel}.`;
 
     try {
       if (this.elements?.messageInput) {
@@ -2474,8 +2927,9 @@ class CompanyGPTChat {
         timestamp: Date.now(),
         _context: context,
         _datenspeicherRequest: true,
-        _folderId: selection.folderId,
-        _folderName: selection.folderName,
+        _folderIds: folders.map((f) => f.id),
+        _folderNames: folders.map((f) => f.name),
+        _fileIds: (selection.files || []).map((f) => f.id),
         _originalIntent: "email-reply", // preserve original intent
       };
 
@@ -2494,8 +2948,7 @@ class CompanyGPTChat {
       const response = await this.chatController.sendDatanspeicherReply(
         query,
         context,
-        selection.folderId,
-        selection.folderName,
+        selection,
         "email-reply" // pass intent explicitly
       );
 
@@ -2513,7 +2966,7 @@ class CompanyGPTChat {
           content: response.content,
           timestamp: Date.now(),
           _fromDatanspeicher: true,
-          _folderId: selection.folderId,
+          _folderIds: folders.map((f) => f.id),
         };
 
         const updatedMessages = this.store.get("chat.messages") || [];
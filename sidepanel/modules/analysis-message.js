@@ -1,8 +1,10 @@
 // sidepanel/modules/analysis-message.js
 
 export class AnalysisMessage {
-  constructor(container) {
+  constructor(container, { title = "Email-Analyse läuft..." } = {}) {
     this.container = container;
+    this.title = title;
+    this.store = window.AppStore;
     this.currentMessageEl = null;
     this.abortController = null;
     this.currentStep = 0;
@@ -79,6 +81,11 @@ export class AnalysisMessage {
       iconEl.innerHTML = this.getRunningIcon();
     }
 
+    const textEl = stepEl.querySelector(".step-text");
+    if (textEl && text) {
+      textEl.textContent = text;
+    }
+
     // Animate the step appearance
     stepEl.style.opacity = "0";
     stepEl.style.transform = "translateY(-10px)";
@@ -99,7 +106,7 @@ export class AnalysisMessage {
     const headerEl = document.createElement("div");
     headerEl.className = "analysis-header";
     headerEl.innerHTML = `
-      <span class="analysis-title">Email-Analyse läuft...</span>
+      <span class="analysis-title">${this.escapeHtml(this.title)}</span>
       <button class="abort-button" data-action="abort">Abbrechen</button>
     `;
 
@@ -0,0 +1,188 @@
+// sidepanel/modules/assistant-selector.js
+
+/**
+ * Picks one of the assistants configured in CompanyGPT
+ * (chat.selectedAssistant = { id, name } or null).
+ *
+ * The chat sends its id as selectedAssistantId, like the web app does.
+ * The ConversationManager keeps the choice per conversation.
+ */
+export class AssistantSelector {
+  constructor(store, messageRenderer) {
+    this.debug = window.Debug.create("assistants");
+    this.store = store || window.AppStore;
+    this.messageRenderer = messageRenderer;
+
+    this.assistants = [];
+    this.isLoaded = false;
+  }
+
+  initSettingsUI() {
+    this.buttonEl = document.getElementById("assistant-dropdown-button");
+    this.menuEl = document.getElementById("assistant-dropdown-menu");
+    if (!this.buttonEl || !this.menuEl) return;
+
+    this.buttonEl.addEventListener("click", async (e) => {
+      e.stopPropagation();
+      if (this.isMenuOpen()) {
+        this.closeMenu();
+        return;
+      }
+      this.openMenu();
+      await this.load();
+      this.renderMenu();
+    });
+
+    this.menuEl.addEventListener("click", (e) => {
+      const option = e.target.closest(".model-dropdown-option");
+      if (!option) return;
+
+      this.select(option.dataset.assistantId || null);
+      this.closeMenu();
+    });
+
+    document.addEventListener("click", (e) => {
+      if (
+        this.isMenuOpen() &&
+        !this.buttonEl.contains(e.target) &&
+        !this.menuEl.contains(e.target)
+      ) {
+        this.closeMenu();
+      }
+    });
+
+    // Switching conversations changes the assistant as well
+    this.store.subscribe("chat.selectedAssistant", () => this.render());
+    this.render();
+  }
+
+  /**
+   * Fetch the tenant's assistants (once per session unless forced)
+   */
+  async load(forceRefresh = false) {
+    if (this.isLoaded && !forceRefresh) return this.assistants;
+
+    if (this.menuEl && this.assistants.length === 0) {
+      this.menuEl.innerHTML =
+        '<div class="assistant-menu-info">Lade Assistenten...</div>';
+    }
+
+    try {
+      const assistants = await window.APIService.fetchAssistants();
+      this.assistants = assistants
+        .map((assistant) => this.normalize(assistant))
+        .filter((assistant) => assistant.id);
+      this.isLoaded = true;
+      this.debug.log(
+        `[AssistantSelector] Loaded ${this.assistants.length} assistants`
+      );
+    } catch (error) {
+      console.warn("[AssistantSelector] Failed to load assistants:", error);
+    }
+
+    return this.assistants;
+  }
+
+  normalize(assistant) {
+    return {
+      id: assistant.id || assistant._id || null,
+      name: assistant.name || assistant.title || "Assistent",
+      description: assistant.description || "",
+    };
+  }
+
+  getSelected() {
+    return this.store.get("chat.selectedAssistant") || null;
+  }
+
+  select(assistantId) {
+    const assistant = this.assistants.find((a) => a.id === assistantId);
+    if (assistantId && !assistant) return;
+
+    this.store.set(
+      "chat.selectedAssistant",
+      assistant ? { id: assistant.id, name: assistant.name } : null
+    );
+    this.store.actions.showNotification(
+      assistant
+        ? `Assistent gewechselt zu ${assistant.name}`
+        : "Ohne Assistent",
+      "success"
+    );
+  }
+
+  render() {
+    const selected = this.getSelected();
+
+    const currentEl = document.getElementById("assistant-dropdown-current");
+    if (currentEl) currentEl.textContent = selected?.name || "Kein Assistent";
+
+    const indicator = document.getElementById("assistant-indicator");
+    if (indicator) {
+      indicator.textContent = selected?.name || "";
+      indicator.title = selected ? `Assistent: ${selected.name}` : "";
+      indicator.style.display = selected ? "" : "none";
+    }
+
+    if (this.isMenuOpen()) this.renderMenu();
+  }
+
+  renderMenu() {
+    if (!this.menuEl) return;
+
+    const selectedId = this.getSelected()?.id || "";
+    const options = [
+      { id: "", name: "Kein Assistent", description: "Standard-Chat" },
+      ...this.assistants,
+    ];
+
+    this.menuEl.innerHTML =
+      options
+        .map(
+          (assistant) => `
+        <div class="model-dropdown-option ${
+          assistant.id === selectedId ? "selected" : ""
+        }" data-assistant-id="${this.escapeHtml(assistant.id)}">
+          <span class="model-option-name">
+            ${this.escapeHtml(assistant.name)}
+            ${
+              assistant.description
+                ? `<span class="option-description">${this.escapeHtml(
+                    assistant.description
+                  )}</span>`
+                : ""
+            }
+          </span>
+          ${
+            assistant.id === selectedId
+              ? '<span class="model-option-check">✓</span>'
+              : ""
+          }
+        </div>
+      `
+        )
+        .join("") +
+      (this.isLoaded && this.assistants.length === 0
+        ? '<div class="assistant-menu-info">Keine Assistenten konfiguriert</div>'
+        : "");
+  }
+
+  isMenuOpen() {
+    return !!this.menuEl && this.menuEl.style.display !== "none";
+  }
+
+  openMenu() {
+    this.menuEl.style.display = "block";
+    this.buttonEl.classList.add("open");
+    this.renderMenu();
+  }
+
+  closeMenu() {
+    this.menuEl.style.display = "none";
+    this.buttonEl.classList.remove("open");
+  }
+
+  escapeHtml(text) {
+    return this.messageRenderer.escapeHtml(String(text ?? ""));
+  }
+}
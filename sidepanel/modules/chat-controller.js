@@ -1,5 +1,15 @@
 // sidepanel/modules/chat-controller.js - CLEANED VERSION
 import { AnalysisMessage } from "./analysis-message.js";
+import { intentRegistry } from "./intent-registry.js";
+import { contextBudget } from "./context-budget.js";
+import { generationSettings } from "./generation-settings.js";
+import { conversationBranches } from "./conversation-branches.js";
+
+// Internal steps whose output is searched or summarized further; they
+// don't follow the conversation's generation setting
+const EXTRACTION_TEMPERATURE = 0;
+const CHUNK_SUMMARY_TEMPERATURE = 0.1;
+const SEARCH_TEMPERATURE = 0.1;
 
 export class ChatController {
   constructor() {
@@ -28,12 +38,8 @@ export class ChatController {
 
   getCurrentModel() {
     return (
-      this.store.get("chat.selectedModel") || {
-        id: "gemini-2.5-flash",
-        name: "Gemini 2.5 Flash",
-        maxLength: 980000,
-        tokenLimit: 980000,
-      }
+      this.store.get("chat.selectedModel") ||
+      window.ModelsConfig.toSelection(window.ModelsConfig.getDefault())
     );
   }
 
@@ -44,8 +50,9 @@ export class ChatController {
     this.debug.log("Initializing with state management...");
 
     try {
-      // Load folders and roles from CompanyGPT
+      // Load folders, roles and the model catalogue from CompanyGPT
       await this.loadFoldersAndRoles();
+      await window.ModelsConfig.load();
 
       // Load stored messages if any
       const storedMessages = this.store.get("chat.messages") || [];
@@ -55,18 +62,8 @@ export class ChatController {
         this.debug.log("Restored session from store:", storedSessionId);
       }
 
-      if (storedMessages.length > 0) {
-        // Only load messages from today
-        const today = new Date().toDateString();
-        const todaysMessages = storedMessages.filter((msg) => {
-          const msgDate = new Date(msg.timestamp || Date.now()).toDateString();
-          return msgDate === today;
-        });
-
-        // Update store with filtered messages
-        this.store.set("chat.messages", todaysMessages);
-        this.debug.log(`Loaded ${todaysMessages.length} messages from store`);
-      }
+      // Older conversations are kept by the ConversationManager
+      this.debug.log(`Loaded ${storedMessages.length} messages from store`);
 
       // Set up message handlers
       this.setupMessageHandlers();
@@ -116,14 +113,15 @@ export class ChatController {
       const rolesData = await window.APIService.fetchRoles();
       this.debug.log("Roles response:", rolesData);
 
-      const roles = rolesData?.roles || [];
-      const chosenRole = roles.find((r) => r?.defaultRole === true) || roles[0];
-
-      if (chosenRole) {
-        const roleId = chosenRole.roleId ?? chosenRole.id;
-        this.store.set("chat.roleId", roleId);
-        this.debug.log("Set role:", chosenRole);
-      }
+      // The RoleSelector picks chat.roleId from these
+      const roles = (rolesData?.roles || []).filter(Boolean).map((role) => ({
+        id: role.roleId ?? role.id,
+        name: role.name || role.title || "Rolle",
+        description: role.description || "",
+        isDefault: role.defaultRole === true,
+      }));
+      this.store.set("roles.available", roles);
+      this.debug.log("Available roles:", roles);
     } catch (error) {
       console.warn(
         "[ChatController] Failed to load folders/roles (non-critical):",
@@ -149,7 +147,9 @@ export class ChatController {
       this.debug.log("[ChatController] Parsed payload:", payload);
       this.debug.log("[ChatController] Payload keys:", Object.keys(payload));
 
-      const response = await window.APIService.sendChatMessage(payload);
+      const response = await window.APIService.sendChatMessage(payload, {
+        signal: options.signal,
+      });
 
       return {
         ok: true,
@@ -158,98 +158,95 @@ export class ChatController {
       };
     } catch (error) {
       this.debug.log("Request failed:", error);
+      throw this.normalizeRequestError(error);
+    }
+  }
 
-      // Keep the same error handling
-      const errorMessage = error.message || error.toString();
-      if (
-        errorMessage.includes("500") ||
-        errorMessage.includes("502") ||
-        errorMessage.includes("503") ||
-        errorMessage.includes("403") ||
-        errorMessage.includes("ERR_BAD_REQUEST")
-      ) {
-        const serverError = new Error("SERVER_UNAVAILABLE");
-        serverError.isServerError = true;
-        serverError.originalError = errorMessage;
-        throw serverError;
-      }
-      throw error;
+  /**
+   * Stream a chat payload, forwarding partial content as chatUpdate events
+   */
+  async streamChatRequest(payload, messageId, signal) {
+    try {
+      return await window.APIService.streamChatMessage(payload, {
+        signal,
+        onChunk: (chunk, content) => {
+          this.handleStreamingUpdate({ messageId, chunk, content });
+        },
+      });
+    } catch (error) {
+      this.debug.log("Stream failed:", error);
+      throw this.normalizeRequestError(error);
     }
   }
 
+  /**
+   * Map backend availability failures to a SERVER_UNAVAILABLE error
+   */
+  normalizeRequestError(error) {
+    if (error.name === "AbortError") return error;
+
+    const errorMessage = error.message || error.toString();
+    if (
+      errorMessage.includes("500") ||
+      errorMessage.includes("502") ||
+      errorMessage.includes("503") ||
+      errorMessage.includes("403") ||
+      errorMessage.includes("ERR_BAD_REQUEST")
+    ) {
+      const serverError = new Error("SERVER_UNAVAILABLE");
+      serverError.isServerError = true;
+      serverError.originalError = errorMessage;
+      return serverError;
+    }
+    return error;
+  }
+
   detectIntent(text, context) {
     // Get context from store if not provided
     if (!context) {
       context = this.store.get("context");
     }
 
-    // FIRST: Check if we have a preserved intent from Datenspeicher or explicit action
-    const preservedIntent = this.store.get("chat.currentIntent");
-
-    // If we're in an email context and have a preserved email-reply intent, keep it
-    if (preservedIntent === "email-reply" && context) {
-      const isEmailContext =
-        context?.isEmail ||
-        context?.isGmail ||
-        context?.isOutlook ||
-        context?.emailProvider;
-
-      if (isEmailContext) {
-        this.debug.log(
-          "[ChatController] Preserving email-reply intent for email context"
-        );
-        return "email-reply";
-      }
-    }
-
-    // --- Rest of existing detectIntent logic ---
-    const lowerText = text?.toLowerCase() || "";
+    // FIRST: Keep a preserved intent (Datenspeicher or explicit action)
+    // as long as it still fits the current context
+    const preservedIntent = intentRegistry.get(
+      this.store.get("chat.currentIntent")
+    );
 
-    // Check for ANY email context (Gmail, Outlook, or generic email)
     if (
-      context?.isEmail ||
-      context?.isGmail ||
-      context?.isOutlook ||
-      context?.emailProvider
+      preservedIntent &&
+      preservedIntent.id !== "general" &&
+      context &&
+      intentRegistry.matchesContext(preservedIntent, context)
     ) {
-      // Only return email-reply if user explicitly asks for email action
-      if (
-        lowerText.includes("beantworte") ||
-        lowerText.includes("antwort") ||
-        lowerText.includes("reply") ||
-        lowerText.includes("email") ||
-        (lowerText.includes("schreibe") && lowerText.includes("mail"))
-      ) {
-        return "email-reply";
-      }
-      // No automatic fallback to email-reply — fall through
-    }
-
-    // Other contexts
-    if (context?.isGoogleDocs || context?.sourceType === "docs") {
-      return "doc-actions";
-    }
-
-    if (context?.sourceType === "calendar") {
-      return "calendar-actions";
+      this.debug.log(
+        "[ChatController] Preserving intent for context:",
+        preservedIntent.id
+      );
+      return preservedIntent.id;
     }
 
-    return "general"; // Default for everything else
+    // Trigger phrases declared by the registered intents
+    return intentRegistry.detect(text, context);
   }
 
   getLastUserIntent() {
     return this.store.get("chat.lastUserIntent");
   }
 
-  // Add new method for multi-step Datenspeicher reply
+  // Multi-step Datenspeicher reply
+  // selection: { folders: [{ id, name }], files: [{ id, name, folderId }] }
   async sendDatanspeicherReply(
     query,
     context,
-    folderId,
-    folderName,
+    selection,
     explicitIntent = null
   ) {
     this.debug.log("[ChatController] Starting multi-step Datenspeicher reply");
+    const { folders, files = [] } = selection;
+    // All steps run with the same role, even if it's switched meanwhile
+    const roleId = this.store.get("chat.roleId");
+    const folderName = folders.map((f) => f.name).join(", ");
     this.debug.log("[ChatController] Explicit intent:", explicitIntent);
 
     // Preserve the intent throughout the process
@@ -265,6 +262,10 @@ export class ChatController {
     const messagesContainer = document.getElementById("chat-messages");
     this.analysisMessage = new AnalysisMessage(messagesContainer);
 
+    // The analysis card's abort button cancels the running requests
+    this.abortController = new AbortController();
+    this.analysisMessage.abortController = this.abortController;
+
     // Track process data for the collapsible card
     const processData = {
       id: `process-${Date.now()}`,
@@ -282,7 +283,7 @@ export class ChatController {
       );
 
       // Do the actual work
-      const extractedQuery = await this.extractEmailQuery(context);
+      const extractedQuery = await this.extractEmailQuery(context, { roleId });
 
       // Optional: show a nice bubble within the step
       this.analysisMessage.showQueryBubble(step1El, extractedQuery);
@@ -307,7 +308,8 @@ export class ChatController {
       );
       const ragResults = await this.searchDatanspeicher(
         extractedQuery,
-        folderId
+        folders.map((f) => f.id),
+        { fileIds: files.map((f) => f.id), roleId }
       );
 
       const entriesCount = Array.isArray(ragResults) ? ragResults.length : 1;
@@ -354,7 +356,9 @@ export class ChatController {
       );
 
       // Generate reply
-      const emailReply = await this.generateEmailReply(context, ragResults);
+      const emailReply = await this.generateEmailReply(context, ragResults, {
+        roleId,
+      });
 
       // Complete step 3
       this.analysisMessage.completeStep(3, "Antwort generiert", null);
@@ -396,11 +400,123 @@ export class ChatController {
         return null;
       }
       throw error;
+    } finally {
+      this.abortController = null;
+    }
+  }
+
+  /**
+   * Map step for oversized contexts: summarize each chunk with an
+   * isolated query. Returns the context with the combined summaries as
+   * its content, or null when aborted. The last step stays open until
+   * finishReduction() is called with the outcome of the answer.
+   */
+  async reduceContext(message, context, { roleId } = {}) {
+    const source = context.selectedText || context.mainContent || "";
+    const chunks = contextBudget.splitIntoChunks(source);
+    const words = contextBudget.getSummaryWordLimit(chunks.length);
+    const totalSteps = chunks.length + 1;
+
+    this.debug.log(
+      `[ChatController] Map-reduce over ${chunks.length} chunks (${source.length} chars)`
+    );
+
+    const messagesContainer = document.getElementById("chat-messages");
+    this.analysisMessage = new AnalysisMessage(messagesContainer, {
+      title: "Großes Dokument wird in Teilen verarbeitet...",
+    });
+
+    // Both the card's abort button and the stop button cancel the run
+    this.abortController = new AbortController();
+    this.analysisMessage.abortController = this.abortController;
+    this.store.set("chat.isStreaming", true);
+
+    try {
+      const summaries = [];
+
+      for (let i = 0; i < chunks.length; i++) {
+        const part = `${i + 1}/${chunks.length}`;
+        this.analysisMessage.showStep(
+          i + 1,
+          totalSteps,
+          `Fasse Teil ${part} zusammen...`
+        );
+
+        const summary = await this.makeIsolatedQuery(
+          `Du erhältst Teil ${part} eines langen Dokuments ("${
+            context.title || "Unbenannt"
+          }").
+Fasse diesen Teil in höchstens ${words} Wörtern zusammen. Behalte alle Fakten, Zahlen, Namen und Aussagen, die für folgende Anfrage relevant sein könnten, jeweils mit ihrem Quellenanker (z. B. [#p3]), falls vorhanden:
+"${message}"
+
+### Teil ${part} ###
+${chunks[i]}`,
+          "BASIC",
+          { roleId, temperature: CHUNK_SUMMARY_TEMPERATURE }
+        );
+
+        summaries.push(summary);
+        this.analysisMessage.completeStep(
+          i + 1,
+          `Teil ${part} zusammengefasst`,
+          summary.length > 200 ? `${summary.substring(0, 200)}...` : summary
+        );
+      }
+
+      this.analysisMessage.showStep(
+        totalSteps,
+        totalSteps,
+        "Erstelle Antwort aus allen Teilen..."
+      );
+      // From here on the card's abort button cancels the answer request
+      this.analysisMessage.abortController = { abort: () => this.abort() };
+
+      const combined = summaries
+        .map((summary, i) => `[Teil ${i + 1}/${chunks.length}]\n${summary}`)
+        .join("\n\n");
+
+      return {
+        ...context,
+        selectedText: "",
+        mainContent: combined,
+        _mapReduce: { chunks: chunks.length, originalLength: source.length },
+      };
+    } catch (error) {
+      if (error.message === "Aborted") {
+        this.debug.log("[ChatController] Map-reduce aborted by user");
+        this.analysisMessage.cleanup();
+        return null;
+      }
+      this.analysisMessage.cleanup();
+      throw error;
+    } finally {
+      this.abortController = null;
+      this.store.set("chat.isStreaming", false);
+    }
+  }
+
+  /**
+   * Close the map-reduce card once the answer over the summaries has
+   * arrived; a failed or cancelled answer removes it
+   */
+  finishReduction(context, succeeded) {
+    if (!context?._mapReduce || !this.analysisMessage) return;
+
+    if (succeeded) {
+      const { chunks } = context._mapReduce;
+      this.analysisMessage.completeStep(
+        chunks + 1,
+        `Antwort aus ${chunks} Teilen erstellt`,
+        null
+      );
+      this.analysisMessage.removeAnalysisMessages();
+    } else {
+      this.analysisMessage.cleanup();
     }
   }
 
   // Add method to extract query from email
-  async extractEmailQuery(context) {
+  async extractEmailQuery(context, { roleId } = {}) {
     this.debug.log("[ChatController] Extracting query from email");
 
     const prompt = `### Rolle ###
@@ -453,7 +569,10 @@ ${context.content || context.mainContent}
 
 ### Dein Text-Output ###`;
 
-    const result = await this.makeIsolatedQuery(prompt, "BASIC");
+    const result = await this.makeIsolatedQuery(prompt, "BASIC", {
+      roleId,
+      temperature: EXTRACTION_TEMPERATURE,
+    });
 
     // Clean up the result
     let cleanedResult = result
@@ -493,7 +612,17 @@ ${context.content || context.mainContent}
     }
   }
 
-  async makeIsolatedQuery(content, mode = "BASIC", folderId = null) {
+  async makeIsolatedQuery(
+    content,
+    mode = "BASIC",
+    {
+      dataCollectionIds = [],
+      fileIds = [],
+      assistantId = "",
+      roleId = this.store.get("chat.roleId"),
+      temperature = generationSettings.getTemperature(),
+    } = {}
+  ) {
     const domain =
       this.store.get("auth.domain") || this.store.get("auth.activeDomain");
 
@@ -512,12 +641,12 @@ ${context.content || context.mainContent}
       ],
       model: this.getCurrentModel(),
       name: "Isolated Query",
-      roleId: this.store.get("chat.roleId"),
-      selectedAssistantId: "",
-      selectedDataCollections: folderId ? [folderId] : [],
-      selectedFiles: [],
+      roleId,
+      selectedAssistantId: assistantId,
+      selectedDataCollections: dataCollectionIds,
+      selectedFiles: fileIds,
       selectedMode: mode,
-      temperature: 0.2,
+      temperature,
     };
 
     const response = await this.makeAuthenticatedRequest(
@@ -525,6 +654,7 @@ ${context.content || context.mainContent}
       {
         method: "POST",
         body: JSON.stringify(payload),
+        signal: this.abortController?.signal,
       }
     );
 
@@ -537,14 +667,20 @@ ${context.content || context.mainContent}
     }
   }
 
-  async searchDatanspeicher(query, folderId) {
+  async searchDatanspeicher(query, folderIds, { fileIds = [], roleId } = {}) {
     this.debug.log(
       "[ChatController] Searching Datenspeicher with query:",
       query
     );
-    this.debug.log("[ChatController] Using folder ID:", folderId);
-
-    return await this.makeIsolatedQuery(query, "QA", folderId);
+    this.debug.log("[ChatController] Using folder IDs:", folderIds);
+    this.debug.log("[ChatController] Restricted to files:", fileIds);
+
+    return await this.makeIsolatedQuery(query, "QA", {
+      dataCollectionIds: folderIds,
+      fileIds,
+      roleId,
+      temperature: SEARCH_TEMPERATURE,
+    });
   }
 
   extractSenderName(emailLines) {
@@ -568,7 +704,7 @@ ${context.content || context.mainContent}
     return null;
   }
 
-  async generateEmailReply(originalContext, ragResults) {
+  async generateEmailReply(originalContext, ragResults, { roleId } = {}) {
     // Extract sender name if possible
     const emailLines = (originalContext.content || "").split("\n");
     const senderName = this.extractSenderName(emailLines);
@@ -684,7 +820,13 @@ ${emailSignature}`
       hasHtmlSignature && isGmail
     );
 
-    return await this.makeIsolatedQuery(prompt, "BASIC");
+    // The reply is what the user gets to see, so it's written by the
+    // chosen assistant (the analysis and search steps are not)
+    return await this.makeIsolatedQuery(prompt, "BASIC", {
+      assistantId: this.store.get("chat.selectedAssistant")?.id || "",
+      roleId,
+      temperature: generationSettings.getTemperature("email-reply"),
+    });
   }
 
   /**
@@ -719,53 +861,88 @@ ${emailSignature}`
     this.store.set("chat.lastUserIntent", intent);
     this.debug.log("[ChatController] Using intent:", intent);
 
+    // Summaries and the answer use the same role
+    const roleId = this.store.get("chat.roleId");
+
+    // Documents larger than the model window are summarized chunk by
+    // chunk first; the answer is then built over the summaries
+    let reductionCancelled = false;
+    if (context && contextBudget.needsMapReduce(context)) {
+      const reducedContext = await this.reduceContext(message, context, {
+        roleId,
+      });
+      if (reducedContext) {
+        context = reducedContext;
+      } else {
+        reductionCancelled = true;
+      }
+    }
+
     // Generate session ID if needed
     if (!this.store.get("chat.sessionId")) {
       const newSessionId = this.generateChatId();
       this.store.set("chat.sessionId", newSessionId);
     }
 
-    // Build message content (combine context into the content field)
-    let finalContent = message;
-    if (context && (context.mainContent || context.selectedText)) {
-      const contextContent = context.selectedText || context.mainContent;
-      let contextLabel = "[Kontext]";
+    const userMessage = this.buildUserMessage(message, context);
 
-      if (context.isGmail) {
-        contextLabel = "[Email-Kontext]";
-      } else if (context.isGoogleDocs) {
-        contextLabel = "[Dokument-Kontext]";
-      } else if (context.url?.includes("sharepoint")) {
-        contextLabel = "[SharePoint-Kontext]";
-      } else if (context.selectedText) {
-        contextLabel = "[Ausgewählter Text]";
-      } else {
-        contextLabel = "[Webseiten-Kontext]";
-      }
+    // Get current messages and add new one
+    const currentMessages = this.store.get("chat.messages") || [];
 
-      finalContent = `${contextLabel}\n${contextContent}\n\n[Benutzer-Anfrage]\n${message}`;
-      this.debug.log("Combined content length:", finalContent.length);
+    // Cancelled while summarizing: the question stays, like with an
+    // aborted answer
+    if (reductionCancelled) {
+      const cancelledMessage = {
+        id: `msg-${Date.now()}-${Math.random().toString(36).substr(2, 9)}`,
+        role: "assistant",
+        content: "",
+        timestamp: Date.now(),
+        references: [],
+        sources: [],
+        _cancelled: true,
+      };
+      this.store.set("chat.messages", [
+        ...currentMessages,
+        userMessage,
+        cancelledMessage,
+      ]);
+      return cancelledMessage;
     }
 
-    // Create user message
-    const userMessage = {
-      id: `msg-${Date.now()}-${Math.random().toString(36).substr(2, 9)}`,
-      role: "user",
-      content: finalContent,
-      timestamp: Date.now(),
-      references: [],
-      sources: [],
-      _originalText: message,
-      _context: context,
-    };
-
-    // Get current messages and add new one
-    const currentMessages = this.store.get("chat.messages") || [];
-    const messagesWithNewOne = [...currentMessages, userMessage];
+    try {
+      const response = await this.requestAnswer(
+        [...currentMessages, userMessage],
+        { intent, roleId, context, revertTo: currentMessages }
+      );
+      this.finishReduction(context, !response._cancelled && !response._isError);
+      return response;
+    } catch (error) {
+      this.finishReduction(context, false);
+      throw error;
+    }
+  }
 
+  /**
+   * Stream the answer to the last (user) message of a history and add it
+   * to chat.messages. New, edited and regenerated questions all end up
+   * here; revertTo is restored when the request fails.
+   */
+  async requestAnswer(
+    messagesWithNewOne,
+    { intent, roleId, context = null, revertTo = [] }
+  ) {
     // Update store IMMEDIATELY
     this.store.set("chat.messages", messagesWithNewOne);
 
+    // Lets the stop button cancel this request
+    this.abortController = new AbortController();
+    const { signal } = this.abortController;
+
+    // Assigned up front so a cancelled stream can keep its partial answer
+    const assistantMessageId = `msg-${Date.now()}-${Math.random()
+      .toString(36)
+      .substr(2, 9)}`;
+
     try {
       // Set streaming state
       this.store.set("chat.isStreaming", true);
@@ -776,50 +953,15 @@ ${emailSignature}`
         throw new Error("No domain configured");
       }
 
-      // ===== FIX STARTS HERE =====
-      // Determine selected data collection from context or store
-      const selectedDataCollection =
-        context?.selectedDataCollection || // Check if passed in context
-        this.store.get("chat.selectedDataCollection") ||
-        null;
-
-      // Determine mode based on whether we're using Datenspeicher
-      const mode = selectedDataCollection ? "QA" : "BASIC";
-
-      this.debug.log("[ChatController] Using mode:", mode);
-      this.debug.log(
-        "[ChatController] Selected data collection:",
-        selectedDataCollection
-      );
-      this.debug.log(
-        "[ChatController] Data collections array:",
-        selectedDataCollection ? [selectedDataCollection] : []
-      );
-      // ===== FIX ENDS HERE =====
-
-      // Build payload with the correct mode and data collections
-      const chatPayload = {
-        id: this.store.get("chat.sessionId"),
-        folderId: this.store.get("chat.folderId"),
-        messages: messagesWithNewOne
-          .filter((msg) => !msg._isProcessMessage) // Filter out process messages!
-          .map((msg) => ({
-            role: msg.role,
-            content: msg.content,
-            references: msg.references || [],
-            sources: msg.sources || [],
-          })),
-        model: this.getCurrentModel(),
-        name: "Neuer Chat",
-        roleId: this.store.get("chat.roleId"),
-        selectedAssistantId: "",
-        selectedDataCollections: selectedDataCollection
-          ? [selectedDataCollection]
-          : [],
-        selectedFiles: [],
-        selectedMode: mode, // Dynamic mode based on Datenspeicher usage
-        temperature: 0.2,
-      };
+      const {
+        payload: chatPayload,
+        selectedDataCollections,
+        mode,
+      } = this.buildChatPayload(messagesWithNewOne, {
+        roleId,
+        intent,
+        context,
+      });
 
       this.debug.log("[ChatController] === PAYLOAD DEBUG ===");
       this.debug.log("[ChatController] Mode:", chatPayload.selectedMode);
@@ -832,38 +974,38 @@ ${emailSignature}`
         chatPayload.messages.length
       );
 
-      // Make chat API request
-      const chatUrl = `https://${domain}.506.ai/api/qr/chat`;
-      this.debug.log("Sending to chat API:", chatUrl);
-
-      const response = await this.makeAuthenticatedRequest(chatUrl, {
-        method: "POST",
-        body: JSON.stringify(chatPayload),
-      });
-
-      const responseText = await response.text();
+      // Stream the chat API response; the UI renders partial content
+      // from the chatUpdate events keyed by the assistant message id
+      const responseText = await this.streamChatRequest(
+        chatPayload,
+        assistantMessageId,
+        signal
+      );
       this.debug.log("Chat API response:", responseText);
 
-      // Parse response
-      let assistantContent;
-      try {
-        const jsonResponse = JSON.parse(responseText);
-        assistantContent =
-          jsonResponse.content || jsonResponse.message || responseText;
-      } catch {
-        assistantContent = responseText;
-      }
+      // Sources can only be linked to a Datenspeicher if there's one
+      const parsed = this.parseChatResponse(responseText, {
+        collectionId:
+          selectedDataCollections.length === 1
+            ? selectedDataCollections[0]
+            : null,
+      });
+      const assistantContent = parsed.content;
 
       // Create assistant message with metadata about data collection usage
       const assistantMessage = {
-        id: `msg-${Date.now()}-${Math.random().toString(36).substr(2, 9)}`,
+        id: assistantMessageId,
         role: "assistant",
         content: assistantContent,
         timestamp: Date.now(),
-        references: [],
-        sources: [],
-        _usedDataCollection: selectedDataCollection, // Track what was used
+        references: [
+          ...this.collectReferences(assistantContent, context),
+          ...parsed.references,
+        ],
+        sources: parsed.sources,
+        _usedDataCollections: selectedDataCollections, // Track what was used
         _mode: mode,
+        _intent: intent, // Restores action buttons when re-rendered
       };
 
       // Get fresh messages from store and add assistant response
@@ -878,6 +1020,28 @@ ${emailSignature}`
 
       return assistantMessage;
     } catch (error) {
+      if (error.name === "AbortError") {
+        this.debug.log("[ChatController] Request cancelled by user");
+
+        // Keep whatever arrived so far, marked as cancelled
+        const cancelledMessage = {
+          id: assistantMessageId,
+          role: "assistant",
+          content: error.partialContent || "",
+          timestamp: Date.now(),
+          references: [],
+          sources: [],
+          _cancelled: true,
+        };
+
+        this.store.set("chat.messages", [
+          ...this.store.get("chat.messages"),
+          cancelledMessage,
+        ]);
+
+        return cancelledMessage;
+      }
+
       console.error("[ChatController] Send message failed:", error);
 
       // If the backend flagged this as a server-side availability issue,
@@ -910,15 +1074,540 @@ ${emailSignature}`
       }
 
       // For other errors, revert the failed user message
-      this.store.set("chat.messages", currentMessages);
+      this.store.set("chat.messages", revertTo);
       this.store.actions.showError(
         "Failed to send message: " + (error?.message || String(error))
       );
       throw error;
     } finally {
+      this.abortController = null;
+      this.store.set("chat.isStreaming", false);
+    }
+  }
+
+  /**
+   * Answer the last question again. The previous answer stays available
+   * as a branch. chat.messages is updated before the first await.
+   */
+  async regenerateLastAnswer() {
+    const messages = this.store.get("chat.messages") || [];
+    const answer = messages[messages.length - 1];
+    const question = messages[messages.length - 2];
+    if (this.store.get("chat.isStreaming")) return null;
+    if (!conversationBranches.canRegenerate(answer?.id)) return null;
+
+    const intent =
+      answer._intent ||
+      this.detectIntent(
+        question._originalText || question.content,
+        question._context
+      );
+    this.store.set("chat.currentIntent", intent);
+    this.store.set("chat.lastUserIntent", intent);
+
+    const fork = conversationBranches.fork(messages.length - 1);
+    const history = this.store.get("chat.messages");
+
+    try {
+      return await this.requestAnswer(history, {
+        intent,
+        roleId: this.store.get("chat.roleId"),
+        context: question._context || null,
+        revertTo: history,
+      });
+    } finally {
+      // Only removes the new branch if the request failed
+      conversationBranches.discardEmpty(fork);
+    }
+  }
+
+  /**
+   * Replace an earlier question and answer it again. Everything that
+   * followed it stays available as a branch. chat.messages is updated
+   * before the first await.
+   */
+  async editAndResend(messageId, text) {
+    const messages = this.store.get("chat.messages") || [];
+    const index = messages.findIndex((m) => m.id === messageId);
+    const original = messages[index];
+    if (this.store.get("chat.isStreaming")) return null;
+    if (original?.role !== "user" || !text?.trim()) return null;
+
+    // Page context is folded into the content in front of the question
+    const originalText = original._originalText ?? original.content;
+    const prefix = original.content.endsWith(originalText)
+      ? original.content.slice(0, original.content.length - originalText.length)
+      : "";
+    const editedMessage = {
+      ...original,
+      id: `msg-${Date.now()}-${Math.random().toString(36).substr(2, 9)}`,
+      content: prefix + text,
+      timestamp: Date.now(),
+      _originalText: text,
+    };
+
+    this.store.set("chat.currentIntent", null);
+    const intent = this.detectIntent(text, original._context);
+    this.store.set("chat.currentIntent", intent);
+    this.store.set("chat.lastUserIntent", intent);
+
+    const fork = conversationBranches.fork(index);
+    const history = this.store.get("chat.messages");
+
+    try {
+      return await this.requestAnswer([...history, editedMessage], {
+        intent,
+        roleId: this.store.get("chat.roleId"),
+        context: original._context || null,
+        revertTo: history,
+      });
+    } finally {
+      conversationBranches.discardEmpty(fork);
+    }
+  }
+
+  /**
+   * Compare mode: send the same request to several models in parallel.
+   * Nothing goes into the history yet; keepComparisonAnswer() adds the
+   * question together with the answer the user picks.
+   * Returns { userMessage, previousMessageId, sessionId, intent, results }
+   * with one result per model:
+   * { model, content, references, sources, durationMs, error }
+   */
+  async compareModels(message, context = null, models = []) {
+    this.debug.log(
+      "[ChatController] Comparing models:",
+      models.map((m) => m.id)
+    );
+
+    if (!this.isInitialized) {
+      throw new Error("ChatController not initialized");
+    }
+
+    const intent = this.detectIntent(message, context);
+    this.store.set("chat.currentIntent", intent);
+    this.store.set("chat.lastUserIntent", intent);
+
+    const roleId = this.store.get("chat.roleId");
+
+    // Reduced once with the selected model, so all models answer on the
+    // same summaries
+    if (
+      context &&
+      models.some((model) => contextBudget.needsMapReduce(context, model))
+    ) {
+      const reducedContext = await this.reduceContext(message, context, {
+        roleId,
+      });
+      if (!reducedContext) return null;
+      context = reducedContext;
+    }
+
+    if (!this.store.get("chat.sessionId")) {
+      this.store.set("chat.sessionId", this.generateChatId());
+    }
+
+    const history = this.store.get("chat.messages") || [];
+    const userMessage = this.buildUserMessage(message, context);
+    const messages = [...history, userMessage];
+    const comparison = {
+      userMessage,
+      previousMessageId: history[history.length - 1]?.id || null,
+      sessionId: this.store.get("chat.sessionId"),
+      intent,
+    };
+
+    this.abortController = new AbortController();
+    const { signal } = this.abortController;
+
+    try {
+      this.store.set("chat.isStreaming", true);
+
+      const results = await Promise.all(
+        models.map((model) =>
+          this.requestComparisonAnswer(messages, {
+            model,
+            roleId,
+            intent,
+            context,
+            signal,
+          })
+        )
+      );
+      this.finishReduction(
+        context,
+        results.some((result) => !result.error)
+      );
+
+      // One notice for all models, not one per request
+      this.showBudgetNotice({
+        collapsed: Math.max(...results.map((r) => r.budget.collapsed)),
+        truncated: results.some((r) => r.budget.truncated),
+      });
+
+      return { ...comparison, results };
+    } catch (error) {
+      this.finishReduction(context, false);
+      if (error.name !== "AbortError") throw error;
+
+      this.debug.log("[ChatController] Comparison cancelled by user");
+      return { ...comparison, cancelled: true };
+    } finally {
+      this.abortController = null;
       this.store.set("chat.isStreaming", false);
     }
   }
+
+  /**
+   * One model's answer for compare mode. Failures are returned as
+   * result.error so the other models' answers stay usable.
+   */
+  async requestComparisonAnswer(
+    messages,
+    { model, roleId, intent, context, signal }
+  ) {
+    const { payload, selectedDataCollections, mode, budget } =
+      this.buildChatPayload(messages, {
+        roleId,
+        intent,
+        context,
+        model,
+        notify: false,
+      });
+    const result = {
+      model: window.ModelsConfig.toSelection(model),
+      content: "",
+      references: [],
+      sources: [],
+      durationMs: 0,
+      error: null,
+      budget,
+      _usedDataCollections: selectedDataCollections,
+      _mode: mode,
+    };
+
+    const startedAt = performance.now();
+    try {
+      const response = await window.APIService.sendChatMessage(payload, {
+        signal,
+      });
+      const parsed = this.parseChatResponse(
+        typeof response === "string" ? response : JSON.stringify(response),
+        {
+          collectionId:
+            selectedDataCollections.length === 1
+              ? selectedDataCollections[0]
+              : null,
+        }
+      );
+
+      result.content = parsed.content;
+      result.references = [
+        ...this.collectReferences(parsed.content, context),
+        ...parsed.references,
+      ];
+      result.sources = parsed.sources;
+    } catch (error) {
+      if (error.name === "AbortError") throw error;
+
+      console.warn(`[ChatController] ${model.id} failed:`, error);
+      const normalized = this.normalizeRequestError(error);
+      result.error = normalized.isServerError
+        ? "Der Server ist momentan nicht erreichbar"
+        : normalized.message;
+    }
+    result.durationMs = Math.round(performance.now() - startedAt);
+
+    return result;
+  }
+
+  /**
+   * Whether a comparison can still be kept: the conversation must not
+   * have been switched or continued since the question was asked
+   */
+  isComparisonCurrent(comparison) {
+    const messages = this.store.get("chat.messages") || [];
+    return (
+      comparison?.sessionId === this.store.get("chat.sessionId") &&
+      (messages[messages.length - 1]?.id || null) ===
+        comparison.previousMessageId
+    );
+  }
+
+  /**
+   * Add the question and the compared answer the user picked to the
+   * history. Returns null if the comparison is no longer current.
+   */
+  keepComparisonAnswer(comparison, index) {
+    const result = comparison?.results?.[index];
+    if (!result || result.error || !this.isComparisonCurrent(comparison)) {
+      return null;
+    }
+
+    const assistantMessage = {
+      id: `msg-${Date.now()}-${Math.random().toString(36).substr(2, 9)}`,
+      role: "assistant",
+      content: result.content,
+      timestamp: Date.now(),
+      references: result.references,
+      sources: result.sources,
+      _usedDataCollections: result._usedDataCollections,
+      _mode: result._mode,
+      _intent: comparison.intent,
+      _model: result.model,
+      // Shown under the answer: which models it was picked from
+      _comparison: comparison.results.map((r) => ({
+        model: r.model,
+        durationMs: r.durationMs,
+        length: r.content.length,
+        failed: !!r.error,
+      })),
+    };
+
+    this.store.set("chat.messages", [
+      ...(this.store.get("chat.messages") || []),
+      comparison.userMessage,
+      assistantMessage,
+    ]);
+
+    return assistantMessage;
+  }
+
+  /**
+   * User message with the page context combined into its content
+   */
+  buildUserMessage(message, context) {
+    let finalContent = message;
+    if (context && (context.mainContent || context.selectedText)) {
+      const contextContent = context.selectedText || context.mainContent;
+      let contextLabel = "[Kontext]";
+
+      if (context.isMultiTab) {
+        contextLabel = context.attachments?.some((a) => a.kind === "file")
+          ? "[Kontext aus mehreren Quellen]"
+          : "[Kontext aus mehreren Tabs]";
+      } else if (context.isGmail) {
+        contextLabel = "[Email-Kontext]";
+      } else if (context.isGoogleDocs) {
+        contextLabel = "[Dokument-Kontext]";
+      } else if (context.url?.includes("sharepoint")) {
+        contextLabel = "[SharePoint-Kontext]";
+      } else if (context.selectedText) {
+        contextLabel = "[Ausgewählter Text]";
+      } else {
+        contextLabel = "[Webseiten-Kontext]";
+      }
+
+      const citationInstruction = this.getCitationInstruction(context);
+      finalContent = `${contextLabel}\n${contextContent}\n\n${citationInstruction}[Benutzer-Anfrage]\n${message}`;
+      this.debug.log("Combined content length:", finalContent.length);
+    }
+
+    return {
+      id: `msg-${Date.now()}-${Math.random().toString(36).substr(2, 9)}`,
+      role: "user",
+      content: finalContent,
+      timestamp: Date.now(),
+      references: [],
+      sources: [],
+      _originalText: message,
+      _context: context,
+    };
+  }
+
+  /**
+   * Chat payload for a message history: the Datenspeicher selection
+   * decides the mode, the history is fitted into the model's window.
+   * model defaults to the selected one (compare mode passes others);
+   * the intent decides the default temperature. notify: false leaves
+   * the notice about a shortened history to the caller.
+   * Returns { payload, selectedDataCollections, mode, budget }
+   */
+  buildChatPayload(
+    messages,
+    { roleId, intent = null, context = null, model = null, notify = true } = {}
+  ) {
+    const selectedDataCollections =
+      context?.selectedDataCollections || // Check if passed in context
+      (this.store.get("datenspeicher.selected") || []).map((f) => f.id);
+
+    const selectedFiles =
+      context?.selectedFiles ||
+      (this.store.get("datenspeicher.selectedFiles") || []).map((f) => f.id);
+
+    // Determine mode based on whether we're using Datenspeicher
+    const mode = selectedDataCollections.length > 0 ? "QA" : "BASIC";
+
+    this.debug.log("[ChatController] Using mode:", mode);
+    this.debug.log(
+      "[ChatController] Selected data collections:",
+      selectedDataCollections
+    );
+    this.debug.log("[ChatController] Selected files:", selectedFiles);
+
+    // Build payload with the correct mode and data collections
+    const chatPayload = {
+      id: this.store.get("chat.sessionId"),
+      folderId: this.store.get("chat.folderId"),
+      messages: messages
+        .filter((msg) => !msg._isProcessMessage) // Filter out process messages!
+        .filter((msg) => !(msg._cancelled && !msg.content)) // Empty cancelled answers
+        .map((msg) => ({
+          role: msg.role,
+          content: msg.content,
+          references: msg.references || [],
+          sources: msg.sources || [],
+        })),
+      model: model
+        ? window.ModelsConfig.toSelection(model)
+        : this.getCurrentModel(),
+      name: "Neuer Chat",
+      roleId,
+      selectedAssistantId: this.store.get("chat.selectedAssistant")?.id || "",
+      selectedDataCollections,
+      selectedFiles,
+      selectedMode: mode, // Dynamic mode based on Datenspeicher usage
+      temperature: generationSettings.getTemperature(intent, {
+        variation: context?.variationType,
+      }),
+    };
+
+    // Keep history + page context inside the model's token window
+    const budget = contextBudget.fitMessages(
+      chatPayload.messages,
+      model || undefined
+    );
+    chatPayload.messages = budget.messages;
+    if (notify) this.showBudgetNotice(budget.report);
+
+    return {
+      payload: chatPayload,
+      selectedDataCollections,
+      mode,
+      budget: budget.report,
+    };
+  }
+
+  /**
+   * Tell the user when the history or page context had to be shortened
+   */
+  showBudgetNotice({ collapsed, truncated }) {
+    if (collapsed > 0 || truncated) {
+      this.store.actions.showNotification(
+        truncated
+          ? "Der Seitenkontext wurde gekürzt, um ins Kontextfenster zu passen"
+          : "Älterer Verlauf wurde gekürzt, um ins Kontextfenster zu passen"
+      );
+    }
+  }
+
+  /**
+   * Split a chat API response into answer text and the Datenspeicher
+   * sources / references returned with it (QA mode). Plain text
+   * responses have neither.
+   */
+  parseChatResponse(responseText, { collectionId = null } = {}) {
+    let json;
+    try {
+      json = JSON.parse(responseText);
+    } catch {
+      return { content: responseText, references: [], sources: [] };
+    }
+
+    if (!json || typeof json !== "object") {
+      return { content: responseText, references: [], sources: [] };
+    }
+
+    return {
+      content: json.content || json.message || responseText,
+      references: Array.isArray(json.references) ? json.references : [],
+      sources: (Array.isArray(json.sources) ? json.sources : [])
+        .map((source) => this.normalizeSource(source, collectionId))
+        .filter(Boolean),
+    };
+  }
+
+  /**
+   * One Datenspeicher source: { id, fileName, snippet, score, page, url,
+   * collectionId }. The backend's field names vary between versions.
+   */
+  normalizeSource(source, collectionId) {
+    if (!source || typeof source !== "object") return null;
+
+    const meta = source.metadata || {};
+    const snippet = String(
+      source.snippet ||
+        source.content ||
+        source.text ||
+        source.pageContent ||
+        ""
+    )
+      .replace(/\s+/g, " ")
+      .trim();
+    const score = Number(source.score ?? source.similarity ?? source.relevance);
+
+    return {
+      id:
+        source.fileId ||
+        source.documentId ||
+        source.mediaId ||
+        meta.fileId ||
+        source.id ||
+        null,
+      fileName:
+        source.fileName ||
+        source.name ||
+        source.title ||
+        meta.fileName ||
+        meta.source ||
+        "Unbenanntes Dokument",
+      snippet: snippet.length > 300 ? `${snippet.substring(0, 300)}…` : snippet,
+      score: Number.isFinite(score) ? score : null,
+      page: source.page ?? meta.page ?? null,
+      url: source.url || meta.url || null,
+      collectionId:
+        source.dataCollectionId || meta.dataCollectionId || collectionId,
+    };
+  }
+
+  /**
+   * Citation rule for contexts with anchor markers ([#p7], [#h3])
+   */
+  getCitationInstruction(context) {
+    if (context.selectedText || !context.metadata?.anchors?.length) return "";
+
+    return `[Quellenangaben]
+Der Kontext enthält Quellenanker wie [#p3] (Seite) oder [#h2] (Abschnitt). Setze hinter jede Aussage aus dem Dokument den Anker der Stelle, aus der sie stammt, genau in dieser Schreibweise. Erfinde keine Anker.
+
+`;
+  }
+
+  /**
+   * Anchors cited in an answer, with the source they link back to
+   */
+  collectReferences(content, context) {
+    if (!context || context.selectedText) return [];
+
+    return window.SourceAnchors.findCited(
+      content,
+      context.metadata?.anchors
+    ).map((anchor) => ({
+      ...anchor,
+      title: context.title,
+      url: context.url,
+    }));
+  }
+
+  /**
+   * Abort the in-flight chat request, if any
+   */
+  abort() {
+    if (!this.abortController) return false;
+
+    this.debug.log("[ChatController] Aborting current request");
+    this.abortController.abort();
+    return true;
+  }
   /**
    * Clear chat history
    */
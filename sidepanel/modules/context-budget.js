@@ -0,0 +1,332 @@
+// sidepanel/modules/context-budget.js
+
+// Rough characters per token by provider (German text tokenizes denser
+// than English, so these are a bit below the usual ~4)
+const CHARS_PER_TOKEN = {
+  openai: 3.6,
+  anthropic: 3.3,
+  google: 3.8,
+};
+const DEFAULT_CHARS_PER_TOKEN = 3.5;
+
+// Per-message framing the providers add (role markers etc.)
+const MESSAGE_OVERHEAD_TOKENS = 4;
+
+// Room kept free for the answer: 10% of the window, at most 8k tokens
+const RESPONSE_RESERVE_SHARE = 0.1;
+const MAX_RESPONSE_RESERVE = 8192;
+
+// Share of the input budget a freshly loaded page context may use
+const CONTEXT_SHARE = 0.8;
+
+// Map-reduce: larger contexts are split into at most this many chunks,
+// whose summaries together may use half of the input budget
+const MAX_MAP_REDUCE_CHUNKS = 12;
+const SUMMARY_SHARE = 0.5;
+const MIN_SUMMARY_WORDS = 150;
+const MAX_SUMMARY_WORDS = 1500;
+
+const REQUEST_MARKER = "\n\n[Benutzer-Anfrage]\n";
+const OMITTED_CONTEXT_NOTE = "[Kontext ausgelassen]";
+const SUMMARY_HEADER = "[Früherer Verlauf, gekürzt]";
+const SUMMARY_SNIPPET_LENGTH = 160;
+const SUMMARY_MAX_LINES = 20;
+
+/**
+ * Token budgeting for chat requests.
+ *
+ * Estimates tokens per provider and fits the outgoing messages into the
+ * model window: first drops the page context repeated in older user
+ * messages, then collapses the oldest history into a short summary and
+ * only then truncates the current page context.
+ */
+export class ContextBudget {
+  constructor() {
+    this.debug = window.Debug.create("chat");
+    this.store = window.AppStore;
+  }
+
+  /**
+   * Selected model including its provider
+   */
+  getModel() {
+    const selected = this.store.get("chat.selectedModel");
+    return (
+      window.ModelsConfig.getById(selected?.id) ||
+      selected ||
+      window.ModelsConfig.getDefault()
+    );
+  }
+
+  getCharsPerToken(provider) {
+    return CHARS_PER_TOKEN[provider] || DEFAULT_CHARS_PER_TOKEN;
+  }
+
+  estimateTokens(text, provider) {
+    if (!text) return 0;
+    return Math.ceil(String(text).length / this.getCharsPerToken(provider));
+  }
+
+  /**
+   * total: model window, reserve: kept for the answer, input: the rest
+   */
+  getLimits(model = this.getModel()) {
+    const total = model?.tokenLimit || 190000;
+    const reserve = Math.min(
+      MAX_RESPONSE_RESERVE,
+      Math.floor(total * RESPONSE_RESERVE_SHARE)
+    );
+    return { total, reserve, input: total - reserve };
+  }
+
+  /**
+   * Character limit for page extraction, derived from the token budget
+   */
+  getContextCharLimit(model = this.getModel()) {
+    const { input } = this.getLimits(model);
+    return Math.floor(
+      input * CONTEXT_SHARE * this.getCharsPerToken(model?.provider)
+    );
+  }
+
+  /**
+   * Extraction limit: anything above the context limit is handled by
+   * map-reduce, up to MAX_MAP_REDUCE_CHUNKS chunks
+   */
+  getExtractionCharLimit(model = this.getModel()) {
+    return this.getContextCharLimit(model) * MAX_MAP_REDUCE_CHUNKS;
+  }
+
+  /**
+   * Whether the page context is too large to send in one request
+   */
+  needsMapReduce(context, model = this.getModel()) {
+    const text = context?.selectedText || context?.mainContent || "";
+    return text.length > this.getContextCharLimit(model);
+  }
+
+  /**
+   * Split text into chunks that each fit the context limit, preferring
+   * paragraph boundaries
+   */
+  splitIntoChunks(text, model = this.getModel()) {
+    const chunkChars = this.getContextCharLimit(model);
+    const chunks = [];
+    let current = "";
+
+    for (const paragraph of text.split(/\n{2,}/)) {
+      if (current && current.length + paragraph.length + 2 > chunkChars) {
+        chunks.push(current);
+        current = "";
+      }
+
+      // Paragraphs longer than a whole chunk are cut hard
+      let rest = paragraph;
+      while (rest.length > chunkChars) {
+        chunks.push(rest.substring(0, chunkChars));
+        rest = rest.substring(chunkChars);
+      }
+
+      current = current ? `${current}\n\n${rest}` : rest;
+    }
+
+    if (current.trim()) chunks.push(current);
+    return chunks;
+  }
+
+  /**
+   * Word limit per chunk summary so all summaries fit the window together
+   */
+  getSummaryWordLimit(chunkCount, model = this.getModel()) {
+    const { input } = this.getLimits(model);
+    const tokensPerSummary = (input * SUMMARY_SHARE) / Math.max(1, chunkCount);
+    // ~0.75 words per token
+    const words = Math.floor(tokensPerSummary * 0.75);
+    return Math.max(MIN_SUMMARY_WORDS, Math.min(MAX_SUMMARY_WORDS, words));
+  }
+
+  /**
+   * Split a user message built by ChatController.sendMessage into its
+   * label ("[Email-Kontext]"), page context and the actual request
+   */
+  splitUserContent(content = "") {
+    const markerIndex = content.lastIndexOf(REQUEST_MARKER);
+    const firstLineEnd = content.indexOf("\n");
+    if (markerIndex === -1 || firstLineEnd === -1 || !content.startsWith("[")) {
+      return { label: null, context: "", request: content };
+    }
+
+    return {
+      label: content.substring(0, firstLineEnd),
+      context: content.substring(firstLineEnd + 1, markerIndex),
+      request: content.substring(markerIndex + REQUEST_MARKER.length),
+    };
+  }
+
+  countMessage(message, provider) {
+    return (
+      this.estimateTokens(message.content, provider) + MESSAGE_OVERHEAD_TOKENS
+    );
+  }
+
+  countMessages(messages, provider) {
+    return messages.reduce((sum, m) => sum + this.countMessage(m, provider), 0);
+  }
+
+  /**
+   * Fit payload messages ({ role, content, ... }) into the model window.
+   * The last message is the new request and is never dropped.
+   */
+  fitMessages(messages, model = this.getModel()) {
+    const provider = model?.provider;
+    const { input } = this.getLimits(model);
+    const report = { strippedContext: 0, collapsed: 0, truncated: false };
+
+    let result = messages.map((m) => ({ ...m }));
+    const total = () => this.countMessages(result, provider);
+
+    if (result.length === 0 || total() <= input) {
+      return { messages: result, tokens: total(), limit: input, report };
+    }
+
+    // 1) Older user messages each carry their own copy of the page context
+    for (let i = 0; i < result.length - 1 && total() > input; i++) {
+      if (result[i].role !== "user") continue;
+
+      const { context, request } = this.splitUserContent(result[i].content);
+      if (!context) continue;
+
+      result[i] = {
+        ...result[i],
+        content: `${OMITTED_CONTEXT_NOTE}\n${request}`,
+      };
+      report.strippedContext++;
+    }
+
+    // 2) Collapse the oldest history into one summary message
+    if (total() > input) {
+      const current = result[result.length - 1];
+      const history = result.slice(0, -1);
+      const collapsed = [];
+
+      const fits = () =>
+        this.countMessages(history, provider) +
+          this.countMessage(current, provider) +
+          (collapsed.length > 0
+            ? this.countMessage(this.buildSummary(collapsed), provider)
+            : 0) <=
+        input;
+
+      while (history.length > 0 && !fits()) {
+        collapsed.push(history.shift());
+      }
+
+      const summary =
+        collapsed.length > 0 ? this.buildSummary(collapsed) : null;
+      result = [
+        // The summary is dropped too if even it doesn't fit
+        ...(summary && fits() ? [summary] : []),
+        ...history,
+        current,
+      ];
+      report.collapsed = collapsed.length;
+    }
+
+    // 3) Still too large: the current page context itself is too long
+    if (total() > input) {
+      const current = result[result.length - 1];
+      const { label, context, request } = this.splitUserContent(
+        current.content
+      );
+
+      if (context) {
+        const overflowChars = Math.ceil(
+          (total() - input) * this.getCharsPerToken(provider)
+        );
+        const keepChars = Math.max(0, context.length - overflowChars - 100);
+
+        result[result.length - 1] = {
+          ...current,
+          content: `${label}\n${context.substring(
+            0,
+            keepChars
+          )}\n[… Kontext gekürzt]${REQUEST_MARKER}${request}`,
+        };
+        report.truncated = true;
+      }
+    }
+
+    this.debug.log("[ContextBudget] Fitted messages:", report);
+    return { messages: result, tokens: total(), limit: input, report };
+  }
+
+  buildSummary(messages) {
+    const lines = messages.slice(-SUMMARY_MAX_LINES).map((m) => {
+      const text = this.splitUserContent(m.content)
+        .request.replace(/\s+/g, " ")
+        .trim();
+      const snippet =
+        text.length > SUMMARY_SNIPPET_LENGTH
+          ? `${text.substring(0, SUMMARY_SNIPPET_LENGTH)}…`
+          : text;
+      return `- ${m.role === "user" ? "Nutzer" : "Assistent"}: ${snippet}`;
+    });
+
+    return {
+      role: "user",
+      content: `${SUMMARY_HEADER}\n${lines.join("\n")}`,
+      references: [],
+      sources: [],
+    };
+  }
+
+  /**
+   * How much of the window the loaded page context and the stored
+   * history take up (for the meter in the context bar)
+   */
+  measureUsage(model = this.getModel()) {
+    const provider = model?.provider;
+    const { total, reserve, input } = this.getLimits(model);
+
+    const context = this.store.get("context");
+    const contextTokens =
+      (context?.isLoaded
+        ? this.estimateTokens(context.selectedText || context.content, provider)
+        : 0) +
+      (context?.attachments || []).reduce(
+        (sum, a) => sum + this.estimateTokens(a.content, provider),
+        0
+      );
+
+    // Older messages only count their request; their page context is the
+    // first thing dropped when the budget is tight
+    const historyTokens = (this.store.get("chat.messages") || [])
+      .filter((m) => !m._isProcessMessage)
+      .reduce(
+        (sum, m) =>
+          sum +
+          this.estimateTokens(
+            m.role === "user"
+              ? this.splitUserContent(m.content).request
+              : m.content,
+            provider
+          ) +
+          MESSAGE_OVERHEAD_TOKENS,
+        0
+      );
+
+    const used = contextTokens + historyTokens;
+    return {
+      needsMapReduce: contextTokens > input * CONTEXT_SHARE,
+      total,
+      reserve,
+      input,
+      contextTokens,
+      historyTokens,
+      used,
+      ratio: input > 0 ? used / input : 0,
+    };
+  }
+}
+
+export const contextBudget = new ContextBudget();
@@ -1,5 +1,8 @@
 // sidepanel/modules/context-manager.js - CLEANED VERSION
 import { debounce } from "./utils.js";
+import { contextBudget } from "./context-budget.js";
+import { OcrService, OCR_DEFAULT_PAGES } from "./ocr-service.js";
+import { LocalFileExtractor } from "./local-file-extractor.js";
 export class ContextManager {
   constructor(app) {
     this.debug = window.Debug.create("context");
@@ -16,9 +19,20 @@ export class ContextManager {
     this.contextBar = null;
     this.contextText = null;
     this.clearButton = null;
+    this.attachTabButton = null;
+    this.tabPicker = null;
 
     this.pageChangeDebounce = null;
 
+    // Sheets picked for the current SharePoint workbook ({ fileName, sheets })
+    this.sheetSelection = null;
+
+    // Text recognition for scanned SharePoint PDFs
+    this.ocrService = new OcrService();
+    this.fileExtractor = new LocalFileExtractor();
+    this.fileInput = null;
+    this.dragDepth = 0;
+
     // Setup state sync
     this.setupStateSync();
 
@@ -67,6 +81,14 @@ export class ContextManager {
       }
     });
 
+    // Token meter follows context, history and model
+    ["context.content", "chat.messages", "chat.selectedModel"].forEach((path) =>
+      this.store.subscribe(path, () => this.updateBudgetMeter())
+    );
+
+    // Chips for tabs attached in addition to the current page
+    this.store.subscribe("context.attachments", () => this.renderAttachments());
+
     // Subscribe to tab changes
     this.store.subscribe("tab.url", (url) => {
       if (url && url !== this.store.get("context.url")) {
@@ -84,6 +106,9 @@ export class ContextManager {
     this.contextBar = document.getElementById("context-bar");
     this.contextText = document.getElementById("context-text");
     this.clearButton = document.getElementById("clear-context");
+    this.attachTabButton = document.getElementById("attach-tab-btn");
+    this.tabPicker = document.getElementById("tab-picker");
+    this.fileInput = document.getElementById("context-file-input");
 
     // Setup event listeners
     this.setupEventListeners();
@@ -100,10 +125,73 @@ export class ContextManager {
       this.loadPageContext();
     });
 
-    // Clear context button
+    // Clear context button (also drops attached tabs)
     this.clearButton?.addEventListener("click", () => {
+      this.clearAttachments();
       this.clearContext();
     });
+
+    // Attach further tabs
+    this.attachTabButton?.addEventListener("click", (e) => {
+      e.stopPropagation();
+      this.toggleTabPicker();
+    });
+
+    this.tabPicker?.addEventListener("click", (e) => {
+      const item = e.target.closest(".tab-picker-item");
+      if (!item) return;
+      e.stopPropagation();
+      this.closeTabPicker();
+
+      if (item.classList.contains("tab-picker-file")) {
+        this.fileInput?.click();
+      } else {
+        this.attachTab(Number(item.dataset.tabId));
+      }
+    });
+
+    // Local files: picker and drag-and-drop onto the panel
+    this.fileInput?.addEventListener("change", () => {
+      const files = [...(this.fileInput.files || [])];
+      this.fileInput.value = "";
+      this.attachFiles(files);
+    });
+    this.setupFileDrop();
+
+    document.addEventListener("click", (e) => {
+      if (this.tabPicker && !this.tabPicker.contains(e.target)) {
+        this.closeTabPicker();
+      }
+    });
+
+    document
+      .getElementById("context-attachments")
+      ?.addEventListener("click", (e) => {
+        const removeButton = e.target.closest(".context-chip-remove");
+        if (!removeButton) return;
+        this.detachAttachment(
+          removeButton.closest(".context-chip").dataset.attachmentId
+        );
+      });
+
+    document
+      .getElementById("ocr-start-btn")
+      ?.addEventListener("click", () => this.runOcr());
+    document
+      .getElementById("ocr-cancel-btn")
+      ?.addEventListener("click", () => this.ocrService.cancel());
+    document
+      .getElementById("ocr-page-range")
+      ?.addEventListener("keydown", (e) => {
+        if (e.key === "Enter") this.runOcr();
+      });
+
+    document
+      .getElementById("context-sheets")
+      ?.addEventListener("click", (e) => {
+        const chip = e.target.closest(".sheet-chip");
+        if (chip) this.toggleSheet(chip.dataset.sheet);
+      });
   }
 
   // context-manager.js - Update monitorPageChanges (around line 120)
@@ -251,12 +339,19 @@ export class ContextManager {
   }
 
   async extractPageContext() {
-    try {
-      const [tab] = await chrome.tabs.query({
-        active: true,
-        currentWindow: true,
-      });
+    const [tab] = await chrome.tabs.query({
+      active: true,
+      currentWindow: true,
+    });
+
+    return this.extractTabContext(tab);
+  }
 
+  /**
+   * Extract the content of any tab (active page or attached tab)
+   */
+  async extractTabContext(tab) {
+    try {
       if (!tab || !tab.id) {
         throw new Error("No active tab found");
       }
@@ -300,18 +395,13 @@ export class ContextManager {
         response?.metadata?.needsExport
       ) {
         this.debug.log("[ContextManager] Content needs API enhancement");
-        response = await this.enhanceWithApiData(response);
+        response = await this.enhanceWithApiData(response, tab.id);
       }
 
       return response;
     } catch (error) {
       console.error("[ContextManager] Failed to extract context:", error);
 
-      const [tab] = await chrome.tabs.query({
-        active: true,
-        currentWindow: true,
-      });
-
       return {
         success: false,
         title: tab?.title || "Unknown Page",
@@ -376,8 +466,9 @@ export class ContextManager {
   async extractViaContentScript(tabId) {
     this.debug.log("[ContextManager] Extracting via content script");
 
-    // Get model limit from store
-    const modelLimit = this.store.get("chat.selectedModel.maxLength") || 190000;
+    // Character limit derived from the model's token budget; larger
+    // documents are summarized in chunks before answering
+    const modelLimit = contextBudget.getExtractionCharLimit();
 
     const response = await chrome.tabs.sendMessage(tabId, {
       action: "EXTRACT_CONTENT",
@@ -441,8 +532,7 @@ export class ContextManager {
       );
 
       // Fallback to one-time injection with proper limit
-      const modelLimit =
-        this.store.get("chat.selectedModel.maxLength") || 190000;
+      const modelLimit = contextBudget.getExtractionCharLimit();
 
       const results = await chrome.scripting.executeScript({
         target: { tabId },
@@ -480,16 +570,20 @@ export class ContextManager {
     }
   }
 
-  processContext(rawContext) {
+  processContext(rawContext, { updateStore = true } = {}) {
     this.debug.log("[ContextManager] Processing context:", rawContext);
 
     // Clean and process the text content
+    // Tables and slides from document extractors need their line breaks
+    const cleanOptions = {
+      preserveLines: !!rawContext?.metadata?.preserveLayout,
+    };
     let textContent = "";
     if (rawContext?.mainContent) {
-      textContent = this.cleanText(rawContext.mainContent);
+      textContent = this.cleanText(rawContext.mainContent, cleanOptions);
     } else if (rawContext?.content) {
       // ADD THIS - sometimes it's in content not mainContent
-      textContent = this.cleanText(rawContext.content);
+      textContent = this.cleanText(rawContext.content, cleanOptions);
     }
 
     // Selected text
@@ -583,11 +677,17 @@ export class ContextManager {
       method: processedContext.extractionMethod,
       contentLength: processedContext.mainContent.length,
     });
-    this.debouncedContextUpdate(processedContext);
+    if (updateStore) {
+      this.debouncedContextUpdate(processedContext);
+    }
     return processedContext; // Make sure you have this return statement
   }
 
-  async enhanceWithApiData(response) {
+  /**
+   * tabId is the tab the response was extracted from; attached tabs
+   * are usually not the active one
+   */
+  async enhanceWithApiData(response, tabId) {
     this.debug.log("[ContextManager] Enhancing with API data");
     this.debug.log("[ContextManager] Metadata:", response.metadata);
 
@@ -602,10 +702,14 @@ export class ContextManager {
         const docResponse = await chrome.runtime.sendMessage({
           type: "EXTRACT_SHAREPOINT_DOCUMENT",
           data: {
+            tabId,
             sourceDoc: response.metadata.sourceDoc,
             fileName: response.metadata.fileName,
             fileUrl: response.metadata.documentUrl || response.url,
             siteUrl: response.url,
+            // Spreadsheets are cut to fit one request instead of map-reduce
+            sheets: this.getSheetSelection(response.metadata.fileName),
+            maxChars: contextBudget.getContextCharLimit(),
           },
         });
 
@@ -618,6 +722,10 @@ export class ContextManager {
           response.mainContent = docResponse.content;
           response.metadata.enhanced = true;
           response.metadata.method = docResponse.method || "sharepoint-api";
+          response.metadata.preserveLayout = !!docResponse.preserveLayout;
+          response.metadata.workbook = docResponse.workbook || null;
+          response.metadata.ocr = docResponse.ocr || null;
+          response.metadata.anchors = docResponse.anchors || null;
         } else {
           console.error(
             "[ContextManager] SharePoint extraction failed:",
@@ -657,6 +765,7 @@ export class ContextManager {
           response.mainContent = exportResponse.content;
           response.metadata.enhanced = true;
           response.metadata.method = "google-docs-export";
+          response.metadata.anchors = exportResponse.anchors || null;
         } else {
           console.error(
             "[ContextManager] Google Docs export failed:",
@@ -671,9 +780,17 @@ export class ContextManager {
     return response;
   }
 
-  cleanText(text) {
+  cleanText(text, { preserveLines = false } = {}) {
     if (!text) return "";
 
+    if (preserveLines) {
+      return text
+        .replace(/[^\S\n]+/g, " ")
+        .replace(/ *\n */g, "\n")
+        .replace(/\n{3,}/g, "\n\n")
+        .trim();
+    }
+
     return text
       .replace(/\s+/g, " ")
       .replace(/\n\s*\n/g, "\n")
@@ -760,6 +877,10 @@ export class ContextManager {
       contextInfo += ` (${context.wordCount} Wörter)`;
     }
 
+    if (this.getAttachments().length > 0) {
+      contextInfo += ` + ${this.describeAttachments()}`;
+    }
+
     // Get the action buttons container
     const actionsRow = document.getElementById("context-actions-row");
 
@@ -795,9 +916,15 @@ export class ContextManager {
       }
     }
 
+    // User-defined templates for this kind of page
+    this.app?.renderTemplateActions?.(context);
+    this.renderSheetSelector(context);
+    this.renderOcrRow(context);
+
     // Update context text
     this.contextText.textContent = contextInfo;
     this.contextBar.style.display = "flex";
+    this.updateBudgetMeter();
 
     // Update store
     this.store.set("ui.contextBarVisible", true);
@@ -807,7 +934,45 @@ export class ContextManager {
     }
   }
 
+  /**
+   * Show how much of the model window context and history use
+   */
+  updateBudgetMeter() {
+    const meter = document.getElementById("context-budget");
+    if (!meter || !this.hasContext()) return;
+
+    const usage = contextBudget.measureUsage();
+    const format = (tokens) =>
+      tokens >= 1000 ? `${Math.round(tokens / 1000)}k` : String(tokens);
+
+    meter.querySelector(".context-budget-fill").style.width = `${Math.min(
+      100,
+      Math.round(usage.ratio * 100)
+    )}%`;
+    meter.querySelector(".context-budget-text").textContent = `${format(
+      usage.used
+    )} / ${format(usage.input)}`;
+
+    meter.classList.toggle("warning", usage.ratio >= 0.8 && usage.ratio < 1);
+    meter.classList.toggle("over", usage.ratio >= 1);
+    meter.title =
+      `Kontext: ~${format(usage.contextTokens)} Tokens\n` +
+      `Verlauf: ~${format(usage.historyTokens)} Tokens\n` +
+      `Reserviert für Antwort: ${format(usage.reserve)} Tokens` +
+      (usage.needsMapReduce
+        ? "\nDokument ist zu groß und wird in Teilen zusammengefasst"
+        : usage.ratio >= 1
+        ? "\nÄlterer Verlauf wird beim Senden gekürzt"
+        : "");
+  }
+
   hideContextBar() {
+    // Attached tabs keep the bar open without a page context
+    if (this.getAttachments().length > 0) {
+      this.showAttachmentsOnly();
+      return;
+    }
+
     if (this.contextBar) {
       this.contextBar.style.display = "none";
     }
@@ -821,6 +986,9 @@ export class ContextManager {
     if (actionsRow) {
       actionsRow.style.display = "none";
     }
+    this.app?.renderTemplateActions?.(null);
+    this.renderSheetSelector(null);
+    this.renderOcrRow(null);
   }
 
   showEmailActions() {
@@ -887,25 +1055,622 @@ export class ContextManager {
   hasContext() {
     // Use store's computed property or direct check
     return (
-      this.store.get("context.isLoaded") && this.store.get("context.content")
+      (this.store.get("context.isLoaded") &&
+        this.store.get("context.content")) ||
+      this.getAttachments().length > 0
     );
   }
 
   getContextForMessage() {
-    if (!this.store.get("context.isLoaded")) {
+    const attachments = this.getAttachments().filter((a) => !a.loading);
+    const isLoaded = this.store.get("context.isLoaded");
+
+    if (!isLoaded && attachments.length === 0) {
       return null;
     }
 
-    const context = this.store.get("context");
+    const context = isLoaded ? this.store.get("context") : null;
+
+    if (attachments.length === 0) {
+      return {
+        ...context,
+        mainContent: context.content, // Ensure compatibility
+        sourceType: this.detectSourceType(),
+        isActive: this.isSourceStillActive(),
+      };
+    }
+
+    // Current page and attached tabs as labelled blocks
+    const combined = this.buildAttachmentBlocks(context, attachments);
 
     return {
-      ...context,
-      mainContent: context.content, // Ensure compatibility
+      ...(context || {
+        title: this.describeAttachments(),
+        url: "",
+        metadata: {},
+      }),
+      content: combined,
+      mainContent: combined,
+      selectedText: "",
+      wordCount: combined.split(/\s+/).filter((w) => w.length > 0).length,
+      attachments,
+      isMultiTab: true,
       sourceType: this.detectSourceType(),
       isActive: this.isSourceStillActive(),
     };
   }
 
+  // ==================== Attached tabs and files ====================
+
+  getAttachments() {
+    return this.store.get("context.attachments") || [];
+  }
+
+  buildAttachmentBlocks(context, attachments) {
+    const blocks = [];
+
+    if (context) {
+      const selection = context.selectedText
+        ? `Markierter Text:\n${context.selectedText}\n\n`
+        : "";
+      blocks.push(
+        `### Aktuelle Seite: ${context.title} ###\nURL: ${context.url}\n${selection}${context.content}`
+      );
+    }
+
+    // Only the current page's anchors can be cited; markers in attached
+    // documents would point at the wrong source
+    let tabNumber = 0;
+    attachments.forEach((attachment) => {
+      const content = window.SourceAnchors.strip(attachment.content);
+
+      if (attachment.kind === "file") {
+        blocks.push(`### Datei: ${attachment.title} ###\n${content}`);
+        return;
+      }
+
+      tabNumber++;
+      blocks.push(
+        `### Tab ${tabNumber}: ${attachment.title} (${attachment.label}) ###\nURL: ${attachment.url}\n${content}`
+      );
+    });
+
+    return blocks.join("\n\n");
+  }
+
+  async toggleTabPicker() {
+    if (!this.tabPicker) return;
+
+    if (this.tabPicker.style.display === "block") {
+      this.closeTabPicker();
+      return;
+    }
+
+    const attachedIds = new Set(
+      this.getAttachments()
+        .filter((a) => a.kind === "tab")
+        .map((a) => a.tabId)
+    );
+    const tabs = (await chrome.tabs.query({ currentWindow: true })).filter(
+      (tab) => /^https?:/.test(tab.url || "") && !attachedIds.has(tab.id)
+    );
+
+    const escape = (text) => this.app.messageRenderer.escapeHtml(text || "");
+
+    this.tabPicker.innerHTML =
+      `<div class="tab-picker-item tab-picker-file">
+        <span class="tab-picker-icon">📎</span>
+        <span class="tab-picker-title">Datei vom Computer…</span>
+        <span class="tab-picker-host">PDF, Word, Excel, …</span>
+      </div>` +
+      (tabs.length === 0
+        ? '<div class="tab-picker-empty">Keine weiteren Tabs verfügbar</div>'
+        : `<div class="tab-picker-header">Tab als Kontext anhängen</div>` +
+          tabs
+            .map(
+              (tab) => `
+            <div class="tab-picker-item" data-tab-id="${tab.id}">
+              ${
+                tab.favIconUrl
+                  ? `<img class="tab-picker-icon" src="${escape(
+                      tab.favIconUrl
+                    )}" alt="" />`
+                  : '<span class="tab-picker-icon">📄</span>'
+              }
+              <span class="tab-picker-title">${escape(tab.title)}</span>
+              <span class="tab-picker-host">${escape(
+                this.extractDomain(tab.url)
+              )}</span>
+            </div>
+          `
+            )
+            .join(""));
+
+    this.tabPicker.style.display = "block";
+  }
+
+  closeTabPicker() {
+    if (this.tabPicker) this.tabPicker.style.display = "none";
+  }
+
+  /**
+   * Extract a tab and attach it as an additional context block
+   */
+  async attachTab(tabId) {
+    const id = `tab-${tabId}`;
+    if (this.getAttachments().some((a) => a.id === id)) return;
+
+    let tab;
+    try {
+      tab = await chrome.tabs.get(tabId);
+    } catch (error) {
+      // Closed since the picker was opened
+      this.store.actions.showError(
+        `Tab konnte nicht angehängt werden: ${error.message}`
+      );
+      return;
+    }
+
+    // Placeholder chip while extracting
+    this.addAttachment({
+      id,
+      kind: "tab",
+      tabId,
+      title: tab.title,
+      url: tab.url,
+      loading: true,
+    });
+
+    try {
+      const raw = await this.extractTabContext(tab);
+      if (!raw || raw.success === false) {
+        throw new Error(
+          raw?.metadata?.error || raw?.metadata?.message || "Kein Inhalt"
+        );
+      }
+
+      const processed = this.processContext(raw, { updateStore: false });
+      this.updateAttachment(id, {
+        id,
+        kind: "tab",
+        tabId,
+        title: processed.title,
+        url: processed.url || tab.url,
+        label: this.getAttachmentLabel(processed),
+        content: processed.content,
+        wordCount: processed.wordCount,
+      });
+      this.debug.log("[ContextManager] Attached tab:", processed.title);
+    } catch (error) {
+      console.error("[ContextManager] Failed to attach tab:", error);
+      this.detachAttachment(id);
+      this.store.actions.showError(
+        `Tab konnte nicht angehängt werden: ${error.message}`
+      );
+    }
+  }
+
+  /**
+   * Extract local files and attach them as context blocks
+   */
+  async attachFiles(files) {
+    await Promise.all(files.map((file) => this.attachFile(file)));
+  }
+
+  async attachFile(file) {
+    const id = `file-${Date.now()}-${Math.random().toString(36).slice(2, 7)}`;
+    this.addAttachment({
+      id,
+      kind: "file",
+      title: file.name,
+      url: "",
+      loading: true,
+    });
+
+    try {
+      const result = await this.fileExtractor.extract(file, {
+        maxChars: contextBudget.getContextCharLimit(),
+      });
+
+      let content = result.content;
+      if (result.needsOcr) {
+        content = await this.recognizeLocalPdf(id, file, result.pageCount);
+      }
+
+      content = this.cleanText(content, { preserveLines: true });
+      this.updateAttachment(id, {
+        id,
+        kind: "file",
+        title: file.name,
+        url: "",
+        label: "Datei",
+        fileType: result.fileType,
+        content,
+        wordCount: content.split(/\s+/).filter((w) => w.length > 0).length,
+      });
+      this.debug.log("[ContextManager] Attached file:", file.name);
+    } catch (error) {
+      this.detachAttachment(id);
+      if (error.message === "Aborted") return;
+
+      console.error("[ContextManager] Failed to attach file:", error);
+      this.store.actions.showError(
+        `${file.name} konnte nicht angehängt werden: ${error.message}`
+      );
+    }
+  }
+
+  /**
+   * Scanned local PDFs: recognize the first pages, progress on the chip
+   */
+  async recognizeLocalPdf(id, file, pageCount) {
+    const pages = this.ocrService.parsePageRange("", pageCount);
+    const results = await this.ocrService.recognizePdf(
+      await file.arrayBuffer(),
+      {
+        pages,
+        onProgress: ({ progress }) =>
+          this.updateAttachment(id, {
+            title: `${file.name} · Texterkennung ${Math.round(
+              progress * 100
+            )}%`,
+          }),
+      }
+    );
+
+    return (
+      `PDF Document: ${file.name}\n` +
+      `Pages: ${pageCount} (OCR of ${pages.length} pages)\n\n` +
+      `Content:\n` +
+      results.map((r) => `\n--- Page ${r.page} ---\n${r.text}\n`).join("")
+    );
+  }
+
+  /**
+   * Drop files anywhere on the chat view
+   */
+  setupFileDrop() {
+    const overlay = document.getElementById("file-drop-overlay");
+    const hasFiles = (e) => e.dataTransfer?.types?.includes("Files");
+    const isChatView = () => this.store.get("ui.activeView") === "chat";
+
+    document.addEventListener("dragenter", (e) => {
+      if (!hasFiles(e) || !isChatView()) return;
+      this.dragDepth++;
+      if (overlay) overlay.style.display = "flex";
+    });
+
+    document.addEventListener("dragover", (e) => {
+      if (hasFiles(e) && isChatView()) e.preventDefault();
+    });
+
+    document.addEventListener("dragleave", (e) => {
+      if (!hasFiles(e)) return;
+      this.dragDepth = Math.max(0, this.dragDepth - 1);
+      if (this.dragDepth === 0 && overlay) overlay.style.display = "none";
+    });
+
+    document.addEventListener("drop", (e) => {
+      this.dragDepth = 0;
+      if (overlay) overlay.style.display = "none";
+      if (!hasFiles(e) || !isChatView()) return;
+
+      e.preventDefault();
+      this.attachFiles([...e.dataTransfer.files]);
+    });
+  }
+
+  addAttachment(attachment) {
+    this.store.set("context.attachments", [
+      ...this.getAttachments(),
+      attachment,
+    ]);
+  }
+
+  updateAttachment(id, changes) {
+    this.store.set(
+      "context.attachments",
+      this.getAttachments().map((a) => (a.id === id ? { ...a, ...changes } : a))
+    );
+  }
+
+  detachAttachment(id) {
+    this.store.set(
+      "context.attachments",
+      this.getAttachments().filter((a) => a.id !== id)
+    );
+  }
+
+  /**
+   * "2 Tabs, 1 Datei"
+   */
+  describeAttachments() {
+    const attachments = this.getAttachments();
+    const files = attachments.filter((a) => a.kind === "file").length;
+    const tabs = attachments.length - files;
+
+    return [
+      tabs > 0 ? `${tabs} Tab${tabs > 1 ? "s" : ""}` : null,
+      files > 0 ? `${files} Datei${files > 1 ? "en" : ""}` : null,
+    ]
+      .filter(Boolean)
+      .join(", ");
+  }
+
+  clearAttachments() {
+    this.store.set("context.attachments", []);
+  }
+
+  getAttachmentLabel(context) {
+    if (context.isEmail) return "E-Mail";
+    if (context.isGoogleDocs) return "Google Docs";
+    if (context.url?.includes("sharepoint")) return "SharePoint";
+    return "Webseite";
+  }
+
+  renderAttachments() {
+    const container = document.getElementById("context-attachments");
+    const attachments = this.getAttachments();
+    const escape = (text) => this.app.messageRenderer.escapeHtml(text || "");
+
+    if (container) {
+      container.innerHTML = attachments
+        .map(
+          (a) => `
+          <span class="context-chip${a.loading ? " loading" : ""}${
+            a.kind === "file" ? " file" : ""
+          }" data-attachment-id="${a.id}" title="${escape(a.url || a.title)}">
+            <span class="context-chip-label">${escape(a.title)}</span>
+            <button class="context-chip-remove" title="Entfernen">✕</button>
+          </span>
+        `
+        )
+        .join("");
+      container.style.display = attachments.length > 0 ? "flex" : "none";
+    }
+
+    if (this.store.get("context.isLoaded")) {
+      this.showContextBar(this.store.get("context"));
+    } else {
+      this.hideContextBar();
+    }
+  }
+
+  /**
+   * Context bar with attached tabs but no page context
+   */
+  showAttachmentsOnly() {
+    if (!this.contextBar || !this.contextText) return;
+
+    this.contextText.textContent = `${this.describeAttachments()} angehängt`;
+    this.contextBar.style.display = "flex";
+
+    const actionsRow = document.getElementById("context-actions-row");
+    if (actionsRow) {
+      actionsRow.style.display = "none";
+    }
+    this.app?.renderTemplateActions?.(null);
+    this.renderSheetSelector(null);
+    this.renderOcrRow(null);
+
+    this.store.set("ui.contextBarVisible", true);
+    this.store.set("ui.contextActionsVisible", false);
+    this.updateBudgetMeter();
+  }
+
+  /**
+   * Sheets requested for a workbook; null (all visible sheets) for a
+   * different file
+   */
+  getSheetSelection(fileName) {
+    return this.sheetSelection?.fileName === fileName
+      ? this.sheetSelection.sheets
+      : null;
+  }
+
+  /**
+   * Include or exclude a sheet and extract the workbook again
+   */
+  toggleSheet(name) {
+    const metadata = this.store.get("context.metadata") || {};
+    const sheets = metadata.workbook?.sheets || [];
+    const included = sheets.filter((s) => s.included).map((s) => s.name);
+
+    const next = included.includes(name)
+      ? included.filter((n) => n !== name)
+      : [...included, name];
+    if (next.length === 0) return;
+
+    this.sheetSelection = { fileName: metadata.fileName, sheets: next };
+    this.loadPageContext();
+  }
+
+  /**
+   * Sheet chips for SharePoint workbooks with more than one sheet
+   */
+  renderSheetSelector(context) {
+    const container = document.getElementById("context-sheets");
+    if (!container) return;
+
+    const sheets = context?.metadata?.workbook?.sheets || [];
+    if (sheets.length < 2) {
+      container.style.display = "none";
+      container.innerHTML = "";
+      return;
+    }
+
+    const escape = (text) => this.app.messageRenderer.escapeHtml(text || "");
+    container.innerHTML = sheets
+      .map((sheet) => {
+        const title = sheet.included
+          ? sheet.shownRows < sheet.rows
+            ? `${sheet.shownRows} von ${sheet.rows} Zeilen (Modell-Limit)`
+            : `${sheet.rows} Zeilen`
+          : sheet.hidden
+          ? "Ausgeblendetes Blatt – zum Einbeziehen klicken"
+          : "Zum Einbeziehen klicken";
+
+        return `
+          <button class="sheet-chip${
+            sheet.included ? " active" : ""
+          }" data-sheet="${escape(sheet.name)}" title="${escape(title)}">
+            ${escape(sheet.name)}${
+          sheet.included && sheet.shownRows < sheet.rows ? " ✂" : ""
+        }
+          </button>
+        `;
+      })
+      .join("");
+    container.style.display = "flex";
+  }
+
+  /**
+   * Offer text recognition for scanned PDFs (set by the SharePoint
+   * extraction when PDF.js finds no text layer)
+   */
+  renderOcrRow(context) {
+    const row = document.getElementById("context-ocr");
+    if (!row || this.ocrService.isRunning) return;
+
+    const ocr = context?.metadata?.ocr;
+    if (!ocr || ocr.done) {
+      row.style.display = "none";
+      return;
+    }
+
+    row.querySelector(
+      ".context-ocr-text"
+    ).textContent = `Gescanntes PDF · ${ocr.pageCount} Seiten`;
+    document.getElementById("ocr-page-range").placeholder = `1-${Math.min(
+      ocr.pageCount,
+      OCR_DEFAULT_PAGES
+    )}`;
+    this.setOcrRunning(false);
+    row.style.display = "flex";
+  }
+
+  setOcrRunning(running) {
+    const row = document.getElementById("context-ocr");
+    if (!row) return;
+
+    row.classList.toggle("running", running);
+    document.getElementById("ocr-page-range").disabled = running;
+    document.getElementById("ocr-start-btn").style.display = running
+      ? "none"
+      : "";
+    document.getElementById("ocr-cancel-btn").style.display = running
+      ? ""
+      : "none";
+    row.querySelector(".context-ocr-fill").style.width = "0";
+  }
+
+  updateOcrProgress({ page, index, total, progress }) {
+    const row = document.getElementById("context-ocr");
+    if (!row) return;
+
+    row.querySelector(".context-ocr-text").textContent = page
+      ? `Texterkennung: Seite ${page} (${index + 1}/${total}) · ${Math.round(
+          progress * 100
+        )}%`
+      : "Texterkennung abgeschlossen";
+    row.querySelector(".context-ocr-fill").style.width = `${Math.round(
+      progress * 100
+    )}%`;
+  }
+
+  /**
+   * Recognize the selected pages of a scanned PDF and use the text as
+   * page context
+   */
+  async runOcr() {
+    const context = this.store.get("context");
+    const ocr = context?.metadata?.ocr;
+    if (!ocr || ocr.done || this.ocrService.isRunning) return;
+
+    let pages;
+    try {
+      pages = this.ocrService.parsePageRange(
+        document.getElementById("ocr-page-range")?.value,
+        ocr.pageCount
+      );
+    } catch (error) {
+      this.store.actions.showError(error.message);
+      return;
+    }
+
+    this.setOcrRunning(true);
+    this.updateOcrProgress({
+      page: pages[0],
+      index: 0,
+      total: pages.length,
+      progress: 0,
+    });
+
+    try {
+      const response = await fetch(ocr.fileUrl, { credentials: "include" });
+      if (!response.ok) {
+        throw new Error(`Download fehlgeschlagen (${response.status})`);
+      }
+
+      const results = await this.ocrService.recognizePdf(
+        await response.arrayBuffer(),
+        { pages, onProgress: (progress) => this.updateOcrProgress(progress) }
+      );
+
+      // The user may have moved on to another page meanwhile
+      if (this.store.get("context.url") !== context.url) {
+        this.store.actions.showNotification(
+          "Texterkennung beendet – die Seite wurde inzwischen gewechselt",
+          "info"
+        );
+        return;
+      }
+
+      const { content: text, anchors } = window.SourceAnchors.markPages(
+        results.map((r) => `\n--- Page ${r.page} ---\n${r.text}\n`).join("")
+      );
+      const content =
+        `PDF Document: ${context.metadata.fileName || context.title}\n` +
+        `Pages: ${ocr.pageCount} (OCR of ${pages.length} pages)\n\n` +
+        `Content:\n${text}`;
+
+      this.store.actions.setContext({
+        ...context,
+        content,
+        mainContent: content,
+        metadata: {
+          ...context.metadata,
+          preserveLayout: true,
+          ocr: { ...ocr, done: true, pages },
+          anchors,
+        },
+      });
+      this.store.actions.showNotification(
+        `Text von ${pages.length} Seite(n) erkannt`,
+        "success"
+      );
+    } catch (error) {
+      if (error.message === "Aborted") {
+        this.store.actions.showNotification(
+          "Texterkennung abgebrochen",
+          "info"
+        );
+      } else {
+        console.error("[ContextManager] OCR failed:", error);
+        this.store.actions.showError(
+          `Texterkennung fehlgeschlagen: ${error.message}`
+        );
+      }
+    } finally {
+      this.setOcrRunning(false);
+      if (this.store.get("context.isLoaded")) {
+        this.showContextBar(this.store.get("context"));
+      } else {
+        this.renderOcrRow(null);
+      }
+    }
+  }
+
   detectSourceType() {
     const context = this.store.get("context");
     if (context?.isGmail) return "gmail";
@@ -0,0 +1,147 @@
+// sidepanel/modules/conversation-branches.js
+
+// Key of branches that start with the first message
+const ROOT = "root";
+
+/**
+ * Alternative continuations of a conversation (regenerated answers,
+ * edited questions), navigable like in the web app.
+ *
+ * chat.messages always holds the active path. chat.branches maps the id
+ * of the message a branch point follows ("root" for the first message)
+ * to { tails, active }: tails are the alternative message lists from
+ * that point on. The active one is the live end of chat.messages; its
+ * copy in tails is only refreshed when another branch is shown.
+ */
+export class ConversationBranches {
+  constructor() {
+    this.debug = window.Debug.create("chat");
+    this.store = window.AppStore;
+  }
+
+  getMessages() {
+    return this.store.get("chat.messages") || [];
+  }
+
+  getBranches() {
+    return this.store.get("chat.branches") || {};
+  }
+
+  keyAt(messages, index) {
+    return index === 0 ? ROOT : messages[index - 1]?.id;
+  }
+
+  /**
+   * Index in the active path where a branch starts, -1 if it's not on it
+   */
+  startOf(messages, key) {
+    if (key === ROOT) return 0;
+    const index = messages.findIndex((m) => m.id === key);
+    return index === -1 ? -1 : index + 1;
+  }
+
+  /**
+   * { index, count } if the message starts one of several branches
+   */
+  getInfo(messageId) {
+    const messages = this.getMessages();
+    const index = messages.findIndex((m) => m.id === messageId);
+    if (index === -1) return null;
+
+    const branch = this.getBranches()[this.keyAt(messages, index)];
+    if (!branch || branch.tails.length < 2) return null;
+    return { index: branch.active, count: branch.tails.length };
+  }
+
+  /**
+   * Start a new, empty branch at messages[index]. The current
+   * continuation stays available. Returns { key, previous } for
+   * discardEmpty().
+   */
+  fork(index) {
+    const messages = this.getMessages();
+    const key = this.keyAt(messages, index);
+    const existing = this.getBranches()[key];
+
+    const tails = existing ? [...existing.tails] : [];
+    const previous = existing ? existing.active : 0;
+    tails[previous] = messages.slice(index);
+    tails.push([]);
+
+    this.debug.log("[ConversationBranches] Fork at", key, tails.length);
+    this.store.batch({
+      "chat.branches": {
+        ...this.getBranches(),
+        [key]: { tails, active: tails.length - 1 },
+      },
+      "chat.messages": messages.slice(0, index),
+    });
+
+    return { key, previous };
+  }
+
+  /**
+   * Remove a forked branch that is still empty (its request failed) and
+   * show the previous one again
+   */
+  discardEmpty({ key, previous }) {
+    const messages = this.getMessages();
+    const start = this.startOf(messages, key);
+    const branch = this.getBranches()[key];
+    if (!branch || start === -1 || messages.length > start) return;
+
+    const tails = branch.tails.filter((_, i) => i !== branch.active);
+    const branches = { ...this.getBranches() };
+    if (tails.length > 1) {
+      branches[key] = { tails, active: previous };
+    } else {
+      delete branches[key];
+    }
+
+    this.store.batch({
+      "chat.branches": branches,
+      "chat.messages": [...messages, ...(tails[previous] || [])],
+    });
+  }
+
+  /**
+   * Show another branch of the branch point at messageId (delta -1 / +1)
+   */
+  step(messageId, delta) {
+    const messages = this.getMessages();
+    const index = messages.findIndex((m) => m.id === messageId);
+    if (index === -1) return false;
+
+    const key = this.keyAt(messages, index);
+    const branch = this.getBranches()[key];
+    const target = (branch?.active ?? 0) + delta;
+    if (!branch || target < 0 || target >= branch.tails.length) return false;
+
+    const tails = [...branch.tails];
+    tails[branch.active] = messages.slice(index);
+
+    this.store.batch({
+      "chat.branches": {
+        ...this.getBranches(),
+        [key]: { tails, active: target },
+      },
+      "chat.messages": [...messages.slice(0, index), ...tails[target]],
+    });
+    return true;
+  }
+
+  /**
+   * Only the last answer can be regenerated
+   */
+  canRegenerate(messageId) {
+    const messages = this.getMessages();
+    const last = messages[messages.length - 1];
+    return (
+      last?.id === messageId &&
+      last.role === "assistant" &&
+      messages[messages.length - 2]?.role === "user"
+    );
+  }
+}
+
+export const conversationBranches = new ConversationBranches();
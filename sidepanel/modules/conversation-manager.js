@@ -0,0 +1,407 @@
+// sidepanel/modules/conversation-manager.js
+import { debounce } from "./utils.js";
+
+const STORAGE_KEY = "companygpt-conversations";
+const MAX_CONVERSATIONS = 100;
+const TITLE_LENGTH = 60;
+
+/**
+ * Named, locally persisted conversations.
+ *
+ * The store keeps working on the active conversation only (chat.messages,
+ * chat.sessionId, ...). This manager snapshots it into chrome.storage.local
+ * whenever it changes and swaps it out when the user switches conversations.
+ */
+export class ConversationManager {
+  constructor() {
+    this.debug = window.Debug.create("conversations");
+    this.store = window.AppStore;
+
+    this.conversations = [];
+    this.serverChats = [];
+    this.isInitialized = false;
+
+    this.scheduleSave = debounce(() => this.saveActive(), 500);
+  }
+
+  async initialize() {
+    if (this.isInitialized) return;
+
+    try {
+      const result = await chrome.storage.local.get(STORAGE_KEY);
+      this.conversations = result[STORAGE_KEY] || [];
+    } catch (error) {
+      console.error("[ConversationManager] Failed to load:", error);
+      this.conversations = [];
+    }
+
+    const sessionId = this.store.get("chat.sessionId");
+    const active = this.getById(sessionId);
+
+    if (active) {
+      // Conversation records are the source of truth for messages
+      this.applyConversation(active);
+    } else if (sessionId) {
+      // Adopt the implicit conversation from before conversations existed
+      await this.saveActive();
+    }
+
+    // Snapshot the active conversation whenever it changes
+    [
+      "chat.messages",
+      "chat.branches",
+      "chat.sessionId",
+      "chat.selectedModel",
+      "chat.selectedAssistant",
+      "chat.roleId",
+      "chat.roleOverride",
+      "chat.generation",
+      "datenspeicher.selected",
+      "datenspeicher.selectedFiles",
+    ].forEach((path) => this.store.subscribe(path, () => this.scheduleSave()));
+
+    this.isInitialized = true;
+    this.debug.log(
+      `[ConversationManager] Loaded ${this.conversations.length} conversations`
+    );
+  }
+
+  /**
+   * All conversations, pinned first, then most recently updated.
+   * Server chats without a local copy are included with remote: true.
+   */
+  getAll() {
+    const localIds = new Set(this.conversations.map((c) => c.id));
+    const remoteOnly = this.serverChats.filter((c) => !localIds.has(c.id));
+
+    return [...this.conversations, ...remoteOnly].sort((a, b) => {
+      if (a.pinned !== b.pinned) return a.pinned ? -1 : 1;
+      return b.updatedAt - a.updatedAt;
+    });
+  }
+
+  getById(id) {
+    if (!id) return null;
+    return (
+      this.conversations.find((c) => c.id === id) ||
+      this.serverChats.find((c) => c.id === id) ||
+      null
+    );
+  }
+
+  getLocalById(id) {
+    if (!id) return null;
+    return this.conversations.find((c) => c.id === id) || null;
+  }
+
+  /**
+   * Refresh the list of chats stored on the CompanyGPT server
+   */
+  async syncServerChats() {
+    try {
+      const chats = await window.APIService.fetchChats(
+        this.store.get("chat.folderId")
+      );
+
+      this.serverChats = chats
+        .filter((chat) => chat?.id)
+        .map((chat) => ({
+          id: chat.id,
+          title: chat.name || chat.title || "Unbenannter Chat",
+          pinned: false,
+          remote: true,
+          createdAt: Date.parse(chat.createdAt) || Date.now(),
+          updatedAt: Date.parse(chat.updatedAt || chat.createdAt) || Date.now(),
+          messageCount: chat.messages?.length ?? chat.messageCount ?? null,
+        }));
+
+      // Panel conversations that also exist on the server
+      const serverIds = new Set(this.serverChats.map((c) => c.id));
+      this.conversations.forEach((c) => {
+        c.synced = serverIds.has(c.id);
+      });
+
+      this.debug.log(
+        `[ConversationManager] ${this.serverChats.length} server chats`
+      );
+    } catch (error) {
+      console.warn(
+        "[ConversationManager] Failed to load server chats:",
+        error.message
+      );
+    }
+
+    window.dispatchEvent(new CustomEvent("conversations-changed"));
+  }
+
+  /**
+   * Load a server chat into a local conversation (same id, so the
+   * panel continues the same chat on the server)
+   */
+  async importServerChat(id) {
+    const chat = await window.APIService.fetchChat(id);
+    const serverChat = this.serverChats.find((c) => c.id === id);
+
+    const messages = (chat?.messages || [])
+      .filter((m) => m?.role === "user" || m?.role === "assistant")
+      .map((m, index) => ({
+        id: m.id || `msg-${Date.now()}-${index}`,
+        role: m.role,
+        content: m.content || "",
+        timestamp: Date.parse(m.createdAt) || Date.now(),
+        references: m.references || [],
+        sources: m.sources || [],
+      }));
+
+    const conversation = {
+      id,
+      title: chat?.name || serverChat?.title || this.buildTitle(messages),
+      customTitle: true,
+      pinned: false,
+      synced: true,
+      createdAt: serverChat?.createdAt || Date.now(),
+      updatedAt: serverChat?.updatedAt || Date.now(),
+      messages,
+      modelId: chat?.model?.id || null,
+      roleId: chat?.roleId || null,
+      // Keep the role the chat was held with in the web app
+      roleOverride: chat?.roleId || null,
+      assistant: chat?.selectedAssistantId
+        ? {
+            id: chat.selectedAssistantId,
+            name: chat.assistant?.name || "Assistent",
+          }
+        : null,
+      datenspeicher: [],
+    };
+
+    this.conversations = this.conversations.filter((c) => c.id !== id);
+    this.conversations.push(conversation);
+    await this.persist();
+
+    return conversation;
+  }
+
+  getActiveId() {
+    return this.store.get("chat.sessionId") || null;
+  }
+
+  /**
+   * Write the store's current chat into its conversation record. Only a
+   * change of the messages counts as an update for ordering and pruning;
+   * opening a chat or changing its settings doesn't move it up.
+   */
+  async saveActive() {
+    const id = this.getActiveId();
+    if (!id) return;
+
+    // Page context can be huge and is already folded into content
+    const withoutContext = ({ _context, ...message }) => message;
+    const messages = (this.store.get("chat.messages") || []).map(
+      withoutContext
+    );
+    const branches = Object.fromEntries(
+      Object.entries(this.store.get("chat.branches") || {}).map(
+        ([key, branch]) => [
+          key,
+          {
+            ...branch,
+            tails: branch.tails.map((tail) => tail.map(withoutContext)),
+          },
+        ]
+      )
+    );
+
+    let conversation = this.getLocalById(id);
+    if (!conversation) {
+      // Don't create records for chats without a single message
+      if (messages.length === 0) return;
+
+      conversation = {
+        id,
+        title: "",
+        customTitle: false,
+        pinned: false,
+        createdAt: Date.now(),
+      };
+      this.conversations.push(conversation);
+    }
+
+    const messagesChanged =
+      JSON.stringify(conversation.messages || []) !==
+        JSON.stringify(messages) ||
+      JSON.stringify(conversation.branches || {}) !== JSON.stringify(branches);
+
+    Object.assign(conversation, {
+      messages,
+      branches,
+      updatedAt:
+        messagesChanged || !conversation.updatedAt
+          ? Date.now()
+          : conversation.updatedAt,
+      modelId: this.store.get("chat.selectedModel")?.id || null,
+      roleId: this.store.get("chat.roleId") || null,
+      roleOverride: this.store.get("chat.roleOverride") ?? null,
+      assistant: this.store.get("chat.selectedAssistant") || null,
+      generation: this.store.get("chat.generation") || null,
+      datenspeicher: this.store.get("datenspeicher.selected") || [],
+      datenspeicherFiles: this.store.get("datenspeicher.selectedFiles") || [],
+    });
+
+    if (!conversation.customTitle) {
+      conversation.title = this.buildTitle(messages);
+    }
+
+    await this.persist();
+  }
+
+  /**
+   * Start an empty conversation (the id is assigned on the first message)
+   */
+  async startNew() {
+    await this.saveActive();
+    this.store.actions.clearChat();
+    // New conversations start with the default role, generation and no
+    // assistant
+    this.store.batch({
+      "chat.roleOverride": null,
+      "chat.generation": null,
+      "chat.selectedAssistant": null,
+    });
+    this.debug.log("[ConversationManager] Started new conversation");
+  }
+
+  /**
+   * Make a stored conversation the active one
+   */
+  async switchTo(id) {
+    if (!this.getById(id)) return null;
+
+    if (id !== this.getActiveId()) {
+      await this.saveActive();
+    }
+
+    const conversation =
+      this.getLocalById(id) || (await this.importServerChat(id));
+
+    this.applyConversation(conversation);
+    this.debug.log("[ConversationManager] Switched to:", conversation.title);
+    return conversation;
+  }
+
+  async rename(id, title) {
+    const conversation = this.getLocalById(id);
+    if (!conversation) return;
+
+    const trimmed = (title || "").trim();
+    conversation.title = trimmed || this.buildTitle(conversation.messages);
+    conversation.customTitle = !!trimmed;
+    await this.persist();
+  }
+
+  async togglePin(id) {
+    const conversation = this.getLocalById(id);
+    if (!conversation) return;
+
+    conversation.pinned = !conversation.pinned;
+    await this.persist();
+  }
+
+  /**
+   * Delete a conversation locally and, if requested, on the server
+   */
+  async delete(id, { remote = false } = {}) {
+    if (remote) {
+      await window.APIService.deleteChat(id);
+      this.serverChats = this.serverChats.filter((c) => c.id !== id);
+    }
+
+    this.conversations = this.conversations.filter((c) => c.id !== id);
+
+    if (id === this.getActiveId()) {
+      this.store.actions.clearChat();
+    }
+
+    await this.persist();
+  }
+
+  /**
+   * Selected folders of a conversation. Conversations saved before
+   * multi-selection hold a single { id, name } (or null).
+   */
+  getDatenspeicher(conversation) {
+    const saved = conversation.datenspeicher;
+    if (Array.isArray(saved)) return saved;
+    return saved?.id ? [saved] : [];
+  }
+
+  applyConversation(conversation) {
+    const updates = {
+      "chat.messages": conversation.messages || [],
+      "chat.branches": conversation.branches || {},
+      "chat.sessionId": conversation.id,
+      "chat.currentIntent": null,
+      "chat.lastUserIntent": null,
+      "datenspeicher.selected": this.getDatenspeicher(conversation),
+      "datenspeicher.selectedFiles": conversation.datenspeicherFiles || [],
+      "chat.selectedAssistant": conversation.assistant || null,
+      // The RoleSelector derives chat.roleId from the override
+      "chat.roleOverride": conversation.roleOverride ?? null,
+      "chat.generation": conversation.generation || null,
+    };
+
+    const model = window.ModelsConfig.getById(conversation.modelId);
+    if (model) {
+      updates["chat.selectedModel"] = window.ModelsConfig.toSelection(model);
+    }
+
+    this.store.batch(updates);
+
+    // The chat keeps the current model if its own one was retired
+    if (conversation.modelId && !model && window.ModelsConfig.isFromTenant()) {
+      this.store.actions.showNotification(
+        `Das Modell dieses Chats („${window.ModelsConfig.getDisplayName(
+          conversation.modelId
+        )}“) ist nicht mehr verfügbar`
+      );
+    }
+  }
+
+  buildTitle(messages = []) {
+    const firstUserMessage = messages.find((m) => m.role === "user");
+    const text = (
+      firstUserMessage?._originalText ||
+      firstUserMessage?.content ||
+      ""
+    )
+      .replace(/\s+/g, " ")
+      .trim();
+
+    if (!text) return "Neuer Chat";
+    return text.length > TITLE_LENGTH
+      ? `${text.substring(0, TITLE_LENGTH)}…`
+      : text;
+  }
+
+  async persist() {
+    // Drop the oldest unpinned conversations beyond the limit
+    if (this.conversations.length > MAX_CONVERSATIONS) {
+      const removable = this.conversations
+        .filter((c) => !c.pinned)
+        .sort((a, b) => a.updatedAt - b.updatedAt)
+        .slice(0, this.conversations.length - MAX_CONVERSATIONS)
+        .map((c) => c.id);
+      this.conversations = this.conversations.filter(
+        (c) => !removable.includes(c.id)
+      );
+    }
+
+    try {
+      await chrome.storage.local.set({ [STORAGE_KEY]: this.conversations });
+    } catch (error) {
+      console.error("[ConversationManager] Failed to save:", error);
+    }
+
+    window.dispatchEvent(new CustomEvent("conversations-changed"));
+  }
+}
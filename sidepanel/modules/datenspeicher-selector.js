@@ -1,11 +1,42 @@
 // sidepanel/modules/datenspeicher-selector.js
 import { debounce } from "./utils.js";
+
+const REPLY_BUTTON_SELECTOR =
+  '.context-action-btn[data-action="reply-with-data"]';
+
+const FILE_ICONS = {
+  pdf: "📕",
+  doc: "📝",
+  docx: "📝",
+  xls: "📊",
+  xlsx: "📊",
+  csv: "📊",
+  ppt: "📽️",
+  pptx: "📽️",
+  png: "🖼️",
+  jpg: "🖼️",
+  jpeg: "🖼️",
+  mp3: "🎧",
+  wav: "🎧",
+  m4a: "🎧",
+  html: "🌐",
+  url: "🌐",
+};
+
 export class DatenspeicherSelector {
-  constructor(store) {
+  constructor(store, messageRenderer) {
     this.debug = window.Debug.create("datenspeicher-selector");
     this.store = store;
+    this.messageRenderer = messageRenderer;
     this.folders = [];
-    this.selectedFolder = null; // Single selection
+    this.selectedFolders = []; // [{ id, name }], applied selection
+    this.selectedFiles = []; // [{ id, name, folderId }], restricts the folders
+    this.pending = new Map(); // id -> { id, name }, while the dropdown is open
+    this.pendingFiles = new Map(); // id -> { id, name, folderId }
+    this.files = new Map(); // folderId -> files, loaded on drill-down
+    this.openFolder = null; // Folder whose files are listed
+    this.purpose = "chat"; // "chat" or "reply" (email reply with data)
+    this.anchor = null;
     this.dropdownElement = null;
     this.isOpen = false;
 
@@ -23,6 +54,22 @@ export class DatenspeicherSelector {
 
     this.createDropdownElement();
 
+    // Chips follow the selection, wherever it was changed
+    this.store.subscribe("datenspeicher.selected", () => this.renderChips());
+    this.store.subscribe("datenspeicher.selectedFiles", () =>
+      this.renderChips()
+    );
+    document
+      .getElementById("datenspeicher-btn")
+      ?.addEventListener("click", (e) => {
+        e.stopPropagation();
+        if (this.isOpen) {
+          this.close();
+        } else {
+          this.open({ purpose: "chat", anchor: e.currentTarget });
+        }
+      });
+
     // Only try to load if we might be authenticated
     try {
       const isAuth = await window.APIService.checkAuth();
@@ -43,23 +90,6 @@ export class DatenspeicherSelector {
     this.restoreLastSelection();
   }
 
-  /**
-   * Restore last selected Datenspeicher from store
-   */
-  restoreLastSelection() {
-    const lastSelectedId = this.store.get("datenspeicher.lastSelected");
-    const lastSelectedName = this.store.get("datenspeicher.lastSelectedName");
-
-    if (lastSelectedId && lastSelectedName) {
-      this.selectedFolder = { id: lastSelectedId, name: lastSelectedName };
-      this.updateButtonText(lastSelectedName);
-      this.debug.log(
-        "[DatenspeicherSelector] Restored last selection:",
-        lastSelectedName
-      );
-    }
-  }
-
   /**
    * Create the dropdown UI element
    */
@@ -78,7 +108,8 @@ export class DatenspeicherSelector {
     dropdown.style.display = "none";
     dropdown.innerHTML = `
       <div class="dropdown-header">
-        <span class="dropdown-title">Datenspeicher auswählen</span>
+        <button class="dropdown-back" id="datenspeicher-back" title="Zurück" style="display: none">‹</button>
+        <span class="dropdown-title" id="datenspeicher-title">Datenspeicher auswählen</span>
         <div class="dropdown-header-actions">
           <button class="dropdown-refresh" id="dropdown-refresh" title="Aktualisieren">
             <svg width="14" height="14" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
@@ -96,18 +127,20 @@ export class DatenspeicherSelector {
                placeholder="Suche Datenspeicher..."
                class="dropdown-search-input">
       </div>
+      <div class="dropdown-favorites" id="datenspeicher-favorites"></div>
       <div class="dropdown-list" id="datenspeicher-list">
         <div class="dropdown-loading">Lade Datenspeicher...</div>
       </div>
+      <div class="dropdown-footer">
+        <button class="dropdown-footer-btn" id="datenspeicher-save-favorite" title="Auswahl als Favorit speichern">☆ Favorit</button>
+        <button class="dropdown-footer-btn" id="datenspeicher-clear">Leeren</button>
+        <button class="dropdown-footer-btn primary" id="datenspeicher-apply">Übernehmen</button>
+      </div>
     `;
 
-    // Add to context actions area (near the button)
-    const contextBar = document.getElementById("context-bar");
-    if (contextBar) {
-      contextBar.appendChild(dropdown);
-    } else {
-      document.body.appendChild(dropdown);
-    }
+    // Outside the context bar, which is hidden without page context
+    const inputArea = document.querySelector(".input-area");
+    (inputArea || document.body).appendChild(dropdown);
 
     this.dropdownElement = dropdown;
 
@@ -135,12 +168,20 @@ export class DatenspeicherSelector {
         }
 
         // Force refresh from API
-        await this.loadFolders(true);
+        if (this.openFolder) {
+          await this.loadFiles(this.openFolder.id, true);
+        } else {
+          await this.loadFolders(true);
+        }
 
         // Re-render
-        this.renderFolders();
+        this.renderList();
       });
 
+    document
+      .getElementById("datenspeicher-back")
+      ?.addEventListener("click", () => this.showFolderList());
+
     // Search input with debouncing
     document
       .getElementById("datenspeicher-search")
@@ -154,13 +195,29 @@ export class DatenspeicherSelector {
         this.debouncedSearch(searchTerm);
       });
 
-    // Click outside to close
+    document
+      .getElementById("datenspeicher-apply")
+      ?.addEventListener("click", () => this.apply());
+    document
+      .getElementById("datenspeicher-clear")
+      ?.addEventListener("click", () => {
+        this.pending.clear();
+        this.pendingFiles.clear();
+        this.renderList();
+      });
+    document
+      .getElementById("datenspeicher-save-favorite")
+      ?.addEventListener("click", () => this.saveFavorite());
+
+    // Click outside to close. The event path is checked instead of
+    // contains(), since re-rendering may have detached the target.
     document.addEventListener("click", (e) => {
+      const path = e.composedPath();
       if (
         this.isOpen &&
         this.dropdownElement &&
-        !this.dropdownElement.contains(e.target) &&
-        !e.target.closest('.context-action-btn[data-action="reply-with-data"]')
+        !path.includes(this.dropdownElement) &&
+        !(this.anchor && path.includes(this.anchor))
       ) {
         this.close();
       }
@@ -183,17 +240,27 @@ export class DatenspeicherSelector {
     if (searchingEl) searchingEl.remove();
 
     // Perform actual filter
-    this.filterFolders(searchTerm);
+    this.renderList(searchTerm);
   }
 
   /**
-   * Load folders from API or cache
+   * Render the current view (folders or the open folder's files)
    */
-  // In datenspeicher-selector.js, replace the loadFolders method:
+  renderList(
+    searchTerm = document.getElementById("datenspeicher-search")?.value
+  ) {
+    if (this.openFolder) {
+      this.filterFiles(searchTerm);
+    } else {
+      this.filterFolders(searchTerm);
+    }
+  }
 
+  /**
+   * Load folders from API or cache
+   */
   async loadFolders(forceRefresh = false) {
     try {
-      // Check cache first (existing code)
       if (!forceRefresh) {
         const cachedFolders = this.store.get("datenspeicher.available");
         const cacheTime = this.store.get("datenspeicher.cacheTime");
@@ -205,7 +272,7 @@ export class DatenspeicherSelector {
           if (cacheAge < tenMinutes) {
             this.debug.log(`[DatenspeicherSelector] Using cached folders`);
             this.folders = cachedFolders;
-            if (this.isOpen) this.renderFolders();
+            if (this.isOpen && !this.openFolder) this.renderFolders();
             return;
           }
         }
@@ -220,14 +287,13 @@ export class DatenspeicherSelector {
         const cachedFolders = this.store.get("datenspeicher.available");
         if (cachedFolders) {
           this.folders = cachedFolders;
-          if (this.isOpen) this.renderFolders();
+          if (this.isOpen && !this.openFolder) this.renderFolders();
         }
         return;
       }
 
       this.debug.log("[DatenspeicherSelector] Loading folders via APIService");
 
-      // USE THE APISERVICE!
       const response = await window.APIService.fetchFolders();
 
       // Make sure we have an array
@@ -252,7 +318,7 @@ export class DatenspeicherSelector {
       this.store.set("datenspeicher.available", this.folders);
       this.store.set("datenspeicher.cacheTime", Date.now());
 
-      if (this.isOpen) this.renderFolders();
+      if (this.isOpen && !this.openFolder) this.renderFolders();
     } catch (error) {
       console.error("[DatenspeicherSelector] Failed to load folders:", error);
 
@@ -263,7 +329,7 @@ export class DatenspeicherSelector {
           "[DatenspeicherSelector] Using cached folders as fallback"
         );
         this.folders = cachedFolders;
-        if (this.isOpen) this.renderFolders();
+        if (this.isOpen && !this.openFolder) this.renderFolders();
       } else {
         this.debug.log("[DatenspeicherSelector] No folders available");
         this.folders = [];
@@ -272,12 +338,15 @@ export class DatenspeicherSelector {
   }
 
   /**
-   * Render folders in the dropdown
+   * Render folders in the dropdown as a checkbox list
    */
   renderFolders(filteredFolders = null) {
     const listElement = document.getElementById("datenspeicher-list");
     if (!listElement) return;
 
+    this.renderFavorites();
+    this.updateFooter();
+
     const foldersToShow = filteredFolders || this.folders;
 
     if (foldersToShow.length === 0) {
@@ -294,197 +363,535 @@ export class DatenspeicherSelector {
     }
 
     listElement.innerHTML = foldersToShow
-      .map(
-        (folder) => `
-      <div class="dropdown-item ${
-        this.selectedFolder?.id === folder.id ? "selected" : ""
-      }" 
-           data-folder-id="${folder.id}"
-           data-folder-name="${this.escapeHtml(folder.name)}">
+      .map((folder) => {
+        const checked = this.pending.has(folder.id);
+        const fileCount = this.getPendingFiles(folder.id).length;
+        return `
+      <label class="dropdown-item ${checked ? "selected" : ""}"
+           data-folder-id="${this.escapeHtml(folder.id)}">
         <div class="dropdown-item-content">
+          <input type="checkbox" class="folder-checkbox" ${
+            checked ? "checked" : ""
+          }>
           <span class="folder-name">${this.escapeHtml(folder.name)}</span>
           ${folder.shared ? '<span class="folder-badge">Geteilt</span>' : ""}
           ${
-            this.selectedFolder?.id === folder.id
-              ? '<span class="folder-selected">✓</span>'
+            fileCount > 0
+              ? `<span class="folder-badge">${fileCount} ${
+                  fileCount === 1 ? "Datei" : "Dateien"
+                }</span>`
               : ""
           }
+          <button class="folder-drill" title="Dateien anzeigen">›</button>
         </div>
-      </div>
-    `
-      )
+      </label>
+    `;
+      })
       .join("");
 
-    // Add click listeners to items
     listElement.querySelectorAll(".dropdown-item").forEach((item) => {
-      item.addEventListener("click", () => {
-        const folderId = item.dataset.folderId;
-        const folderName = item.dataset.folderName;
-        this.selectFolder(folderId, folderName);
+      const folderId = item.dataset.folderId;
+      item.querySelector(".folder-checkbox").addEventListener("change", () => {
+        this.toggleFolder(folderId);
+      });
+      item.querySelector(".folder-drill").addEventListener("click", (e) => {
+        e.preventDefault();
+        this.showFiles(this.folders.find((f) => f.id === folderId));
       });
     });
   }
 
+  // ==================== Files of a folder ====================
+
   /**
-   * Select a folder (single selection)
+   * Drill down into a folder to restrict the question to its files
    */
-  // Update the selectFolder method
-  selectFolder(folderId, folderName) {
-    this.debug.log("[DatenspeicherSelector] Selected folder:", folderName);
+  async showFiles(folder) {
+    if (!folder) return;
+
+    this.openFolder = folder;
+    this.setViewHeader(folder.name, "Suche Dateien...");
+
+    const listElement = document.getElementById("datenspeicher-list");
+    if (listElement) {
+      listElement.innerHTML =
+        '<div class="dropdown-loading">Lade Dateien...</div>';
+    }
 
-    // Update selection
-    this.selectedFolder = { id: folderId, name: folderName };
+    await this.loadFiles(folder.id);
 
-    // Store in state
-    this.store.set("datenspeicher.lastSelected", folderId);
-    this.store.set("datenspeicher.lastSelectedName", folderName);
+    // The user may have gone back meanwhile
+    if (this.openFolder?.id === folder.id) this.renderFiles();
+  }
 
-    // Update button to show selection
-    this.updateButtonWithSelection(folderName);
+  showFolderList() {
+    this.openFolder = null;
+    this.setViewHeader("Datenspeicher auswählen", "Suche Datenspeicher...");
+    this.renderFolders();
+  }
 
-    // Close dropdown
-    this.close();
+  setViewHeader(title, placeholder) {
+    const isFileView = !!this.openFolder;
+    const titleElement = document.getElementById("datenspeicher-title");
+    const backButton = document.getElementById("datenspeicher-back");
+    const searchInput = document.getElementById("datenspeicher-search");
+    const favorites = document.getElementById("datenspeicher-favorites");
+
+    if (titleElement) titleElement.textContent = title;
+    if (backButton) backButton.style.display = isFileView ? "flex" : "none";
+    if (searchInput) {
+      searchInput.value = "";
+      searchInput.placeholder = placeholder;
+    }
+    if (favorites && isFileView) favorites.style.display = "none";
+  }
+
+  /**
+   * Load the files of a folder (cached for the session)
+   */
+  async loadFiles(folderId, forceRefresh = false) {
+    if (!forceRefresh && this.files.has(folderId)) return;
+
+    try {
+      const files = await window.APIService.fetchFolderFiles(folderId);
+      this.files.set(
+        folderId,
+        files.map((file) => this.normalizeFile(file)).filter((f) => f.id)
+      );
+      this.debug.log(
+        `[DatenspeicherSelector] Loaded ${
+          this.files.get(folderId).length
+        } files`
+      );
+    } catch (error) {
+      console.error("[DatenspeicherSelector] Failed to load files:", error);
+      this.files.delete(folderId);
+    }
+  }
+
+  /**
+   * { id, name, type, uploadedAt } from a file entry; field names vary
+   * between backend versions
+   */
+  normalizeFile(file) {
+    const name =
+      file.name || file.fileName || file.filename || file.title || "Unbenannt";
+    return {
+      id: file.id || file._id || file.fileId || null,
+      name,
+      type: (file.extension || name.split(".").pop() || "")
+        .replace(/^\./, "")
+        .toLowerCase(),
+      uploadedAt: file.createdAt || file.uploadedAt || file.updatedAt || null,
+    };
+  }
+
+  renderFiles(filteredFiles = null) {
+    const listElement = document.getElementById("datenspeicher-list");
+    if (!listElement || !this.openFolder) return;
 
-    // Emit event
-    window.dispatchEvent(
-      new CustomEvent("datenspeicher-selected", {
-        detail: {
-          folderId: folderId,
-          folderName: folderName,
-          folder: this.folders.find((f) => f.id === folderId),
-        },
+    this.updateFooter();
+
+    const files = this.files.get(this.openFolder.id);
+    if (!files) {
+      this.showError("Dateien konnten nicht geladen werden");
+      return;
+    }
+
+    const filesToShow = filteredFiles || files;
+
+    if (filesToShow.length === 0) {
+      listElement.innerHTML = `
+        <div class="dropdown-empty">
+          ${
+            filteredFiles
+              ? "Keine Dateien gefunden"
+              : "Dieser Datenspeicher enthält keine Dateien"
+          }
+        </div>
+      `;
+      return;
+    }
+
+    listElement.innerHTML = filesToShow
+      .map((file) => {
+        const checked = this.pendingFiles.has(file.id);
+        return `
+      <label class="dropdown-item file-item ${checked ? "selected" : ""}"
+           data-file-id="${this.escapeHtml(file.id)}">
+        <div class="dropdown-item-content">
+          <input type="checkbox" class="folder-checkbox" ${
+            checked ? "checked" : ""
+          }>
+          <span class="file-icon">${this.getFileIcon(file.type)}</span>
+          <span class="folder-name" title="${this.escapeHtml(
+            file.name
+          )}">${this.escapeHtml(file.name)}</span>
+          <span class="file-date">${this.formatDate(file.uploadedAt)}</span>
+        </div>
+      </label>
+    `;
       })
+      .join("");
+
+    listElement.querySelectorAll(".file-item").forEach((item) => {
+      item.querySelector(".folder-checkbox").addEventListener("change", () => {
+        this.toggleFile(item.dataset.fileId);
+      });
+    });
+  }
+
+  filterFiles(searchTerm) {
+    const term = (searchTerm || "").toLowerCase().trim();
+    const files = this.files.get(this.openFolder?.id);
+
+    if (!term || !files) {
+      this.renderFiles();
+      return;
+    }
+
+    this.renderFiles(
+      files.filter((file) => file.name.toLowerCase().includes(term))
     );
   }
-  // New method to update button with selection
-  updateButtonWithSelection(folderName) {
-    const button = document.querySelector(
-      '.context-action-btn[data-action="reply-with-data"]'
+
+  /**
+   * Checking a file also checks its folder
+   */
+  toggleFile(fileId) {
+    const folder = this.openFolder;
+    if (this.pendingFiles.has(fileId)) {
+      this.pendingFiles.delete(fileId);
+    } else {
+      const file = this.files.get(folder.id)?.find((f) => f.id === fileId);
+      if (!file) return;
+      this.pendingFiles.set(file.id, {
+        id: file.id,
+        name: file.name,
+        folderId: folder.id,
+      });
+      this.pending.set(folder.id, this.toEntry(folder));
+    }
+
+    this.renderList();
+  }
+
+  getPendingFiles(folderId) {
+    return [...this.pendingFiles.values()].filter(
+      (f) => f.folderId === folderId
     );
-    if (!button) return;
+  }
 
-    // Add has-selection class
-    button.classList.add("has-selection");
+  getFileIcon(type) {
+    return FILE_ICONS[type] || "📄";
+  }
 
-    // Update the label text
-    const labelSpan = button.querySelector(".button-label");
-    if (labelSpan) {
-      // Truncate long names
-      const maxLength = 20;
-      const truncatedName =
-        folderName.length > maxLength
-          ? folderName.substring(0, maxLength) + "..."
-          : folderName;
+  formatDate(timestamp) {
+    if (!timestamp) return "";
+    const date = new Date(timestamp);
+    return isNaN(date) ? "" : date.toLocaleDateString("de-DE");
+  }
 
-      labelSpan.textContent = `Mit "${truncatedName}" antworten`;
-      labelSpan.title = `Mit "${folderName}" antworten`; // Full name in tooltip
+  /**
+   * Saved folder combinations, shown above the list
+   */
+  renderFavorites() {
+    const container = document.getElementById("datenspeicher-favorites");
+    if (!container) return;
+
+    const favorites = this.getFavorites();
+    container.style.display = favorites.length > 0 ? "flex" : "none";
+    container.innerHTML = favorites
+      .map(
+        (favorite) => `
+      <span class="favorite-chip" data-favorite-id="${this.escapeHtml(
+        favorite.id
+      )}" title="${this.escapeHtml(
+          favorite.folders.map((f) => f.name).join(", ")
+        )}">
+        <span class="favorite-name">⭐ ${this.escapeHtml(favorite.name)}</span>
+        <button class="favorite-remove" title="Favorit löschen">✕</button>
+      </span>
+    `
+      )
+      .join("");
+
+    container.querySelectorAll(".favorite-chip").forEach((chip) => {
+      const id = chip.dataset.favoriteId;
+      chip.querySelector(".favorite-name").addEventListener("click", () => {
+        this.applyFavorite(id);
+      });
+      chip.querySelector(".favorite-remove").addEventListener("click", (e) => {
+        e.stopPropagation();
+        this.deleteFavorite(id);
+      });
+    });
+  }
+
+  updateFooter() {
+    const applyButton = document.getElementById("datenspeicher-apply");
+    const favoriteButton = document.getElementById(
+      "datenspeicher-save-favorite"
+    );
+    const count = this.pending.size;
+    const fileCount = this.pendingFiles.size;
+
+    if (applyButton) {
+      const label = this.purpose === "reply" ? "Antworten" : "Übernehmen";
+      applyButton.textContent = count > 0 ? `${label} (${count})` : label;
+      applyButton.title =
+        fileCount > 0
+          ? `Auf ${fileCount} ${
+              fileCount === 1 ? "Datei" : "Dateien"
+            } beschränkt`
+          : "";
+      applyButton.disabled = this.purpose === "reply" && count === 0;
+    }
+    if (favoriteButton) {
+      favoriteButton.disabled = count < 2;
     }
   }
 
-  // Add method to clear selection from button
-  clearButtonSelection() {
-    const button = document.querySelector(
-      '.context-action-btn[data-action="reply-with-data"]'
+  toggleFolder(folderId) {
+    if (this.pending.has(folderId)) {
+      this.pending.delete(folderId);
+      this.getPendingFiles(folderId).forEach((f) =>
+        this.pendingFiles.delete(f.id)
+      );
+    } else {
+      const folder = this.folders.find((f) => f.id === folderId);
+      if (folder) this.pending.set(folder.id, this.toEntry(folder));
+    }
+
+    // Re-render with the current search term
+    this.filterFolders(document.getElementById("datenspeicher-search")?.value);
+  }
+
+  /**
+   * Apply the checked folders; in reply mode this starts the reply
+   */
+  apply() {
+    const folders = [...this.pending.values()];
+    const files = [...this.pendingFiles.values()];
+    const startReply = this.purpose === "reply";
+    this.close();
+    this.selectFolders(folders, { files, startReply });
+  }
+
+  /**
+   * Set the selection. Files restrict the question to single documents
+   * of the selected folders. startReply fires datenspeicher-selected,
+   * which starts the email reply with these folders.
+   */
+  selectFolders(folders, { files = [], startReply = false } = {}) {
+    this.debug.log(
+      "[DatenspeicherSelector] Selected folders:",
+      folders.map((f) => f.name),
+      "files:",
+      files.length
     );
-    if (!button) return;
 
-    // Remove has-selection class
-    button.classList.remove("has-selection");
+    this.selectedFolders = folders.map((f) => this.toEntry(f));
+    const folderIds = new Set(this.selectedFolders.map((f) => f.id));
+    this.selectedFiles = files.filter((f) => folderIds.has(f.folderId));
 
-    // Reset label text
-    const labelSpan = button.querySelector(".button-label");
-    if (labelSpan) {
-      labelSpan.textContent = "Mit Datenspeicher antworten";
-      labelSpan.removeAttribute("title");
+    this.store.batch({
+      "datenspeicher.selected": this.selectedFolders,
+      "datenspeicher.selectedFiles": this.selectedFiles,
+    });
+    this.updateButtonWithSelection();
+
+    if (startReply && this.selectedFolders.length > 0) {
+      window.dispatchEvent(
+        new CustomEvent("datenspeicher-selected", {
+          detail: { folders: this.selectedFolders, files: this.selectedFiles },
+        })
+      );
     }
   }
-  // New method to update button with selection
-  updateButtonWithSelection(folderName) {
-    const button = document.querySelector(
-      '.context-action-btn[data-action="reply-with-data"]'
+
+  removeFolder(folderId) {
+    this.selectFolders(
+      this.selectedFolders.filter((f) => f.id !== folderId),
+      { files: this.selectedFiles }
+    );
+  }
+
+  removeFile(fileId) {
+    this.selectFolders(this.selectedFolders, {
+      files: this.selectedFiles.filter((f) => f.id !== fileId),
+    });
+  }
+
+  toEntry(folder) {
+    return { id: folder.id, name: folder.name };
+  }
+
+  // ==================== Favourites ====================
+
+  getFavorites() {
+    return this.store.get("settings.datenspeicherFavorites") || [];
+  }
+
+  saveFavorite() {
+    const folders = [...this.pending.values()];
+    if (folders.length < 2) return;
+
+    const name = prompt(
+      "Name für diese Kombination:",
+      folders.map((f) => f.name).join(" + ")
+    );
+    if (!name?.trim()) return;
+
+    this.store.set("settings.datenspeicherFavorites", [
+      ...this.getFavorites(),
+      { id: `fav-${Date.now()}`, name: name.trim(), folders },
+    ]);
+    this.renderFavorites();
+  }
+
+  /**
+   * Check the folders of a favourite (still available ones only)
+   */
+  applyFavorite(favoriteId) {
+    const favorite = this.getFavorites().find((f) => f.id === favoriteId);
+    if (!favorite) return;
+
+    const available = new Set(this.folders.map((f) => f.id));
+    this.pending = new Map(
+      favorite.folders
+        .filter((f) => available.size === 0 || available.has(f.id))
+        .map((f) => [f.id, this.toEntry(f)])
+    );
+    this.pendingFiles.clear();
+    this.renderFolders();
+  }
+
+  deleteFavorite(favoriteId) {
+    this.store.set(
+      "settings.datenspeicherFavorites",
+      this.getFavorites().filter((f) => f.id !== favoriteId)
     );
+    this.renderFavorites();
+  }
+
+  // ==================== Button and chips ====================
+
+  /**
+   * Reflect the selection on the "reply with data" split button
+   */
+  updateButtonWithSelection() {
+    const button = document.querySelector(REPLY_BUTTON_SELECTOR);
     if (!button) return;
 
-    // Add has-selection class
-    button.classList.add("has-selection");
+    const folders = this.selectedFolders;
+    button.classList.toggle("has-selection", folders.length > 0);
 
-    // Update the label text
     const labelSpan = button.querySelector(".button-label");
-    if (labelSpan) {
+    if (!labelSpan) return;
+
+    if (folders.length === 0) {
+      labelSpan.textContent = "Mit Datenspeicher antworten";
+      labelSpan.removeAttribute("title");
+      return;
+    }
+
+    if (folders.length === 1) {
       // Truncate long names
       const maxLength = 20;
+      const folderName = folders[0].name;
       const truncatedName =
         folderName.length > maxLength
           ? folderName.substring(0, maxLength) + "..."
           : folderName;
-
       labelSpan.textContent = `Mit "${truncatedName}" antworten`;
-      labelSpan.title = `Mit "${folderName}" antworten`; // Full name in tooltip
+    } else {
+      labelSpan.textContent = `Mit ${folders.length} Datenspeichern antworten`;
     }
+    // Full names in tooltip
+    labelSpan.title = `Mit ${folders
+      .map((f) => `"${f.name}"`)
+      .join(", ")} antworten`;
   }
 
-  // Add method to clear selection from button
-  clearButtonSelection() {
-    const button = document.querySelector(
-      '.context-action-btn[data-action="reply-with-data"]'
+  /**
+   * Selected folders and files as removable chips above the input
+   */
+  renderChips() {
+    const container = document.getElementById("datenspeicher-chips");
+    const button = document.getElementById("datenspeicher-btn");
+    const folders = this.store.get("datenspeicher.selected") || [];
+    const files = this.store.get("datenspeicher.selectedFiles") || [];
+
+    button?.classList.toggle("active", folders.length > 0);
+    if (!container) return;
+
+    const folderChips = folders.map(
+      (folder) => `
+      <span class="datenspeicher-chip" data-folder-id="${this.escapeHtml(
+        folder.id
+      )}" title="Fragen werden in diesem Datenspeicher beantwortet">
+        <span class="datenspeicher-chip-name">🗂️ ${this.escapeHtml(
+          folder.name
+        )}</span>
+        <button class="datenspeicher-chip-remove" title="Entfernen">✕</button>
+      </span>
+    `
+    );
+    const fileChips = files.map(
+      (file) => `
+      <span class="datenspeicher-chip file" data-file-id="${this.escapeHtml(
+        file.id
+      )}" title="Fragen werden nur mit dieser Datei beantwortet">
+        <span class="datenspeicher-chip-name">${this.getFileIcon(
+          file.name.split(".").pop().toLowerCase()
+        )} ${this.escapeHtml(file.name)}</span>
+        <button class="datenspeicher-chip-remove" title="Entfernen">✕</button>
+      </span>
+    `
     );
-    if (!button) return;
-
-    // Remove has-selection class
-    button.classList.remove("has-selection");
 
-    // Reset label text
-    const labelSpan = button.querySelector(".button-label");
-    if (labelSpan) {
-      labelSpan.textContent = "Mit Datenspeicher antworten";
-      labelSpan.removeAttribute("title");
-    }
+    container.style.display = folders.length > 0 ? "flex" : "none";
+    container.innerHTML = [...folderChips, ...fileChips].join("");
+
+    container.querySelectorAll(".datenspeicher-chip").forEach((chip) => {
+      chip
+        .querySelector(".datenspeicher-chip-remove")
+        .addEventListener("click", () => {
+          if (chip.dataset.fileId) {
+            this.removeFile(chip.dataset.fileId);
+          } else {
+            this.removeFolder(chip.dataset.folderId);
+          }
+        });
+    });
   }
 
-  // Update clearSelection method
   clearSelection() {
-    this.selectedFolder = null;
-    this.store.set("datenspeicher.lastSelected", null);
-    this.store.set("datenspeicher.lastSelectedName", null);
+    this.selectFolders([]);
+  }
 
-    // Reset button appearance
-    this.clearButtonSelection();
+  /**
+   * Reflect the stored selection (e.g. after switching conversations)
+   */
+  syncFromStore() {
+    this.restoreLastSelection();
   }
 
-  // Update restoreLastSelection method
   restoreLastSelection() {
-    const lastSelectedId = this.store.get("datenspeicher.lastSelected");
-    const lastSelectedName = this.store.get("datenspeicher.lastSelectedName");
+    this.selectedFolders = this.store.get("datenspeicher.selected") || [];
+    this.selectedFiles = this.store.get("datenspeicher.selectedFiles") || [];
+    this.updateButtonWithSelection();
+    this.renderChips();
 
-    if (lastSelectedId && lastSelectedName) {
-      this.selectedFolder = { id: lastSelectedId, name: lastSelectedName };
-      this.updateButtonWithSelection(lastSelectedName);
+    if (this.selectedFolders.length > 0) {
       this.debug.log(
-        "[DatenspeicherSelector] Restored last selection:",
-        lastSelectedName
+        "[DatenspeicherSelector] Restored selection:",
+        this.selectedFolders.map((f) => f.name)
       );
     }
   }
 
-  /**
-   * Update the button text with selected Datenspeicher name
-   */
-  updateButtonText(folderName) {
-    const labelSpan = document.querySelector(
-      '.context-action-btn[data-action="reply-with-data"] span'
-    );
-    if (labelSpan) {
-      // Truncate long names
-      const maxLength = 20;
-      const truncatedName =
-        folderName.length > maxLength
-          ? folderName.substring(0, maxLength) + "..."
-          : folderName;
-
-      labelSpan.textContent = `Mit "${truncatedName}" antworten`;
-    }
-  }
-
   /**
    * Filter folders by search term
    */
@@ -504,34 +911,30 @@ export class DatenspeicherSelector {
   }
 
   /**
-   * Open the dropdown
+   * Open the dropdown.
+   * purpose: "reply" applies and starts the email reply, "chat" only
+   * sets the folders used for chat questions.
+   * anchor: element the dropdown opens above (default: reply button)
    */
-  async open() {
+  async open({ purpose = "reply", anchor = null } = {}) {
     if (this.isOpen) return;
 
-    this.debug.log("[DatenspeicherSelector] Opening dropdown");
+    this.debug.log("[DatenspeicherSelector] Opening dropdown for", purpose);
+
+    this.purpose = purpose;
+    this.anchor = anchor || document.querySelector(REPLY_BUTTON_SELECTOR);
 
     // Load folders (will use cache if available and fresh)
     await this.loadFolders();
 
-    // Restore the last selection from store
-    const lastSelectedId = this.store.get("datenspeicher.lastSelected");
-    const lastSelectedName = this.store.get("datenspeicher.lastSelectedName");
-
-    if (lastSelectedId && lastSelectedName) {
-      this.selectedFolder = { id: lastSelectedId, name: lastSelectedName };
-      this.debug.log(
-        "[DatenspeicherSelector] Restored selection in dropdown:",
-        lastSelectedName
-      );
-    }
+    // Start from the applied selection
+    this.restoreLastSelection();
+    this.pending = new Map(this.selectedFolders.map((f) => [f.id, f]));
+    this.pendingFiles = new Map(this.selectedFiles.map((f) => [f.id, f]));
 
-    // Position dropdown above the button (dropup style) with better edge handling
-    const button = document.querySelector(
-      '.context-action-btn[data-action="reply-with-data"]'
-    );
-    if (button && this.dropdownElement) {
-      const rect = button.getBoundingClientRect();
+    // Position dropdown above the anchor (dropup style) with edge handling
+    if (this.anchor && this.dropdownElement) {
+      const rect = this.anchor.getBoundingClientRect();
       const dropdownWidth = 280;
       const viewportWidth = window.innerWidth;
 
@@ -559,23 +962,24 @@ export class DatenspeicherSelector {
       }px`;
       this.dropdownElement.style.left = `${leftPos}px`;
       this.dropdownElement.style.width = `${dropdownWidth}px`;
-      this.dropdownElement.style.maxHeight = "350px";
+      this.dropdownElement.style.maxHeight = "420px";
     }
 
     // Show dropdown
-    this.dropdownElement.style.display = "block";
+    this.dropdownElement.style.display = "flex";
     this.isOpen = true;
 
     // Render folders
-    this.renderFolders();
+    this.showFolderList();
 
     // Focus search input
     setTimeout(() => {
       document.getElementById("datenspeicher-search")?.focus();
     }, 100);
   }
+
   /**
-   * Close the dropdown
+   * Close the dropdown (unapplied changes are discarded)
    */
   close() {
     if (!this.isOpen) return;
@@ -586,6 +990,9 @@ export class DatenspeicherSelector {
       this.dropdownElement.style.display = "none";
     }
     this.isOpen = false;
+    this.openFolder = null;
+    this.pending.clear();
+    this.pendingFiles.clear();
 
     // Clear search
     const searchInput = document.getElementById("datenspeicher-search");
@@ -595,27 +1002,17 @@ export class DatenspeicherSelector {
   }
 
   /**
-   * Get selected folder
+   * Get selected folders ([{ id, name }])
    */
-  getSelectedFolder() {
-    return this.selectedFolder;
+  getSelectedFolders() {
+    return this.selectedFolders;
   }
 
   /**
-   * Clear selection
+   * Get files the selection is restricted to ([{ id, name, folderId }])
    */
-  clearSelection() {
-    this.selectedFolder = null;
-    this.store.set("datenspeicher.lastSelected", null);
-    this.store.set("datenspeicher.lastSelectedName", null);
-
-    // Reset button text
-    const labelSpan = document.querySelector(
-      '.context-action-btn[data-action="reply-with-data"] span'
-    );
-    if (labelSpan) {
-      labelSpan.textContent = "Mit Datenspeicher antworten";
-    }
+  getSelectedFiles() {
+    return this.selectedFiles;
   }
 
   /**
@@ -636,8 +1033,6 @@ export class DatenspeicherSelector {
    * Escape HTML to prevent XSS
    */
   escapeHtml(text) {
-    const div = document.createElement("div");
-    div.textContent = String(text ?? "");
-    return div.innerHTML;
+    return this.messageRenderer.escapeHtml(String(text ?? ""));
   }
 }
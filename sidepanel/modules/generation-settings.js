@@ -0,0 +1,132 @@
+// sidepanel/modules/generation-settings.js
+import { intentRegistry } from "./intent-registry.js";
+
+export const GENERATION_PRESETS = {
+  precise: { label: "Präzise", temperature: 0.1 },
+  balanced: { label: "Ausgewogen", temperature: 0.4 },
+  creative: { label: "Kreativ", temperature: 0.8 },
+};
+
+// Used when neither the conversation nor the intent sets a temperature
+const DEFAULT_TEMPERATURE = 0.2;
+
+/**
+ * Temperature of the chat requests.
+ *
+ * chat.generation = { preset, temperature } is chosen per conversation
+ * ("custom" when set with the slider); null means automatic, i.e. the
+ * temperature declared by the request's intent or response action.
+ * Internal steps (query extraction, chunk summaries) pass their own
+ * temperature and ignore the conversation setting.
+ */
+export class GenerationSettings {
+  constructor() {
+    this.debug = window.Debug.create("chat");
+    this.store = window.AppStore;
+  }
+
+  initUI() {
+    this.presetsEl = document.getElementById("generation-presets");
+    this.sliderEl = document.getElementById("generation-temperature");
+    this.valueEl = document.getElementById("generation-temperature-value");
+
+    this.presetsEl?.addEventListener("click", (e) => {
+      const button = e.target.closest("[data-preset]");
+      if (button) this.setPreset(button.dataset.preset || null);
+    });
+    this.sliderEl?.addEventListener("input", () => {
+      this.valueEl.textContent = this.formatTemperature(this.sliderEl.value);
+    });
+    this.sliderEl?.addEventListener("change", () =>
+      this.setTemperature(Number(this.sliderEl.value))
+    );
+
+    // Switching conversations changes the setting as well
+    this.store.subscribe("chat.generation", () => this.render());
+    this.render();
+  }
+
+  /**
+   * Temperature for a request of the given intent; a variation id uses
+   * the temperature of that response action instead
+   */
+  getTemperature(intentId = null, { variation = null } = {}) {
+    const generation = this.store.get("chat.generation");
+    if (Number.isFinite(generation?.temperature)) {
+      return generation.temperature;
+    }
+
+    return (
+      intentRegistry.getResponseAction(variation)?.temperature ??
+      intentRegistry.get(intentId)?.temperature ??
+      DEFAULT_TEMPERATURE
+    );
+  }
+
+  /**
+   * preset: a GENERATION_PRESETS key, or null for automatic
+   */
+  setPreset(preset) {
+    const config = GENERATION_PRESETS[preset];
+    this.store.set(
+      "chat.generation",
+      config ? { preset, temperature: config.temperature } : null
+    );
+    this.store.actions.showNotification(
+      config
+        ? `Antwortstil für diesen Chat: ${config.label}`
+        : "Antwortstil: automatisch",
+      "success"
+    );
+  }
+
+  setTemperature(temperature) {
+    const value = Math.min(Math.max(Number(temperature) || 0, 0), 1);
+    const preset =
+      Object.keys(GENERATION_PRESETS).find(
+        (key) => GENERATION_PRESETS[key].temperature === value
+      ) || "custom";
+    this.store.set("chat.generation", { preset, temperature: value });
+  }
+
+  render() {
+    const generation = this.store.get("chat.generation");
+    const activePreset = generation?.preset || "";
+
+    if (this.presetsEl) {
+      const options = [
+        ["", "Automatisch"],
+        ...Object.entries(GENERATION_PRESETS).map(([key, config]) => [
+          key,
+          config.label,
+        ]),
+      ];
+      this.presetsEl.innerHTML = options
+        .map(
+          ([key, label]) => `
+          <button class="generation-preset ${
+            key === activePreset ? "active" : ""
+          }" type="button" data-preset="${key}">${label}</button>
+        `
+        )
+        .join("");
+    }
+
+    const temperature = this.getTemperature("general");
+    if (this.sliderEl) this.sliderEl.value = temperature;
+    if (this.valueEl) {
+      this.valueEl.textContent = generation
+        ? this.formatTemperature(temperature)
+        : "je nach Anfrage";
+    }
+  }
+
+  formatTemperature(value) {
+    return Number(value).toLocaleString("de-DE", {
+      minimumFractionDigits: 1,
+      maximumFractionDigits: 1,
+    });
+  }
+}
+
+export const generationSettings = new GenerationSettings();
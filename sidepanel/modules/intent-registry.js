@@ -0,0 +1,350 @@
+// sidepanel/modules/intent-registry.js
+
+/**
+ * Intent registry
+ *
+ * An intent describes one kind of request the panel understands:
+ *   id             - unique name, stored as chat.currentIntent
+ *   contextType    - "email" | "document" | "any" (required page context)
+ *   matchesContext - optional predicate(context), overrides contextType
+ *   triggers       - phrases (substring, case-insensitive) or
+ *                    predicates(lowerText) that select the intent from
+ *                    free text
+ *   contextActions - context-bar buttons (data-action) that start it
+ *   prompt         - string or fn(context, action) building the request
+ *   actions        - response action ids shown under the answer
+ *   priority       - higher wins when several intents match
+ *   temperature    - default temperature of its requests (see
+ *                    GenerationSettings)
+ *
+ * New intents are added with intentRegistry.register({...}); the
+ * controller and app only talk to the registry.
+ */
+
+// Predicates for the contextType shorthand
+const CONTEXT_TYPES = {
+  any: () => true,
+  email: (context) =>
+    !!(
+      context?.isEmail ||
+      context?.isGmail ||
+      context?.isOutlook ||
+      context?.emailProvider ||
+      context?.sourceType === "email"
+    ),
+  document: (context) =>
+    !!(
+      context?.isGoogleDocs ||
+      context?.sourceType === "docs" ||
+      context?.isDocument ||
+      context?.isPage
+    ),
+};
+
+// Shown when a context action is used on the wrong kind of page
+const CONTEXT_ERRORS = {
+  email: "Diese Aktion ist nur für E-Mails verfügbar.",
+  document: "Diese Aktion ist für Dokumente gedacht.",
+};
+
+const ICONS = {
+  copy: `<svg width="14" height="14" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+        <rect x="9" y="9" width="13" height="13" rx="2" ry="2"></rect>
+        <path d="M5 15H4a2 2 0 0 1-2-2V4a2 2 0 0 1 2-2h9a2 2 0 0 1 2 2v1"></path>
+      </svg>`,
+  reply: `<svg width="14" height="14" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+        <polyline points="9 10 4 15 9 20"></polyline>
+        <path d="M20 4v7a4 4 0 0 1-4 4H4"></path>
+      </svg>`,
+  compose: `<svg width="14" height="14" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+        <rect x="2" y="4" width="20" height="16" rx="2"></rect>
+        <polyline points="22 6 12 13 2 6"></polyline>
+      </svg>`,
+  formeller: `<svg width="14" height="14" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+        <path d="M12 2L12 14"></path>
+        <path d="M7 8L12 14L17 8"></path>
+        <path d="M5 22h14"></path>
+      </svg>`,
+  informeller: `<svg width="14" height="14" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+        <circle cx="12" cy="12" r="10"></circle>
+        <path d="M8 14s1.5 2 4 2 4-2 4-2"></path>
+        <line x1="9" y1="9" x2="9.01" y2="9"></line>
+        <line x1="15" y1="9" x2="15.01" y2="9"></line>
+      </svg>`,
+  kuerzer: `<svg width="14" height="14" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+        <polyline points="5 12 9 12 9 12 19 12"></polyline>
+        <polyline points="15 8 19 12 15 16"></polyline>
+        <polyline points="9 16 5 12 9 8"></polyline>
+      </svg>`,
+  laenger: `<svg width="14" height="14" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+        <polyline points="9 12 5 12 5 12 5 12"></polyline>
+        <polyline points="19 12 19 12 19 12 15 12"></polyline>
+        <polyline points="9 8 5 12 9 16"></polyline>
+        <polyline points="15 16 19 12 15 8"></polyline>
+      </svg>`,
+};
+
+export class IntentRegistry {
+  constructor() {
+    this.intents = new Map();
+    this.responseActions = new Map();
+  }
+
+  /**
+   * Register (or replace) an intent
+   */
+  register(definition) {
+    if (!definition?.id) {
+      throw new Error("Intent definition requires an id");
+    }
+
+    this.intents.set(definition.id, {
+      contextType: "any",
+      triggers: [],
+      contextActions: [],
+      actions: [],
+      priority: 0,
+      ...definition,
+    });
+    return this;
+  }
+
+  unregister(id) {
+    this.intents.delete(id);
+  }
+
+  get(id) {
+    return this.intents.get(id) || null;
+  }
+
+  getAll() {
+    return [...this.intents.values()].sort((a, b) => b.priority - a.priority);
+  }
+
+  /**
+   * Register a button that can be shown below an answer.
+   * kind: "copy" | "insert-reply" | "compose" | "variation"
+   * Variations may declare the temperature of their request.
+   */
+  registerResponseAction(definition) {
+    if (!definition?.id || !definition?.kind) {
+      throw new Error("Response action requires an id and a kind");
+    }
+
+    this.responseActions.set(definition.id, {
+      row: "primary",
+      icon: "",
+      ...definition,
+    });
+    return this;
+  }
+
+  getResponseAction(id) {
+    return this.responseActions.get(id) || null;
+  }
+
+  /**
+   * Response actions for an intent, in declaration order
+   */
+  getResponseActions(intentId) {
+    const intent = this.get(intentId);
+    return (intent?.actions || [])
+      .map((id) => this.getResponseAction(id))
+      .filter(Boolean);
+  }
+
+  matchesContext(intent, context) {
+    if (typeof intent.matchesContext === "function") {
+      return intent.matchesContext(context);
+    }
+    return (CONTEXT_TYPES[intent.contextType] || CONTEXT_TYPES.any)(context);
+  }
+
+  /**
+   * Pick the intent for free text; falls back to "general"
+   */
+  detect(text, context) {
+    const lowerText = (text || "").toLowerCase();
+
+    const match = this.getAll().find(
+      (intent) =>
+        intent.triggers.length > 0 &&
+        this.matchesContext(intent, context) &&
+        intent.triggers.some((trigger) =>
+          typeof trigger === "function"
+            ? trigger(lowerText)
+            : lowerText.includes(String(trigger).toLowerCase())
+        )
+    );
+
+    return match?.id || "general";
+  }
+
+  /**
+   * Resolve a context-bar action to its intent and prompt.
+   * Returns { intent, prompt } or { error } when the page doesn't fit.
+   */
+  resolveAction(action, context) {
+    const candidates = this.getAll().filter((intent) =>
+      intent.contextActions.includes(action)
+    );
+
+    if (candidates.length === 0) {
+      return { error: `Unbekannte Aktion: ${action}` };
+    }
+
+    const intent = candidates.find((i) => this.matchesContext(i, context));
+    if (!intent) {
+      return {
+        error:
+          CONTEXT_ERRORS[candidates[0].contextType] ||
+          "Diese Aktion ist hier nicht verfügbar.",
+      };
+    }
+
+    return { intent, prompt: this.buildPrompt(intent, context, action) };
+  }
+
+  buildPrompt(intent, context, action = null) {
+    return typeof intent.prompt === "function"
+      ? intent.prompt(context, action)
+      : intent.prompt || "";
+  }
+}
+
+export const intentRegistry = new IntentRegistry();
+
+// Built-in response actions
+intentRegistry
+  .registerResponseAction({
+    id: "copy",
+    kind: "copy",
+    label: "Kopieren",
+    icon: ICONS.copy,
+  })
+  .registerResponseAction({
+    id: "gmail-reply",
+    kind: "insert-reply",
+    label: "Als Antwort einfügen",
+    icon: ICONS.reply,
+  })
+  .registerResponseAction({
+    id: "gmail-compose",
+    kind: "compose",
+    label: "Neue E-Mail",
+    icon: ICONS.compose,
+  })
+  .registerResponseAction({
+    id: "formeller",
+    kind: "variation",
+    row: "variations",
+    label: "Formeller",
+    icon: ICONS.formeller,
+    temperature: 0.7,
+    prompt: "Bitte schreibe die E-Mail formeller",
+  })
+  .registerResponseAction({
+    id: "informeller",
+    kind: "variation",
+    row: "variations",
+    label: "Informeller",
+    icon: ICONS.informeller,
+    temperature: 0.7,
+    prompt: "Bitte schreibe die E-Mail informeller",
+  })
+  .registerResponseAction({
+    id: "kuerzer",
+    kind: "variation",
+    row: "variations",
+    label: "Kürzer",
+    icon: ICONS.kuerzer,
+    temperature: 0.7,
+    prompt: "Bitte kürze die E-Mail",
+  })
+  .registerResponseAction({
+    id: "laenger",
+    kind: "variation",
+    row: "variations",
+    label: "Länger",
+    icon: ICONS.laenger,
+    temperature: 0.7,
+    prompt: "Bitte schreibe die E-Mail ausführlicher",
+  });
+
+// Built-in intents
+intentRegistry
+  .register({
+    id: "general",
+    priority: -1,
+    temperature: 0.2,
+  })
+  .register({
+    id: "email-reply",
+    contextType: "email",
+    priority: 10,
+    temperature: 0.4,
+    triggers: [
+      "beantworte",
+      "antwort",
+      "reply",
+      "email",
+      (text) => text.includes("schreibe") && text.includes("mail"),
+    ],
+    contextActions: ["reply", "reply-with-data"],
+    prompt: (context, action) =>
+      action === "reply-with-data"
+        ? "Bitte beantworte mir diese Email und nutze dabei relevante Informationen aus unserem Datenspeicher."
+        : "Bitte beantworte mir diese Email professionell und freundlich.",
+    actions: [
+      "copy",
+      "gmail-reply",
+      "formeller",
+      "informeller",
+      "kuerzer",
+      "laenger",
+    ],
+  })
+  .register({
+    id: "email-new",
+    contextType: "email",
+    temperature: 0.5,
+    actions: ["copy", "gmail-compose"],
+  })
+  .register({
+    id: "email-summary",
+    contextType: "email",
+    temperature: 0.1,
+    contextActions: ["summarize"],
+    prompt:
+      "Bitte fasse mir den Email-Verlauf zusammen und bringe mich auf den neuesten Stand.",
+    actions: ["copy"],
+  })
+  .register({
+    id: "document-summary",
+    contextActions: ["summarize"],
+    priority: -1, // after email-summary
+    temperature: 0.1,
+    prompt: (context) =>
+      context?.isGoogleDocs || context?.sourceType === "docs"
+        ? "Bitte fasse mir dieses Dokument zusammen und erkläre die wichtigsten Punkte."
+        : "Bitte fasse mir den Inhalt dieser Seite zusammen.",
+    actions: ["copy"],
+  })
+  .register({
+    id: "document-analysis",
+    contextType: "document",
+    temperature: 0.2,
+    contextActions: ["analyze"],
+    prompt:
+      "Bitte analysiere dieses Dokument und gib mir eine detaillierte Einschätzung.",
+    actions: ["copy"],
+  })
+  .register({
+    id: "document-questions",
+    contextType: "document",
+    temperature: 0.5,
+    contextActions: ["ask-questions"],
+    prompt:
+      "Bitte erstelle mir wichtige Fragen zu diesem Dokument, die ich beantworten sollte.",
+    actions: ["copy"],
+  });
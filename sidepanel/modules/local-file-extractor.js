@@ -0,0 +1,70 @@
+// sidepanel/modules/local-file-extractor.js
+import { loadScript } from "./utils.js";
+
+// Same extractors the service worker uses for SharePoint downloads,
+// in dependency order
+const EXTRACTOR_SCRIPTS = [
+  "../libs/mammoth.browser.min.js",
+  "../libs/pdf.min.js",
+  "../extractors/zip-reader.js",
+  "../extractors/ooxml-utils.js",
+  "../extractors/xlsx-extractor.js",
+  "../extractors/pptx-extractor.js",
+  "../extractors/pdf-extractor.js",
+  "../extractors/document-extractor.js",
+];
+const PDFJS_WORKER_SRC = "../libs/pdf.worker.min.js";
+
+export const MAX_LOCAL_FILE_SIZE = 50 * 1024 * 1024;
+
+/**
+ * Extracts local files (dropped or picked in the panel) with the
+ * bundled DocumentExtractor. The libraries are loaded on first use.
+ */
+export class LocalFileExtractor {
+  constructor() {
+    this.debug = window.Debug.create("context");
+  }
+
+  async loadExtractors() {
+    for (const src of EXTRACTOR_SCRIPTS) {
+      await loadScript(src);
+    }
+    window.pdfjsLib.GlobalWorkerOptions.workerSrc = PDFJS_WORKER_SRC;
+  }
+
+  /**
+   * Extract a File. options are passed on to DocumentExtractor.extract
+   * (e.g. maxChars for workbooks).
+   */
+  async extract(file, options = {}) {
+    if (file.size > MAX_LOCAL_FILE_SIZE) {
+      throw new Error(
+        `Datei ist zu groß (max. ${MAX_LOCAL_FILE_SIZE / 1024 / 1024} MB)`
+      );
+    }
+
+    await this.loadExtractors();
+
+    if (!window.DocumentExtractor.getType(file.name, file.type)) {
+      throw new Error("Dateityp wird nicht unterstützt");
+    }
+
+    const result = await window.DocumentExtractor.extract(
+      await file.arrayBuffer(),
+      {
+        ...options,
+        fileName: file.name,
+        mimeType: file.type,
+      }
+    );
+
+    this.debug.log(
+      "[LocalFileExtractor] Extracted",
+      file.name,
+      "via",
+      result.method
+    );
+    return result;
+  }
+}
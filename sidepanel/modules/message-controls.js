@@ -0,0 +1,174 @@
+// sidepanel/modules/message-controls.js
+import { conversationBranches } from "./conversation-branches.js";
+
+/**
+ * Controls under chat messages: edit a question, regenerate the last
+ * answer and switch between branches (‹ 2/3 ›).
+ *
+ * Message elements carry data-message-id; which controls they get is
+ * read from chat.messages / chat.branches on every refresh().
+ */
+export class MessageControls {
+  constructor(app) {
+    this.debug = window.Debug.create("chat");
+    this.app = app;
+    this.store = window.AppStore;
+  }
+
+  initUI() {
+    this.container = this.app.elements.messagesContainer;
+    if (!this.container) return;
+
+    this.container.addEventListener("click", (e) => {
+      const control = e.target.closest("[data-control]");
+      const messageEl = control?.closest("[data-message-id]");
+      if (!messageEl) return;
+      this.handleControl(control.dataset.control, messageEl);
+    });
+
+    // Regenerate/edit are unavailable while an answer is running
+    this.store.subscribe("chat.isStreaming", () => this.refresh());
+  }
+
+  attach(messageEl, messageId) {
+    if (messageEl && messageId) messageEl.dataset.messageId = messageId;
+  }
+
+  /**
+   * Tag the elements of an exchange that was rendered live: the answer
+   * and, if its caller rendered it, the element of the question before it
+   */
+  attachExchange(answerEl, answerId, questionEl = null) {
+    const messages = this.store.get("chat.messages") || [];
+    const answerIndex = messages.findIndex((m) => m.id === answerId);
+    if (answerIndex === -1) return;
+
+    this.attach(answerEl, answerId);
+
+    const question = messages
+      .slice(0, answerIndex)
+      .reverse()
+      .find((m) => m.role === "user");
+    if (question && questionEl) this.attach(questionEl, question.id);
+
+    this.refresh();
+  }
+
+  refresh() {
+    if (!this.container) return;
+
+    const messages = this.store.get("chat.messages") || [];
+    this.container.querySelectorAll("[data-message-id]").forEach((el) => {
+      el.querySelector(":scope > .message-controls")?.remove();
+
+      const message = messages.find((m) => m.id === el.dataset.messageId);
+      const controls = message && this.renderControls(message);
+      if (controls) el.insertAdjacentHTML("beforeend", controls);
+    });
+  }
+
+  renderControls(message) {
+    const isStreaming = this.store.get("chat.isStreaming");
+    const branch = conversationBranches.getInfo(message.id);
+    const parts = [];
+
+    if (branch) {
+      parts.push(`
+        <span class="branch-nav">
+          <button class="message-control" data-control="prev" title="Vorherige Version" ${
+            branch.index === 0 ? "disabled" : ""
+          }>‹</button>
+          <span class="branch-position">${branch.index + 1}/${
+        branch.count
+      }</span>
+          <button class="message-control" data-control="next" title="Nächste Version" ${
+            branch.index === branch.count - 1 ? "disabled" : ""
+          }>›</button>
+        </span>
+      `);
+    }
+
+    if (message.role === "user" && !isStreaming) {
+      parts.push(
+        '<button class="message-control" data-control="edit" title="Bearbeiten und neu senden">✎</button>'
+      );
+    }
+
+    if (!isStreaming && conversationBranches.canRegenerate(message.id)) {
+      parts.push(
+        '<button class="message-control" data-control="regenerate" title="Antwort neu generieren">↻</button>'
+      );
+    }
+
+    return parts.length
+      ? `<div class="message-controls">${parts.join("")}</div>`
+      : "";
+  }
+
+  handleControl(control, messageEl) {
+    const messageId = messageEl.dataset.messageId;
+    if (this.store.get("chat.isStreaming")) return;
+
+    switch (control) {
+      case "prev":
+      case "next":
+        if (conversationBranches.step(messageId, control === "prev" ? -1 : 1)) {
+          this.app.renderConversation(this.store.get("chat.messages"));
+        }
+        break;
+      case "edit":
+        this.startEdit(messageEl, messageId);
+        break;
+      case "regenerate":
+        this.app.regenerateLastAnswer();
+        break;
+    }
+  }
+
+  /**
+   * Turn a question into an editor; sending it forks the conversation
+   */
+  startEdit(messageEl, messageId) {
+    const message = (this.store.get("chat.messages") || []).find(
+      (m) => m.id === messageId
+    );
+    if (!message) return;
+
+    messageEl.classList.add("editing");
+    messageEl.innerHTML = `
+      <textarea class="message-edit-input" rows="3"></textarea>
+      <div class="message-edit-actions">
+        <button class="template-button" data-edit="cancel">Abbrechen</button>
+        <button class="template-button primary" data-edit="send">Senden</button>
+      </div>
+    `;
+
+    const input = messageEl.querySelector(".message-edit-input");
+    input.value = message._originalText ?? message.content;
+    input.focus();
+
+    const finish = (send) => {
+      const text = input.value.trim();
+      if (send && text) {
+        this.app.editAndResend(messageId, text);
+      } else {
+        this.app.renderConversation(this.store.get("chat.messages"));
+      }
+    };
+
+    messageEl
+      .querySelector('[data-edit="cancel"]')
+      .addEventListener("click", () => finish(false));
+    messageEl
+      .querySelector('[data-edit="send"]')
+      .addEventListener("click", () => finish(true));
+    input.addEventListener("keydown", (e) => {
+      if (e.key === "Enter" && !e.shiftKey) {
+        e.preventDefault();
+        finish(true);
+      } else if (e.key === "Escape") {
+        finish(false);
+      }
+    });
+  }
+}
@@ -1,4 +1,5 @@
 // sidepanel/modules/message-renderer.js
+import { intentRegistry } from "./intent-registry.js";
 
 export class MessageRenderer {
   constructor() {
@@ -94,9 +95,12 @@ export class MessageRenderer {
   /**
    * Enhanced markdown rendering with better formatting
    * @param {string} text - Markdown text to render
+   * @param {Object} options
+   * @param {Array} options.references - Cited source anchors; their
+   *   markers ([#p7]) become links, other markers are dropped
    * @returns {string} HTML string
    */
-  renderMarkdown(text) {
+  renderMarkdown(text, { references = [] } = {}) {
     if (!text) return "";
 
     // Don't escape HTML first - we'll handle it more carefully
@@ -152,6 +156,9 @@ export class MessageRenderer {
     // Now escape remaining HTML
     html = this.escapeHtml(html);
 
+    // Source anchors cited by the model
+    html = this.renderSourceAnchors(html, references);
+
     // Headers (must come before bold to avoid conflicts)
     html = html.replace(/^### (.*$)/gm, '<h3 class="markdown-h3">$1</h3>');
     html = html.replace(/^## (.*$)/gm, '<h2 class="markdown-h2">$1</h2>');
@@ -236,61 +243,126 @@ export class MessageRenderer {
 
     return html;
   }
-  // message-renderer.js
-  renderWithActions(content, intent, context) {
-    const html = this.renderMarkdown(content);
+  /**
+   * Replace anchor markers with links to the cited document position
+   * @param {string} html - Escaped HTML
+   * @param {Array} references - Anchors cited in the message
+   * @returns {string} HTML string
+   */
+  renderSourceAnchors(html, references) {
+    const byId = new Map(references.map((r) => [r.id, r]));
+
+    return html.replace(/ ?\[#([ph]\d+)\]/g, (match, id) => {
+      const reference = byId.get(id);
+      if (!reference) return "";
+
+      const label =
+        reference.type === "page"
+          ? `S. ${reference.page}`
+          : reference.label.length > 24
+          ? `${reference.label.substring(0, 23)}…`
+          : reference.label;
+      const title = `${reference.title ? `${reference.title} – ` : ""}${
+        reference.label
+      }`;
+
+      return ` <a href="#" class="source-anchor" data-anchor="${id}" title="${this.escapeHtml(
+        title
+      )}">${this.escapeHtml(label)}</a>`;
+    });
+  }
 
-    // Choose actions based on intent and context
-    let actions = [];
-
-    switch (intent) {
-      case "email-reply":
-        actions = [
-          { icon: "📋", label: "Kopieren", action: "copy" },
-          { icon: "↩️", label: "Als Antwort einfügen", action: "gmail-reply" },
-        ];
-        break;
-
-      case "email-new":
-        actions = [
-          { icon: "📋", label: "Kopieren", action: "copy" },
-          { icon: "✉️", label: "Neue E-Mail", action: "gmail-compose" },
-        ];
-        break;
-
-      case "doc-summary":
-        actions = [
-          { icon: "📋", label: "Kopieren", action: "copy" },
-          { icon: "📄", label: "Als Kommentar", action: "docs-comment" },
-        ];
-        break;
-
-      default:
-        // Just copy for general content
-        actions = [{ icon: "📋", label: "Kopieren", action: "copy" }];
-    }
+  /**
+   * Expandable list of the Datenspeicher sources behind an answer
+   * @param {Array} sources - Normalized sources ({ fileName, snippet, score, page })
+   * @returns {string} HTML string, empty without sources
+   */
+  renderSources(sources = []) {
+    if (sources.length === 0) return "";
+
+    const items = sources
+      .map((source, index) => {
+        const score =
+          source.score == null
+            ? ""
+            : source.score <= 1
+            ? `${Math.round(source.score * 100)} %`
+            : source.score.toFixed(2);
+        const page =
+          source.page != null ? ` · S. ${this.escapeHtml(source.page)}` : "";
+
+        return `
+        <li class="message-source" data-source-index="${index}" title="In CompanyGPT öffnen">
+          <div class="message-source-header">
+            <span class="message-source-name">📄 ${this.escapeHtml(
+              source.fileName
+            )}${page}</span>
+            ${score ? `<span class="message-source-score">${score}</span>` : ""}
+          </div>
+          ${
+            source.snippet
+              ? `<div class="message-source-snippet">${this.escapeHtml(
+                  source.snippet
+                )}</div>`
+              : ""
+          }
+        </li>
+      `;
+      })
+      .join("");
+
+    const count = `${sources.length} ${
+      sources.length === 1 ? "Quelle" : "Quellen"
+    }`;
+    return `
+      <details class="message-sources">
+        <summary>${count} aus dem Datenspeicher</summary>
+        <ul class="message-source-list">${items}</ul>
+      </details>
+    `;
+  }
+
+  /**
+   * Render content with the response actions declared by its intent
+   * @param {string} content - Raw message content
+   * @param {string} intent - Intent id from the IntentRegistry
+   * @returns {string} HTML string
+   */
+  renderWithActions(content, intent) {
+    const html = this.renderMarkdown(content);
+    const actions = intentRegistry.getResponseActions(intent);
 
-    return this.wrapWithActionButtons(html, content, actions);
+    if (actions.length === 0) return html;
+    return this.wrapWithActionButtons(html, actions);
   }
 
-  wrapWithActionButtons(html, originalContent, actions) {
-    const actionButtons = actions
+  /**
+   * Wrap rendered HTML with action buttons, grouped into rows.
+   * Buttons carry data-action; click handling is up to the caller.
+   */
+  wrapWithActionButtons(html, actions) {
+    const rows = new Map();
+    actions.forEach((action) => {
+      if (!rows.has(action.row)) rows.set(action.row, []);
+      rows.get(action.row).push(`
+        <button class="action-btn ${action.id}-btn" data-action="${action.id}">
+          ${action.icon} <span>${this.escapeHtml(action.label)}</span>
+        </button>
+      `);
+    });
+
+    const rowsHtml = [...rows.entries()]
       .map(
-        (action) => `
-      <button class="action-btn ${action.action}-btn" 
-              data-content="${this.escapeHtml(originalContent)}"
-              data-action="${action.action}">
-        ${action.icon} ${action.label}
-      </button>
-    `
+        ([row, buttons]) =>
+          `<div class="action-buttons-row ${row}">${buttons.join("")}</div>`
       )
       .join("");
 
     return `
       <div class="message-with-actions">
         <div class="message-content">${html}</div>
-        <div class="action-buttons">
-          ${actionButtons}
+        <div class="action-buttons response-actions">
+          ${rowsHtml}
         </div>
       </div>
     `;
@@ -415,7 +487,8 @@ export class MessageRenderer {
   escapeHtml(text) {
     const div = document.createElement("div");
     div.textContent = text;
-    return div.innerHTML;
+    // Quotes as well, the result is also used in attribute values
+    return div.innerHTML.replace(/"/g, "&quot;").replace(/'/g, "&#39;");
   }
 
   /**
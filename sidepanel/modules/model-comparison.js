@@ -0,0 +1,405 @@
+// sidepanel/modules/model-comparison.js
+
+const MIN_MODELS = 2;
+const MAX_MODELS = 3;
+
+/**
+ * Compare mode: a question is sent to 2-3 models at once and the answers
+ * are shown in one card, as tabs or side by side, with response time and
+ * length. The question and the answer the user keeps go into the
+ * conversation history; the others are discarded. Once the chat is
+ * continued or switched without a pick, the question is dropped.
+ *
+ * ui.compareMode switches the mode on, settings.compareModelIds holds
+ * the chosen models (filled up from the catalogue if fewer than two).
+ */
+export class ModelComparison {
+  constructor(app) {
+    this.debug = window.Debug.create("chat");
+    this.app = app;
+    this.store = window.AppStore;
+
+    // { messageEl, comparison } of the card still waiting for a pick
+    this.open = null;
+  }
+
+  initUI() {
+    this.listEl = document.getElementById("compare-model-list");
+    this.toggleEl = document.getElementById("compare-mode-toggle");
+    this.barEl = document.getElementById("compare-bar");
+
+    this.toggleEl?.addEventListener("change", () =>
+      this.setEnabled(this.toggleEl.checked)
+    );
+    document
+      .getElementById("compare-bar-close")
+      ?.addEventListener("click", () => this.setEnabled(false));
+
+    this.listEl?.addEventListener("change", (e) => {
+      const input = e.target.closest("input[type=checkbox]");
+      if (input) this.toggleModel(input.value, input.checked);
+    });
+
+    [
+      "ui.compareMode",
+      "settings.compareModelIds",
+      "chat.selectedModel",
+    ].forEach((path) => this.store.subscribe(path, () => this.render()));
+    window.addEventListener("models-changed", () => this.render());
+
+    ["chat.messages", "chat.sessionId"].forEach((path) =>
+      this.store.subscribe(path, () => this.closeIfLeft())
+    );
+
+    this.render();
+  }
+
+  isEnabled() {
+    return this.store.get("ui.compareMode") === true;
+  }
+
+  setEnabled(enabled) {
+    this.store.set("ui.compareMode", !!enabled);
+    this.store.actions.showNotification(
+      enabled
+        ? `Vergleichsmodus: ${this.getModels()
+            .map((m) => m.name)
+            .join(", ")}`
+        : "Vergleichsmodus beendet",
+      "success"
+    );
+  }
+
+  /**
+   * Models to compare: the chosen ones that are still offered, filled up
+   * with the selected model and the catalogue order
+   */
+  getModels() {
+    const chosen = (this.store.get("settings.compareModelIds") || [])
+      .map((id) => window.ModelsConfig.getById(id))
+      .filter(Boolean);
+    if (chosen.length >= MIN_MODELS) return chosen.slice(0, MAX_MODELS);
+
+    const current = window.ModelsConfig.getById(
+      this.store.get("chat.selectedModel")?.id
+    );
+    const candidates = [
+      ...chosen,
+      current,
+      ...window.ModelsConfig.getAll(),
+    ].filter(Boolean);
+
+    return candidates
+      .filter((m, i) => candidates.findIndex((c) => c.id === m.id) === i)
+      .slice(0, MIN_MODELS);
+  }
+
+  toggleModel(modelId, checked) {
+    const ids = (this.store.get("settings.compareModelIds") || []).filter(
+      (id) => window.ModelsConfig.getById(id) && id !== modelId
+    );
+
+    if (checked) {
+      if (ids.length >= MAX_MODELS) {
+        this.store.actions.showNotification(
+          `Es können höchstens ${MAX_MODELS} Modelle verglichen werden`,
+          "info"
+        );
+        this.render();
+        return;
+      }
+      ids.push(modelId);
+    }
+
+    this.store.set("settings.compareModelIds", ids);
+  }
+
+  render() {
+    const enabled = this.isEnabled();
+    const models = this.getModels();
+    const chosenIds = this.store.get("settings.compareModelIds") || [];
+
+    if (this.toggleEl) this.toggleEl.checked = enabled;
+
+    if (this.listEl) {
+      this.listEl.innerHTML = window.ModelsConfig.getAll()
+        .map(
+          (model) => `
+          <label class="template-scope">
+            <input type="checkbox" value="${this.escape(model.id)}" ${
+            chosenIds.includes(model.id) ? "checked" : ""
+          } /> ${this.escape(model.name)}
+          </label>
+        `
+        )
+        .join("");
+    }
+
+    if (this.barEl) {
+      this.barEl.style.display = enabled ? "" : "none";
+      const label = document.getElementById("compare-bar-label");
+      if (label) {
+        label.textContent = `Vergleich: ${models
+          .map((m) => m.name)
+          .join(" · ")}`;
+      }
+    }
+  }
+
+  /**
+   * Send a question in compare mode and show the answers card
+   */
+  async compare(text) {
+    const models = this.getModels();
+    if (models.length < MIN_MODELS) {
+      this.app.showError(
+        "Für den Vergleich werden mindestens zwei Modelle benötigt"
+      );
+      return;
+    }
+
+    let context = null;
+    if (this.app.isContextEnabled() && this.app.contextManager?.hasContext()) {
+      context = this.app.contextManager.getContextForMessage();
+    }
+
+    // A new question leaves the previous card without a pick
+    this.close();
+
+    const questionEl = this.app.addMessage(text, "user");
+    const thinkingId = this.app.showTypingIndicator();
+
+    try {
+      const comparison = await this.app.chatController.compareModels(
+        text,
+        context,
+        models
+      );
+      this.app.removeTypingIndicator(thinkingId);
+      if (!comparison) return;
+
+      const messageEl = document.createElement("div");
+      this.app.elements.messagesContainer?.appendChild(messageEl);
+
+      if (comparison.cancelled) {
+        this.app.showCancelledMessage(messageEl, "");
+        return;
+      }
+
+      this.app.pendingInput = null;
+      this.renderCard(messageEl, comparison, questionEl);
+      if (comparison.results.some((result) => !result.error)) {
+        this.open = { messageEl, comparison };
+      }
+    } catch (error) {
+      console.error("[ModelComparison] Comparison failed:", error);
+      this.app.removeTypingIndicator(thinkingId);
+      this.app.addMessage(`Fehler: ${error.message}`, "error");
+    }
+  }
+
+  renderCard(messageEl, comparison, questionEl) {
+    const layout =
+      this.store.get("settings.compareLayout") === "columns"
+        ? "columns"
+        : "tabs";
+    const firstAnswer = Math.max(
+      comparison.results.findIndex((r) => !r.error),
+      0
+    );
+
+    messageEl.className = `message assistant model-comparison ${layout}`;
+    messageEl.innerHTML = `
+      <div class="comparison-header">
+        <span class="comparison-title">Modellvergleich</span>
+        <button class="comparison-layout-btn" type="button">
+          ${layout === "columns" ? "Als Tabs" : "Nebeneinander"}
+        </button>
+      </div>
+      <div class="comparison-tabs">
+        ${comparison.results
+          .map(
+            (result, index) => `
+          <button class="comparison-tab ${
+            index === firstAnswer ? "active" : ""
+          }" type="button" data-index="${index}">
+            ${this.renderLabel(result)}
+          </button>
+        `
+          )
+          .join("")}
+      </div>
+      <div class="comparison-panels">
+        ${comparison.results
+          .map(
+            (result, index) => `
+          <div class="comparison-panel ${
+            index === firstAnswer ? "active" : ""
+          }" data-index="${index}">
+            <div class="comparison-panel-label">${this.renderLabel(
+              result
+            )}</div>
+            <div class="comparison-answer">
+              ${
+                result.error
+                  ? `<div class="comparison-error">⚠️ ${this.escape(
+                      result.error
+                    )}</div>`
+                  : this.app.renderAssistantContent(
+                      result.content,
+                      result.references
+                    )
+              }
+            </div>
+            ${
+              result.error
+                ? ""
+                : `<button class="comparison-keep" type="button" data-index="${index}">
+                    Diese Antwort übernehmen
+                  </button>`
+            }
+          </div>
+        `
+          )
+          .join("")}
+      </div>
+    `;
+
+    messageEl.addEventListener("click", (e) => {
+      const tab = e.target.closest(".comparison-tab");
+      if (tab) {
+        this.showAnswer(messageEl, Number(tab.dataset.index));
+        return;
+      }
+      if (e.target.closest(".comparison-layout-btn")) {
+        this.toggleLayout(messageEl);
+        return;
+      }
+      const keep = e.target.closest(".comparison-keep");
+      if (keep) {
+        this.keep(
+          messageEl,
+          comparison,
+          Number(keep.dataset.index),
+          questionEl
+        );
+      }
+    });
+
+    this.app.scrollToBottom();
+  }
+
+  renderLabel(result) {
+    const stats = result.error
+      ? "Fehler"
+      : `${this.formatDuration(
+          result.durationMs
+        )} · ${result.content.length.toLocaleString("de-DE")} Zeichen`;
+    return `
+      <span class="comparison-model">${this.escape(result.model.name)}</span>
+      <span class="comparison-stats">${stats}</span>
+    `;
+  }
+
+  showAnswer(messageEl, index) {
+    messageEl
+      .querySelectorAll(".comparison-tab, .comparison-panel")
+      .forEach((el) =>
+        el.classList.toggle("active", Number(el.dataset.index) === index)
+      );
+  }
+
+  toggleLayout(messageEl) {
+    const layout = messageEl.classList.contains("columns") ? "tabs" : "columns";
+    this.store.set("settings.compareLayout", layout);
+
+    messageEl.classList.remove("tabs", "columns");
+    messageEl.classList.add(layout);
+    messageEl.querySelector(".comparison-layout-btn").textContent =
+      layout === "columns" ? "Als Tabs" : "Nebeneinander";
+  }
+
+  /**
+   * Keep one answer: it replaces the card as a normal assistant message
+   */
+  keep(messageEl, comparison, index, questionEl) {
+    // Keeping changes the history; the card isn't left by that
+    this.open = null;
+    const message = this.app.chatController.keepComparisonAnswer(
+      comparison,
+      index
+    );
+    if (!message) return;
+
+    this.debug.log("[ModelComparison] Kept answer of", message._model?.id);
+
+    this.app.finalizeAssistantMessage(
+      messageEl,
+      message.content,
+      this.app.renderAssistantContent(message.content, message.references),
+      message.references
+    );
+    this.app.appendSources(messageEl, message.sources);
+    this.appendNote(messageEl, message);
+    this.app.messageControls?.attachExchange(messageEl, message.id, questionEl);
+  }
+
+  closeIfLeft() {
+    if (
+      this.open &&
+      !this.app.chatController?.isComparisonCurrent(this.open.comparison)
+    ) {
+      this.close();
+    }
+  }
+
+  /**
+   * The chat went on without a pick: the question is dropped, so the
+   * answers can't be kept any more
+   */
+  close() {
+    if (!this.open) return;
+
+    const { messageEl } = this.open;
+    this.open = null;
+    messageEl.querySelectorAll(".comparison-keep").forEach((el) => el.remove());
+
+    const note = document.createElement("div");
+    note.className = "comparison-note";
+    note.textContent = "Nicht übernommen – die Frage ist nicht im Verlauf";
+    messageEl.appendChild(note);
+  }
+
+  /**
+   * "Gewählt aus dem Vergleich" note under a kept answer
+   */
+  appendNote(messageEl, message) {
+    if (!message?._comparison?.length) return;
+
+    const others = message._comparison
+      .filter((entry) => entry.model?.id !== message._model?.id)
+      .map((entry) => entry.model?.name)
+      .filter(Boolean);
+    const kept = message._comparison.find(
+      (entry) => entry.model?.id === message._model?.id
+    );
+
+    const note = document.createElement("div");
+    note.className = "comparison-note";
+    note.textContent = `${message._model?.name || "Antwort"}${
+      kept ? ` (${this.formatDuration(kept.durationMs)})` : ""
+    } – gewählt im Vergleich mit ${others.join(", ")}`;
+    messageEl.appendChild(note);
+  }
+
+  formatDuration(ms) {
+    return `${(ms / 1000).toLocaleString("de-DE", {
+      minimumFractionDigits: 1,
+      maximumFractionDigits: 1,
+    })} s`;
+  }
+
+  escape(text) {
+    return this.app.messageRenderer.escapeHtml(text);
+  }
+}
@@ -0,0 +1,191 @@
+// sidepanel/modules/ocr-service.js
+import { loadScript } from "./utils.js";
+
+// Bundled engines: tesseract.js 5 (libs/tesseract) with its LSTM-only
+// WASM cores and the German and English best_int language data in lang/
+const PDFJS_SRC = "../libs/pdf.min.js";
+const PDFJS_WORKER_SRC = "../libs/pdf.worker.min.js";
+const TESSERACT_DIR = "libs/tesseract";
+const OCR_LANGUAGES = "deu+eng";
+
+// Pages are rendered at 2x, which is roughly 150 dpi for A4
+const RENDER_SCALE = 2;
+
+// Default range so a long scan doesn't block the panel for minutes
+export const OCR_DEFAULT_PAGES = 10;
+
+/**
+ * Offline text recognition for scanned PDFs.
+ *
+ * Runs in the side panel: tesseract.js needs Web Workers, which the
+ * service worker can't create. Pages are rendered with PDF.js to a
+ * canvas and recognized one after another.
+ */
+export class OcrService {
+  constructor() {
+    this.debug = window.Debug.create("ocr");
+
+    this.worker = null;
+    this.cancelled = false;
+    this.isRunning = false;
+  }
+
+  async loadEngines() {
+    await loadScript(PDFJS_SRC);
+    window.pdfjsLib.GlobalWorkerOptions.workerSrc = PDFJS_WORKER_SRC;
+
+    try {
+      await loadScript(`../${TESSERACT_DIR}/tesseract.min.js`);
+    } catch {
+      throw new Error(
+        "Die Texterkennung ist in dieser Version nicht enthalten"
+      );
+    }
+  }
+
+  async createWorker(onProgress) {
+    const base = chrome.runtime.getURL(TESSERACT_DIR);
+
+    return window.Tesseract.createWorker(OCR_LANGUAGES, 1, {
+      workerPath: `${base}/worker.min.js`,
+      corePath: base,
+      langPath: `${base}/lang`,
+      // Extension pages may not start workers from blob: URLs
+      workerBlobURL: false,
+      logger: (message) => {
+        if (message.status === "recognizing text") {
+          onProgress(message.progress);
+        }
+      },
+    });
+  }
+
+  /**
+   * "1-3, 5" -> [1, 2, 3, 5], limited to the document's pages.
+   * An empty range means the first OCR_DEFAULT_PAGES pages.
+   */
+  parsePageRange(range, pageCount) {
+    const pages = new Set();
+    const text = (range || "").trim();
+
+    if (!text) {
+      for (
+        let page = 1;
+        page <= Math.min(pageCount, OCR_DEFAULT_PAGES);
+        page++
+      ) {
+        pages.add(page);
+      }
+      return [...pages];
+    }
+
+    for (const part of text.split(/[,;]/)) {
+      const match = part.trim().match(/^(\d+)\s*(?:-\s*(\d*))?$/);
+      if (!match) {
+        throw new Error(`Ungültiger Seitenbereich „${part.trim()}“`);
+      }
+
+      const from = Number(match[1]);
+      const to = match[2] === undefined ? from : Number(match[2] || pageCount);
+      for (let page = from; page <= Math.min(to, pageCount); page++) {
+        if (page >= 1) pages.add(page);
+      }
+    }
+
+    if (pages.size === 0) {
+      throw new Error(`Das Dokument hat nur ${pageCount} Seiten`);
+    }
+    return [...pages].sort((a, b) => a - b);
+  }
+
+  /**
+   * Recognize the given pages of a PDF.
+   * onProgress({ page, index, total, progress }) - progress is 0..1 overall
+   * Returns [{ page, text }]; throws Error("Aborted") when cancelled.
+   */
+  async recognizePdf(data, { pages, onProgress = () => {} }) {
+    if (this.isRunning) {
+      throw new Error("Die Texterkennung läuft bereits");
+    }
+
+    this.isRunning = true;
+    this.cancelled = false;
+    let pdf = null;
+
+    try {
+      await this.loadEngines();
+
+      pdf = await window.pdfjsLib.getDocument({ data }).promise;
+      const total = pages.length;
+      let current = { page: pages[0], index: 0 };
+
+      this.worker = await this.createWorker((pageProgress) =>
+        onProgress({
+          ...current,
+          total,
+          progress: (current.index + pageProgress) / total,
+        })
+      );
+
+      const results = [];
+      for (const [index, page] of pages.entries()) {
+        this.throwIfCancelled();
+        current = { page, index };
+        onProgress({ page, index, total, progress: index / total });
+
+        const canvas = await this.renderPage(pdf, page);
+        this.throwIfCancelled();
+
+        let result;
+        try {
+          ({ data: result } = await this.worker.recognize(canvas));
+        } catch (error) {
+          this.throwIfCancelled();
+          throw error;
+        }
+        results.push({ page, text: result.text.trim() });
+        this.debug.log(
+          `[OcrService] Page ${page}: ${result.text.length} chars`
+        );
+      }
+
+      onProgress({ page: null, index: total, total, progress: 1 });
+      return results;
+    } finally {
+      pdf?.destroy();
+      await this.worker?.terminate();
+      this.worker = null;
+      this.isRunning = false;
+    }
+  }
+
+  async renderPage(pdf, pageNumber) {
+    const page = await pdf.getPage(pageNumber);
+    const viewport = page.getViewport({ scale: RENDER_SCALE });
+
+    const canvas = document.createElement("canvas");
+    canvas.width = Math.ceil(viewport.width);
+    canvas.height = Math.ceil(viewport.height);
+
+    await page.render({
+      canvasContext: canvas.getContext("2d"),
+      viewport,
+    }).promise;
+    return canvas;
+  }
+
+  cancel() {
+    if (!this.isRunning) return;
+    this.cancelled = true;
+    // Stops a page that is being recognized right now
+    this.worker?.terminate();
+    this.worker = null;
+  }
+
+  throwIfCancelled() {
+    if (!this.cancelled) return;
+    const error = new Error("Aborted");
+    error.name = "AbortError";
+    throw error;
+  }
+}
@@ -0,0 +1,396 @@
+// sidepanel/modules/prompt-library.js
+
+// Page types a template can be scoped to ("generic" = every page)
+export const TEMPLATE_SCOPES = {
+  generic: "Alle Seiten",
+  gmail: "Gmail / Outlook",
+  docs: "Google Docs",
+  sharepoint: "SharePoint",
+};
+
+const PLACEHOLDER_PATTERN = /\{\{\s*([\w.]+)\s*\}\}/g;
+
+/**
+ * User-defined prompt templates (settings.promptTemplates).
+ *
+ * A template is { id, name, command, prompt, scopes[] }. Its prompt may
+ * contain placeholders that are filled from the page context:
+ *   {{selection}} {{page.title}} {{page.url}} {{page.content}}
+ *   {{email.sender}} {{email.subject}} {{input}}
+ * {{input}} is the text typed after a /command.
+ */
+export class PromptLibrary {
+  constructor(store, messageRenderer) {
+    this.debug = window.Debug.create("prompts");
+    this.store = store || window.AppStore;
+    this.messageRenderer = messageRenderer;
+
+    this.editingId = null;
+  }
+
+  getAll() {
+    return this.store.get("settings.promptTemplates") || [];
+  }
+
+  getById(id) {
+    return this.getAll().find((t) => t.id === id) || null;
+  }
+
+  /**
+   * Find a template by its slash command (without the leading "/")
+   */
+  findByCommand(command) {
+    const normalized = (command || "").replace(/^\//, "").toLowerCase();
+    if (!normalized) return null;
+    return (
+      this.getAll().find((t) => t.command?.toLowerCase() === normalized) || null
+    );
+  }
+
+  /**
+   * Templates whose scopes fit the given page context
+   */
+  getForContext(context) {
+    const pageType = this.getPageType(context);
+    return this.getAll().filter(
+      (t) =>
+        !t.scopes?.length ||
+        t.scopes.includes("generic") ||
+        t.scopes.includes(pageType)
+    );
+  }
+
+  getPageType(context) {
+    if (!context) return "generic";
+    if (context.isGmail || context.isOutlook || context.isEmail) return "gmail";
+    if (context.isGoogleDocs) return "docs";
+    if (context.isSharePoint || context.url?.includes("sharepoint.com")) {
+      return "sharepoint";
+    }
+    return "generic";
+  }
+
+  save(template) {
+    const name = (template.name || "").trim();
+    const prompt = (template.prompt || "").trim();
+    if (!name || !prompt) {
+      throw new Error("Name und Prompt sind erforderlich");
+    }
+
+    const command = this.normalizeCommand(template.command || name);
+    if (!command) {
+      throw new Error(
+        "Ein Befehl aus Buchstaben oder Ziffern ist erforderlich"
+      );
+    }
+
+    const duplicate = this.getAll().find(
+      (t) => t.command === command && t.id !== template.id
+    );
+    if (duplicate) {
+      throw new Error(`Der Befehl /${command} ist bereits vergeben`);
+    }
+
+    const saved = {
+      id: template.id || `tpl-${Date.now()}`,
+      name,
+      command,
+      prompt,
+      scopes: template.scopes?.length ? template.scopes : ["generic"],
+    };
+
+    const others = this.getAll().filter((t) => t.id !== saved.id);
+    const existingIndex = this.getAll().findIndex((t) => t.id === saved.id);
+    const templates = [...others];
+    templates.splice(
+      existingIndex === -1 ? templates.length : existingIndex,
+      0,
+      saved
+    );
+
+    this.store.set("settings.promptTemplates", templates);
+    this.debug.log("[PromptLibrary] Saved template:", saved.name);
+    return saved;
+  }
+
+  delete(id) {
+    this.store.set(
+      "settings.promptTemplates",
+      this.getAll().filter((t) => t.id !== id)
+    );
+  }
+
+  /**
+   * Serialize all templates for download
+   */
+  exportJSON() {
+    return JSON.stringify(
+      {
+        version: 1,
+        templates: this.getAll().map(({ name, command, prompt, scopes }) => ({
+          name,
+          command,
+          prompt,
+          scopes,
+        })),
+      },
+      null,
+      2
+    );
+  }
+
+  /**
+   * Import templates from JSON; templates with an existing command
+   * replace the old one. Entries without name, prompt or a usable
+   * command are skipped, all others are checked before any is saved.
+   * Returns { imported, skipped }.
+   */
+  importJSON(json) {
+    const data = JSON.parse(json);
+    const templates = Array.isArray(data) ? data : data?.templates;
+    if (!Array.isArray(templates)) {
+      throw new Error("Ungültiges Vorlagen-Format");
+    }
+
+    const valid = templates
+      .map((template) => {
+        const name = String(template?.name ?? "").trim();
+        const prompt = String(template?.prompt ?? "").trim();
+        const command = this.normalizeCommand(template?.command || name);
+        if (!name || !prompt || !command) return null;
+
+        const scopes = Array.isArray(template.scopes) ? template.scopes : [];
+        return {
+          name,
+          command,
+          prompt,
+          scopes: scopes.filter((s) => s in TEMPLATE_SCOPES),
+        };
+      })
+      .filter(Boolean);
+
+    valid.forEach((template, index) => {
+      const existing = this.getAll().find(
+        (t) => t.command === template.command
+      );
+      this.save({
+        ...template,
+        id: existing?.id || `tpl-${Date.now()}-${index}`,
+      });
+    });
+
+    return { imported: valid.length, skipped: templates.length - valid.length };
+  }
+
+  /**
+   * Fill a template's placeholders from the page context
+   */
+  render(template, context, input = "") {
+    const values = this.getPlaceholderValues(context, input);
+
+    return template.prompt
+      .replace(PLACEHOLDER_PATTERN, (match, key) =>
+        key in values ? values[key] : match
+      )
+      .trim();
+  }
+
+  getPlaceholderValues(context, input = "") {
+    const content = context?.mainContent || context?.content || "";
+    const metadata = context?.metadata || {};
+
+    return {
+      input,
+      selection: context?.selectedText || "",
+      "page.title": context?.title || "",
+      "page.url": context?.url || "",
+      "page.content": content,
+      "email.sender":
+        metadata.extractedSenderName || metadata.originalSender || "",
+      "email.subject":
+        metadata.subject || content.match(/^Subject: (.+)$/m)?.[1] || "",
+    };
+  }
+
+  normalizeCommand(value) {
+    return String(value)
+      .toLowerCase()
+      .replace(/^\//, "")
+      .replace(/ä/g, "ae")
+      .replace(/ö/g, "oe")
+      .replace(/ü/g, "ue")
+      .replace(/ß/g, "ss")
+      .replace(/[^a-z0-9-]+/g, "-")
+      .replace(/^-+|-+$/g, "");
+  }
+
+  /**
+   * Wire up the template section in the settings view
+   */
+  initSettingsUI() {
+    this.listEl = document.getElementById("prompt-template-list");
+    this.editorEl = document.getElementById("prompt-template-editor");
+    if (!this.listEl || !this.editorEl) return;
+
+    const scopesEl = document.getElementById("template-scopes");
+    if (scopesEl) {
+      scopesEl.innerHTML = Object.entries(TEMPLATE_SCOPES)
+        .map(
+          ([scope, label]) => `
+          <label class="template-scope">
+            <input type="checkbox" value="${scope}" /> ${label}
+          </label>
+        `
+        )
+        .join("");
+    }
+
+    document
+      .getElementById("btn-new-template")
+      ?.addEventListener("click", () => this.openEditor());
+    document
+      .getElementById("btn-cancel-template")
+      ?.addEventListener("click", () => this.closeEditor());
+    document
+      .getElementById("btn-save-template")
+      ?.addEventListener("click", () => this.saveFromEditor());
+    document
+      .getElementById("btn-export-templates")
+      ?.addEventListener("click", () => this.downloadExport());
+
+    const importInput = document.getElementById("template-import-input");
+    document
+      .getElementById("btn-import-templates")
+      ?.addEventListener("click", () => importInput?.click());
+    importInput?.addEventListener("change", async () => {
+      const file = importInput.files?.[0];
+      importInput.value = "";
+      if (file) await this.importFile(file);
+    });
+
+    this.listEl.addEventListener("click", (e) => {
+      const button = e.target.closest("[data-template-action]");
+      if (!button) return;
+
+      const id = button.closest(".template-item")?.dataset.id;
+      if (button.dataset.templateAction === "edit") {
+        this.openEditor(this.getById(id));
+      } else if (button.dataset.templateAction === "delete") {
+        const template = this.getById(id);
+        if (template && confirm(`Vorlage „${template.name}“ löschen?`)) {
+          this.delete(id);
+        }
+      }
+    });
+
+    this.store.subscribe("settings.promptTemplates", () =>
+      this.renderSettingsList()
+    );
+    this.renderSettingsList();
+  }
+
+  renderSettingsList() {
+    if (!this.listEl) return;
+
+    const templates = this.getAll();
+    if (templates.length === 0) {
+      this.listEl.innerHTML =
+        '<div class="template-empty">Noch keine Vorlagen angelegt</div>';
+      return;
+    }
+
+    this.listEl.innerHTML = templates
+      .map(
+        (t) => `
+        <div class="template-item" data-id="${this.escapeHtml(t.id)}">
+          <div class="template-info">
+            <div class="template-name">${this.escapeHtml(t.name)}</div>
+            <div class="template-meta">/${this.escapeHtml(
+              t.command
+            )} · ${t.scopes
+          .map((s) => TEMPLATE_SCOPES[s] || s)
+          .join(", ")}</div>
+          </div>
+          <button class="template-action" data-template-action="edit" title="Bearbeiten">✏️</button>
+          <button class="template-action" data-template-action="delete" title="Löschen">🗑️</button>
+        </div>
+      `
+      )
+      .join("");
+  }
+
+  openEditor(template = null) {
+    this.editingId = template?.id || null;
+
+    document.getElementById("template-name").value = template?.name || "";
+    document.getElementById("template-command").value = template?.command || "";
+    document.getElementById("template-prompt").value = template?.prompt || "";
+
+    const scopes = template?.scopes || ["generic"];
+    this.editorEl
+      .querySelectorAll("#template-scopes input")
+      .forEach((input) => (input.checked = scopes.includes(input.value)));
+
+    this.editorEl.style.display = "block";
+    document.getElementById("template-name").focus();
+  }
+
+  closeEditor() {
+    this.editingId = null;
+    this.editorEl.style.display = "none";
+  }
+
+  saveFromEditor() {
+    const scopes = [
+      ...this.editorEl.querySelectorAll("#template-scopes input:checked"),
+    ].map((input) => input.value);
+
+    try {
+      this.save({
+        id: this.editingId,
+        name: document.getElementById("template-name").value,
+        command: document.getElementById("template-command").value,
+        prompt: document.getElementById("template-prompt").value,
+        scopes,
+      });
+      this.closeEditor();
+    } catch (error) {
+      // The editor is in the settings view, chat errors aren't visible there
+      this.store.actions.showNotification(error.message, "error");
+    }
+  }
+
+  downloadExport() {
+    const blob = new Blob([this.exportJSON()], { type: "application/json" });
+    const url = URL.createObjectURL(blob);
+
+    const link = document.createElement("a");
+    link.href = url;
+    link.download = "companygpt-prompt-vorlagen.json";
+    link.click();
+
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+  }
+
+  async importFile(file) {
+    try {
+      const { imported, skipped } = this.importJSON(await file.text());
+      this.store.actions.showNotification(
+        `${imported} Vorlage(n) importiert${
+          skipped ? `, ${skipped} ungültige übersprungen` : ""
+        }`,
+        "success"
+      );
+    } catch (error) {
+      console.error("[PromptLibrary] Import failed:", error);
+      this.store.actions.showNotification(
+        `Import fehlgeschlagen: ${error.message}`,
+        "error"
+      );
+    }
+  }
+
+  escapeHtml(text) {
+    return this.messageRenderer.escapeHtml(String(text ?? ""));
+  }
+}
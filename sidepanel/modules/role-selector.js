@@ -0,0 +1,249 @@
+// sidepanel/modules/role-selector.js
+
+/**
+ * Chooses the CompanyGPT role (chat.roleId) every request is sent with.
+ *
+ * The role is resolved in this order:
+ *   1. chat.roleOverride        - picked for the current conversation
+ *   2. settings.defaultRoleId   - the user's default from the settings
+ *   3. the tenant's default role, or the first one
+ * roles.available is filled by the ChatController from /api/roles.
+ */
+export class RoleSelector {
+  constructor(store, messageRenderer) {
+    this.debug = window.Debug.create("roles");
+    this.store = store || window.AppStore;
+    this.messageRenderer = messageRenderer;
+  }
+
+  initUI() {
+    this.settingsButton = document.getElementById("role-dropdown-button");
+    this.settingsMenu = document.getElementById("role-dropdown-menu");
+    this.indicator = document.getElementById("role-indicator");
+    this.chatMenu = document.getElementById("role-menu");
+
+    this.settingsButton?.addEventListener("click", (e) => {
+      e.stopPropagation();
+      this.toggleMenu(this.settingsMenu, this.settingsButton);
+    });
+    this.settingsMenu?.addEventListener("click", (e) => {
+      const option = e.target.closest("[data-role-id]");
+      if (!option) return;
+      this.setDefault(option.dataset.roleId || null);
+      this.closeMenus();
+    });
+
+    this.indicator?.addEventListener("click", (e) => {
+      e.stopPropagation();
+      this.toggleMenu(this.chatMenu, this.indicator);
+    });
+    this.chatMenu?.addEventListener("click", (e) => {
+      const option = e.target.closest("[data-role-id]");
+      if (!option) return;
+      this.setOverride(option.dataset.roleId || null);
+      this.closeMenus();
+    });
+
+    document.addEventListener("click", (e) => {
+      if (
+        !this.settingsMenu?.contains(e.target) &&
+        !this.chatMenu?.contains(e.target)
+      ) {
+        this.closeMenus();
+      }
+    });
+
+    ["roles.available", "settings.defaultRoleId", "chat.roleOverride"].forEach(
+      (path) =>
+        this.store.subscribe(path, () => {
+          this.applyRole();
+          this.render();
+        })
+    );
+
+    this.applyRole();
+    this.render();
+  }
+
+  getAll() {
+    return this.store.get("roles.available") || [];
+  }
+
+  // Ids from data attributes are strings; the API may send numbers
+  getById(id) {
+    if (id === null || id === undefined || id === "") return null;
+    return this.getAll().find((r) => String(r.id) === String(id)) || null;
+  }
+
+  /**
+   * Role for conversations without an override
+   */
+  getDefaultRole() {
+    const roles = this.getAll();
+    return (
+      this.getById(this.store.get("settings.defaultRoleId")) ||
+      roles.find((r) => r.isDefault) ||
+      roles[0] ||
+      null
+    );
+  }
+
+  getEffectiveRole() {
+    return (
+      this.getById(this.store.get("chat.roleOverride")) || this.getDefaultRole()
+    );
+  }
+
+  /**
+   * Keep chat.roleId in line with override, default and available roles
+   */
+  applyRole() {
+    const role = this.getEffectiveRole();
+    if (role && role.id !== this.store.get("chat.roleId")) {
+      this.debug.log("[RoleSelector] Using role:", role.name);
+      this.store.set("chat.roleId", role.id);
+    }
+  }
+
+  setDefault(roleId) {
+    this.store.set("settings.defaultRoleId", this.getById(roleId)?.id ?? null);
+    const role = this.getDefaultRole();
+    if (role) {
+      this.store.actions.showNotification(
+        `Standardrolle: ${role.name}`,
+        "success"
+      );
+    }
+  }
+
+  /**
+   * Role for the current conversation only; null returns to the default
+   */
+  setOverride(roleId) {
+    this.store.set("chat.roleOverride", this.getById(roleId)?.id ?? null);
+    const role = this.getEffectiveRole();
+    if (role) {
+      this.store.actions.showNotification(
+        roleId
+          ? `Rolle für diesen Chat: ${role.name}`
+          : `Standardrolle für diesen Chat: ${role.name}`,
+        "success"
+      );
+    }
+  }
+
+  /**
+   * Find a role by (part of) its name, for /role
+   */
+  findByName(query) {
+    const normalized = (query || "").trim().toLowerCase();
+    if (!normalized) return null;
+
+    const roles = this.getAll();
+    return (
+      roles.find((r) => r.name.toLowerCase() === normalized) ||
+      roles.find((r) => r.name.toLowerCase().includes(normalized)) ||
+      null
+    );
+  }
+
+  render() {
+    const roles = this.getAll();
+    const defaultRole = this.getDefaultRole();
+    const effectiveRole = this.getEffectiveRole();
+    const hasOverride = !!this.getById(this.store.get("chat.roleOverride"));
+
+    const currentEl = document.getElementById("role-dropdown-current");
+    if (currentEl) {
+      currentEl.textContent = defaultRole?.name || "Keine Rollen verfügbar";
+    }
+    const descriptionEl = document.getElementById("role-description");
+    if (descriptionEl) {
+      descriptionEl.textContent = defaultRole?.description || "";
+      descriptionEl.style.display = defaultRole?.description ? "" : "none";
+    }
+
+    if (this.indicator) {
+      this.indicator.style.display = roles.length > 1 ? "" : "none";
+      this.indicator.textContent = effectiveRole?.name || "";
+      this.indicator.classList.toggle("override", hasOverride);
+      this.indicator.title = [
+        hasOverride ? "Rolle für diesen Chat" : "Standardrolle",
+        effectiveRole?.description,
+      ]
+        .filter(Boolean)
+        .join(": ");
+    }
+
+    if (this.settingsMenu) {
+      const storedDefault = this.getById(
+        this.store.get("settings.defaultRoleId")
+      );
+      const tenantDefault = roles.find((r) => r.isDefault) || roles[0];
+      this.settingsMenu.innerHTML = this.renderOptions(
+        tenantDefault
+          ? `Vorgabe der Organisation (${tenantDefault.name})`
+          : "Vorgabe der Organisation",
+        storedDefault?.id ?? ""
+      );
+    }
+
+    if (this.chatMenu) {
+      this.chatMenu.innerHTML = this.renderOptions(
+        `Standardrolle${defaultRole ? ` (${defaultRole.name})` : ""}`,
+        hasOverride ? effectiveRole.id : ""
+      );
+    }
+  }
+
+  /**
+   * Menu options: a "no choice" entry followed by all roles
+   */
+  renderOptions(emptyLabel, selectedId) {
+    const options = [{ id: "", name: emptyLabel }, ...this.getAll()];
+    const isSelected = (role) => String(role.id) === String(selectedId);
+    return options
+      .map(
+        (role) => `
+        <div class="model-dropdown-option ${
+          isSelected(role) ? "selected" : ""
+        }" data-role-id="${this.escapeHtml(role.id)}">
+          <span class="model-option-name">
+            ${this.escapeHtml(role.name)}
+            ${
+              role.description
+                ? `<span class="option-description">${this.escapeHtml(
+                    role.description
+                  )}</span>`
+                : ""
+            }
+          </span>
+          ${isSelected(role) ? '<span class="model-option-check">✓</span>' : ""}
+        </div>
+      `
+      )
+      .join("");
+  }
+
+  toggleMenu(menu, button) {
+    if (!menu) return;
+    const isOpen = menu.style.display !== "none";
+    this.closeMenus();
+    if (!isOpen) {
+      menu.style.display = "block";
+      button?.classList.add("open");
+    }
+  }
+
+  closeMenus() {
+    [this.settingsMenu, this.chatMenu].forEach((menu) => {
+      if (menu) menu.style.display = "none";
+    });
+    this.settingsButton?.classList.remove("open");
+    this.indicator?.classList.remove("open");
+  }
+
+  escapeHtml(text) {
+    return this.messageRenderer.escapeHtml(String(text ?? ""));
+  }
+}
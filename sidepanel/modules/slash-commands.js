@@ -0,0 +1,412 @@
+// sidepanel/modules/slash-commands.js
+
+const MAX_SUGGESTIONS = 8;
+
+/**
+ * Slash commands for the message input (/summarize, /model, ...).
+ *
+ * Each command is { name, args, description, suggest?(), run(arg) }.
+ * Commands call the same app methods as the corresponding buttons.
+ * Prompt templates from the PromptLibrary are offered as commands too;
+ * built-in names take precedence.
+ */
+export class SlashCommands {
+  constructor(app) {
+    this.debug = window.Debug.create("slash");
+    this.app = app;
+    this.store = window.AppStore;
+
+    this.input = null;
+    this.popup = null;
+    this.suggestions = [];
+    this.selectedIndex = 0;
+    this.foldersRequested = false;
+
+    this.commands = [
+      {
+        name: "summarize",
+        description: "Seite oder E-Mail zusammenfassen",
+        run: () => this.app.handleContextAction("summarize"),
+      },
+      {
+        name: "reply",
+        args: "[Stichworte]",
+        description: "E-Mail beantworten, optional mit Stichworten",
+        run: (arg) => this.reply(arg),
+      },
+      {
+        name: "model",
+        args: "<Modell>",
+        description: "Sprachmodell wechseln",
+        suggest: () =>
+          window.ModelsConfig.getAll().map((m) => ({
+            value: m.id,
+            label: m.name,
+          })),
+        run: (arg) => this.switchModel(arg),
+      },
+      {
+        name: "role",
+        args: "<Rolle>",
+        description: "Rolle für diesen Chat wechseln",
+        suggest: () => [
+          { value: "standard", label: "Standardrolle" },
+          ...(this.app.roleSelector?.getAll() || []).map((r) => ({
+            value: r.name,
+            label: r.name,
+          })),
+        ],
+        run: (arg) => this.switchRole(arg),
+      },
+      {
+        name: "compare",
+        args: "[Frage]",
+        description:
+          "Frage an mehrere Modelle stellen (ohne Frage: Modus umschalten)",
+        run: (arg) => this.compare(arg),
+      },
+      {
+        name: "ds",
+        args: "<Ordner>",
+        description: "Mit Datenspeicher antworten",
+        suggest: () => this.getFolderSuggestions(),
+        run: (arg) => this.selectDatenspeicher(arg),
+      },
+      {
+        name: "clear",
+        description: "Chat-Verlauf löschen",
+        run: () => this.app.confirmClearChat(),
+      },
+      {
+        name: "context",
+        args: "on|off",
+        description: "Seitenkontext ein- oder ausschalten",
+        suggest: () => [
+          { value: "on", label: "Kontext einschalten" },
+          { value: "off", label: "Kontext ausschalten" },
+        ],
+        run: (arg) => this.setContextEnabled(arg),
+      },
+    ];
+  }
+
+  /**
+   * Attach the autocomplete popup to the message input
+   */
+  attach(input) {
+    this.input = input;
+    if (!input) return;
+
+    this.popup = document.createElement("div");
+    this.popup.className = "slash-popup";
+    this.popup.style.display = "none";
+    input.closest(".input-container")?.appendChild(this.popup);
+
+    input.addEventListener("input", () => this.updatePopup());
+    input.addEventListener("blur", () => this.hidePopup());
+
+    // mousedown keeps the focus in the input
+    this.popup.addEventListener("mousedown", (e) => {
+      const item = e.target.closest(".slash-item");
+      if (!item) return;
+      e.preventDefault();
+      this.applySuggestion(Number(item.dataset.index));
+    });
+  }
+
+  /**
+   * Built-in commands plus prompt templates
+   */
+  getCommands() {
+    const builtIn = new Set(this.commands.map((c) => c.name));
+    const templates = (this.app.promptLibrary?.getAll() || [])
+      .filter((t) => !builtIn.has(t.command))
+      .map((t) => ({
+        name: t.command,
+        args: "[Text]",
+        description: t.name,
+        run: (arg) => this.app.runPromptTemplate(t.id, arg),
+      }));
+
+    return [...this.commands, ...templates];
+  }
+
+  findCommand(name) {
+    const normalized = (name || "").toLowerCase();
+    return this.getCommands().find((c) => c.name === normalized) || null;
+  }
+
+  /**
+   * Run text as a slash command. Returns false if it isn't one, so the
+   * caller can send it as a normal message.
+   */
+  async execute(text) {
+    const match = text.match(/^\/(\S+)\s*([\s\S]*)$/);
+    const command = match && this.findCommand(match[1]);
+    if (!command) return false;
+
+    this.hidePopup();
+    this.debug.log("[SlashCommands] Running:", command.name, match[2]);
+
+    try {
+      await command.run(match[2].trim());
+    } catch (error) {
+      console.error("[SlashCommands] Command failed:", error);
+      this.app.showError(`/${command.name}: ${error.message}`);
+    }
+    return true;
+  }
+
+  /**
+   * Keyboard handling while the popup is open.
+   * Returns true when the event was consumed.
+   */
+  handleKeydown(e) {
+    if (!this.isPopupOpen()) return false;
+
+    switch (e.key) {
+      case "ArrowDown":
+      case "ArrowUp": {
+        const step = e.key === "ArrowDown" ? 1 : -1;
+        const count = this.suggestions.length;
+        this.selectedIndex = (this.selectedIndex + step + count) % count;
+        this.renderPopup();
+        break;
+      }
+
+      case "Tab":
+        this.applySuggestion(this.selectedIndex);
+        break;
+
+      case "Enter": {
+        if (e.shiftKey) return false;
+        // Complete first; a complete command is sent by the normal handler
+        const suggestion = this.suggestions[this.selectedIndex];
+        if (!suggestion || suggestion.completion.trim() === this.input.value) {
+          this.hidePopup();
+          return false;
+        }
+        this.applySuggestion(this.selectedIndex);
+        break;
+      }
+
+      case "Escape":
+        this.hidePopup();
+        break;
+
+      default:
+        return false;
+    }
+
+    e.preventDefault();
+    return true;
+  }
+
+  updatePopup() {
+    this.suggestions = this.getSuggestions(this.input.value);
+    this.selectedIndex = 0;
+
+    if (this.suggestions.length === 0) {
+      this.hidePopup();
+      return;
+    }
+
+    this.renderPopup();
+    this.popup.style.display = "block";
+  }
+
+  getSuggestions(value) {
+    if (!value.startsWith("/") || value.includes("\n")) return [];
+
+    // Stage 1: command name
+    const nameMatch = value.match(/^\/(\S*)$/);
+    if (nameMatch) {
+      const partial = nameMatch[1].toLowerCase();
+      return this.getCommands()
+        .filter((c) => c.name.startsWith(partial))
+        .slice(0, MAX_SUGGESTIONS)
+        .map((c) => ({
+          label: `/${c.name}`,
+          hint: c.args || "",
+          description: c.description,
+          completion: c.args ? `/${c.name} ` : `/${c.name}`,
+        }));
+    }
+
+    // Stage 2: argument of a known command
+    const argMatch = value.match(/^\/(\S+)\s+(.*)$/);
+    const command = argMatch && this.findCommand(argMatch[1]);
+    if (!command?.suggest) return [];
+
+    const partial = argMatch[2].toLowerCase();
+    return command
+      .suggest()
+      .filter(
+        (option) =>
+          option.value.toLowerCase().includes(partial) ||
+          option.label.toLowerCase().includes(partial)
+      )
+      .slice(0, MAX_SUGGESTIONS)
+      .map((option) => ({
+        label: option.value,
+        hint: "",
+        description: option.label === option.value ? "" : option.label,
+        completion: `/${command.name} ${option.value}`,
+      }));
+  }
+
+  renderPopup() {
+    const escape = (text) => this.app.messageRenderer.escapeHtml(text);
+
+    this.popup.innerHTML = this.suggestions
+      .map(
+        (s, index) => `
+        <div class="slash-item${
+          index === this.selectedIndex ? " selected" : ""
+        }" data-index="${index}">
+          <span class="slash-item-name">${escape(s.label)}</span>
+          ${
+            s.hint
+              ? `<span class="slash-item-hint">${escape(s.hint)}</span>`
+              : ""
+          }
+          <span class="slash-item-desc">${escape(s.description)}</span>
+        </div>
+      `
+      )
+      .join("");
+  }
+
+  applySuggestion(index) {
+    const suggestion = this.suggestions[index];
+    if (!suggestion) return;
+
+    this.input.value = suggestion.completion;
+    this.input.focus();
+    this.updatePopup();
+  }
+
+  isPopupOpen() {
+    return this.popup?.style.display === "block";
+  }
+
+  hidePopup() {
+    if (this.popup) this.popup.style.display = "none";
+    this.suggestions = [];
+  }
+
+  // ---- Command implementations ----
+
+  async reply(keywords) {
+    if (!keywords) {
+      await this.app.handleContextAction("reply");
+      return;
+    }
+
+    // Same path as the reply button's keyword mode
+    this.store.set("ui.replyMode", true);
+    await this.app.processSendMessage(keywords);
+  }
+
+  switchModel(query) {
+    const normalized = query.toLowerCase();
+    const models = window.ModelsConfig.getAll();
+    const model =
+      models.find((m) => m.id.toLowerCase() === normalized) ||
+      models.find((m) => m.name.toLowerCase() === normalized) ||
+      models.find((m) => m.name.toLowerCase().includes(normalized));
+
+    if (!normalized || !model) {
+      throw new Error(`Unbekanntes Modell „${query}“`);
+    }
+
+    this.app.handleModelChange(model.id);
+  }
+
+  /**
+   * "/compare Frage" compares once, "/compare" toggles compare mode
+   */
+  async compare(question) {
+    const comparison = this.app.modelComparison;
+    if (!question) {
+      comparison.setEnabled(!comparison.isEnabled());
+      return;
+    }
+    await comparison.compare(question);
+  }
+
+  switchRole(query) {
+    const roleSelector = this.app.roleSelector;
+    if (!roleSelector) {
+      throw new Error("Rollen nicht verfügbar");
+    }
+
+    if ((query || "").trim().toLowerCase() === "standard") {
+      roleSelector.setOverride(null);
+      return;
+    }
+
+    const role = roleSelector.findByName(query);
+    if (!role) {
+      throw new Error(`Unbekannte Rolle „${query}“`);
+    }
+
+    roleSelector.setOverride(role.id);
+  }
+
+  getFolderSuggestions() {
+    const selector = this.app.datenspeicherSelector;
+
+    // Folders are usually cached; fetch them once if not
+    if (!this.foldersRequested && selector && !selector.folders?.length) {
+      this.foldersRequested = true;
+      selector.loadFolders().then(() => {
+        if (this.isPopupOpen()) this.updatePopup();
+      });
+    }
+
+    const folders =
+      selector?.folders?.length > 0
+        ? selector.folders
+        : this.store.get("datenspeicher.available") || [];
+
+    return folders.map((f) => ({ value: f.name, label: f.name }));
+  }
+
+  async selectDatenspeicher(name) {
+    const selector = this.app.datenspeicherSelector;
+    if (!selector) {
+      throw new Error("Datenspeicher nicht verfügbar");
+    }
+
+    if (!name) {
+      await selector.open({ purpose: "reply" });
+      return;
+    }
+
+    await selector.loadFolders();
+
+    const normalized = name.toLowerCase();
+    const folder =
+      selector.folders.find((f) => f.name.toLowerCase() === normalized) ||
+      selector.folders.find((f) => f.name.toLowerCase().includes(normalized));
+
+    if (!folder) {
+      throw new Error(`Datenspeicher „${name}“ nicht gefunden`);
+    }
+
+    // Fires datenspeicher-selected, which starts the reply
+    selector.selectFolders([folder], { startReply: true });
+  }
+
+  setContextEnabled(value) {
+    const current = this.store.get("ui.useContext") !== false;
+    const enabled = value === "on" ? true : value === "off" ? false : !current;
+
+    this.store.set("ui.useContext", enabled);
+    this.app.showNotification(
+      enabled ? "Seitenkontext eingeschaltet" : "Seitenkontext ausgeschaltet",
+      "success"
+    );
+  }
+}
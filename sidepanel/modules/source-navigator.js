@@ -0,0 +1,96 @@
+// sidepanel/modules/source-navigator.js
+
+/**
+ * Opens the document position a cited anchor points to, and the
+ * Datenspeicher documents behind QA answers.
+ *
+ * Google Docs headings and PDFs shown in Chrome's viewer are reached by
+ * URL fragment (#heading=, #page=). Other sources (SharePoint viewers)
+ * can't be scrolled from outside; their tab is only brought to front.
+ */
+export class SourceNavigator {
+  constructor() {
+    this.debug = window.Debug.create("context");
+  }
+
+  /**
+   * URL that shows the anchor's position, or null if the source has none
+   */
+  getAnchorUrl(reference) {
+    let url;
+    try {
+      url = new URL(reference.url);
+    } catch {
+      return null;
+    }
+
+    if (reference.type === "heading" && reference.target) {
+      const docId = url.pathname.match(/\/document\/d\/([^/]+)/)?.[1];
+      if (url.hostname === "docs.google.com" && docId) {
+        return `https://docs.google.com/document/d/${docId}/edit#heading=${reference.target}`;
+      }
+    }
+
+    if (reference.type === "page" && /\.pdf$/i.test(url.pathname)) {
+      url.hash = `page=${reference.page}`;
+      return url.toString();
+    }
+
+    return null;
+  }
+
+  async findSourceTab(sourceUrl) {
+    const withoutHash = (url) => (url || "").split("#")[0];
+    const tabs = await chrome.tabs.query({});
+    return tabs.find((tab) => withoutHash(tab.url) === withoutHash(sourceUrl));
+  }
+
+  /**
+   * Show the source of a reference.
+   * Returns { scrolled } - false if only the tab could be activated.
+   * Throws if the source is closed and can't be reopened.
+   */
+  async open(reference) {
+    const anchorUrl = this.getAnchorUrl(reference);
+    const tab = await this.findSourceTab(reference.url);
+
+    this.debug.log("[SourceNavigator] Opening", reference.id, anchorUrl);
+
+    if (!tab) {
+      if (!anchorUrl) {
+        throw new Error("Das Quelldokument ist nicht mehr geöffnet");
+      }
+      await chrome.tabs.create({ url: anchorUrl });
+      return { scrolled: true };
+    }
+
+    await chrome.tabs.update(tab.id, {
+      active: true,
+      ...(anchorUrl && { url: anchorUrl }),
+    });
+    await chrome.windows.update(tab.windowId, { focused: true });
+    return { scrolled: !!anchorUrl };
+  }
+
+  /**
+   * Open a Datenspeicher source in CompanyGPT: its own link if the
+   * backend sent one, otherwise the Datenspeicher that contains it
+   */
+  openDataSource(source) {
+    if (source.url?.startsWith("/")) {
+      window.APIService.openCompanyGPT(source.url);
+      return;
+    }
+    if (/^https:\/\//.test(source.url || "")) {
+      chrome.tabs.create({ url: source.url });
+      return;
+    }
+    if (!source.collectionId) {
+      throw new Error("Für diese Quelle ist kein Dokument verknüpft");
+    }
+
+    window.APIService.openCompanyGPT(
+      window.CONFIG.buildDataCollectionPath(source.collectionId)
+    );
+  }
+}
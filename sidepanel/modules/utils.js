@@ -40,3 +40,25 @@ export function debounceAsync(func, wait) {
     });
   };
 }
+
+const loadedScripts = new Map();
+
+/**
+ * Load a classic script (e.g. a bundled library from libs/) once
+ */
+export function loadScript(src) {
+  if (!loadedScripts.has(src)) {
+    const promise = new Promise((resolve, reject) => {
+      const script = document.createElement("script");
+      script.src = src;
+      script.onload = () => resolve();
+      script.onerror = () => {
+        loadedScripts.delete(src);
+        reject(new Error(`Failed to load ${src}`));
+      };
+      document.head.appendChild(script);
+    });
+    loadedScripts.set(src, promise);
+  }
+  return loadedScripts.get(src);
+}
@@ -0,0 +1,77 @@
+// tests/app-store.test.js
+// Run with: node --test tests/
+const { test } = require("node:test");
+const assert = require("node:assert");
+const fs = require("node:fs");
+const path = require("node:path");
+const vm = require("node:vm");
+
+/**
+ * Load state-manager.js and app-store.js like the side panel does, with
+ * just enough of window and chrome for them to run
+ */
+function loadStore() {
+  const window = {
+    Debug: { create: () => ({ log() {}, warn() {}, error() {} }) },
+    ModelsConfig: { toSelection: (model) => model, getDefault: () => null },
+  };
+  const context = vm.createContext({
+    window,
+    console,
+    // Timers (error auto-clear, sync broadcast) aren't needed here
+    setTimeout: () => 0,
+    clearTimeout: () => {},
+    chrome: {
+      storage: { local: { get: async () => ({}), set: async () => {} } },
+      runtime: {
+        onMessage: { addListener() {} },
+        sendMessage: () => Promise.resolve(),
+      },
+    },
+  });
+
+  for (const file of ["shared/state-manager.js", "shared/app-store.js"]) {
+    const source = fs.readFileSync(path.join(__dirname, "..", file), "utf8");
+    vm.runInContext(source, context, { filename: file });
+  }
+  return window.AppStore;
+}
+
+// store.set runs its middleware first, so listeners fire a tick later
+const flush = () => new Promise((resolve) => setImmediate(resolve));
+
+test("showNotification notifies ui.notifications subscribers", async () => {
+  const store = loadStore();
+  const calls = [];
+  store.subscribe("ui.notifications", (notifications) =>
+    calls.push(notifications[notifications.length - 1])
+  );
+
+  store.actions.showNotification("Erste", "success");
+  await flush();
+  store.actions.showNotification("Zweite");
+  await flush();
+
+  assert.deepStrictEqual(
+    calls.map(({ message, type }) => ({ message, type })),
+    [
+      { message: "Erste", type: "success" },
+      { message: "Zweite", type: "info" },
+    ]
+  );
+});
+
+test("showError notifies ui.errors subscribers", async () => {
+  const store = loadStore();
+  const calls = [];
+  store.subscribe("ui.errors", (errors) =>
+    calls.push(errors[errors.length - 1].message)
+  );
+
+  store.actions.showError("Fehlgeschlagen");
+  await flush();
+  store.actions.showError("Nochmal");
+  await flush();
+
+  assert.deepStrictEqual(calls, ["Fehlgeschlagen", "Nochmal"]);
+});